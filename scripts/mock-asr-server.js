@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+// Mock ASR server for testing the "Self-hosted ASR server" transcription engine offline.
+// It speaks the protocol described in src/lib/transcription/websocketEngine.js, but instead
+// of recognizing speech it plays back a script as audio arrives.
+//
+// Usage:
+//   pnpm mock-asr [--port 8765] [--script lines.txt] [--words-per-second 2.5] [--drop-every 0]
+//
+// --script            a text file with one transcript line per line, or a JSON array of strings
+// --words-per-second  how fast scripted words are "recognized", measured in received audio time
+// --drop-every        close every connection after this many seconds of audio, to exercise
+//                     the client's reconnection and buffering (0 disables)
+//
+// The position in the script is shared by all connections, so a reconnecting client
+// carries on where it left off.
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const DEFAULT_SCRIPT = [
+  'This is the mock speech recognition server',
+  'Every line of the script arrives as one final result',
+  'Words show up as interim results while audio keeps streaming',
+  'Stop recording to flush the rest of the current line'
+];
+
+const OPCODES = { text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+const parseArgs = (argv) => {
+  const options = { port: 8765, script: null, wordsPerSecond: 2.5, dropEvery: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--port':
+        options.port = Number(value);
+        i++;
+        break;
+      case '--script':
+        options.script = value;
+        i++;
+        break;
+      case '--words-per-second':
+        options.wordsPerSecond = Number(value);
+        i++;
+        break;
+      case '--drop-every':
+        options.dropEvery = Number(value);
+        i++;
+        break;
+      default:
+        console.error(`Unknown option: ${argv[i]}`);
+        process.exit(1);
+    }
+  }
+  return options;
+};
+
+const loadScript = (path) => {
+  if (!path) return DEFAULT_SCRIPT;
+  const content = readFileSync(path, 'utf8');
+  const lines = content.trim().startsWith('[') ? JSON.parse(content) : content.split('\n');
+  const script = lines.map(line => String(line).trim()).filter(Boolean);
+  if (script.length === 0) {
+    throw new Error(`${path} has no transcript lines`);
+  }
+  return script;
+};
+
+// Encode a single unfragmented, unmasked server frame
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+// Pull complete client frames off the front of `buffer`. Returns the frames and the unused rest.
+const decodeFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let headerLength = 2;
+
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      length = Number(buffer.readBigUInt64BE(offset + 2));
+      headerLength = 10;
+    }
+
+    const maskLength = masked ? 4 : 0;
+    const frameLength = headerLength + maskLength + length;
+    if (buffer.length - offset < frameLength) break;
+
+    const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + frameLength));
+    if (masked) {
+      const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, payload });
+    offset += frameLength;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+};
+
+const options = parseArgs(process.argv.slice(2));
+const script = loadScript(options.script);
+const state = { line: 0, word: 0 }; // shared so reconnecting clients resume mid-script
+let nextConnectionId = 1;
+
+const handleConnection = (socket) => {
+  const id = nextConnectionId++;
+  let pending = Buffer.alloc(0);
+  let sampleRate = 16000;
+  let language = null; // echoed on finals, as a recognizer that detects the language would
+  let receivedSeconds = 0;
+  let wordCredit = 0; // words "heard" but not yet emitted
+  let closed = false;
+
+  const send = (message) => {
+    if (!closed) socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+  };
+
+  const close = () => {
+    if (closed) return;
+    socket.write(encodeFrame(OPCODES.close));
+    closed = true;
+    socket.end();
+  };
+
+  const currentWords = () => script[state.line % script.length].split(/\s+/);
+
+  const finishLine = () => {
+    const words = currentWords().slice(0, state.word);
+    if (words.length > 0) {
+      send({
+        type: 'final',
+        text: words.join(' '),
+        confidence: Math.round((0.85 + Math.random() * 0.1) * 100) / 100,
+        alternatives: [{ text: words.join(' ').toLowerCase(), confidence: 0.3 }],
+        ...(language ? { language } : {})
+      });
+    }
+    state.line++;
+    state.word = 0;
+  };
+
+  const advance = () => {
+    while (wordCredit >= 1) {
+      wordCredit--;
+      state.word++;
+      const words = currentWords();
+      if (state.word >= words.length) {
+        finishLine();
+      } else {
+        send({ type: 'interim', text: words.slice(0, state.word).join(' ') });
+      }
+    }
+  };
+
+  const handleAudio = (payload) => {
+    const seconds = payload.length / 2 / sampleRate;
+    receivedSeconds += seconds;
+    wordCredit += seconds * options.wordsPerSecond;
+    advance();
+
+    if (options.dropEvery > 0 && receivedSeconds >= options.dropEvery) {
+      console.log(`[${id}] simulating an outage after ${receivedSeconds.toFixed(1)}s of audio`);
+      socket.destroy();
+      closed = true;
+    }
+  };
+
+  const handleMessage = (text) => {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      send({ type: 'error', code: 'bad-request', message: 'Messages must be JSON' });
+      return;
+    }
+
+    if (message.type === 'start') {
+      sampleRate = message.sampleRate || sampleRate;
+      language = message.language || null;
+      console.log(`[${id}] start ${sampleRate}Hz ${message.encoding || ''} ${message.language || ''}`.trim());
+    } else if (message.type === 'stop') {
+      console.log(`[${id}] stop after ${receivedSeconds.toFixed(1)}s of audio`);
+      if (state.word > 0) finishLine();
+      send({ type: 'done' });
+      close();
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+
+    for (const { opcode, payload } of frames) {
+      if (opcode === OPCODES.text) {
+        handleMessage(payload.toString('utf8'));
+      } else if (opcode === OPCODES.binary) {
+        handleAudio(payload);
+      } else if (opcode === OPCODES.ping) {
+        socket.write(encodeFrame(OPCODES.pong, payload));
+      } else if (opcode === OPCODES.close) {
+        close();
+      }
+      if (closed) return;
+    }
+  });
+  socket.on('close', () => {
+    closed = true;
+    console.log(`[${id}] disconnected`);
+  });
+  socket.on('error', (error) => console.warn(`[${id}] socket error:`, error.message));
+};
+
+const server = createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('This is a WebSocket endpoint\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  handleConnection(socket);
+});
+
+server.listen(options.port, () => {
+  console.log(`Mock ASR server listening on ws://localhost:${options.port} (${script.length} script lines)`);
+});
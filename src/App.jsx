@@ -1,4 +1,5 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { flushSync } from 'react-dom';
 import { Button } from '@/components/ui/button.jsx';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card.jsx';
 import { Badge } from '@/components/ui/badge.jsx';
@@ -10,21 +11,63 @@ import {
   Moon,
   Sun,
   Sidebar,
-  X
+  X,
+  History,
+  ListOrdered,
+  HardDrive,
+  DatabaseBackup
 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Toaster } from '@/components/ui/sonner.jsx';
 import { useSpeechRecognition } from './hooks/useSpeechRecognition';
 import { useNotes } from './hooks/useNotes';
+import { useStorageHealth } from './hooks/useStorageHealth';
+import { useAutoBackup } from './hooks/useAutoBackup';
+import { useSpeakers } from './hooks/useSpeakers';
+import { useVoiceCommands } from './hooks/useVoiceCommands';
+import { useDictationFormatting } from './hooks/useDictationFormatting';
+import { useVocabulary } from './hooks/useVocabulary';
+import { useAudioRecorder } from './hooks/useAudioRecorder';
+import { useAudioPlayback } from './hooks/useAudioPlayback';
+import { useVoiceActivity } from './hooks/useVoiceActivity';
+import { useMicrophone } from './hooks/useMicrophone';
+import { useAudioPreferences } from './hooks/useAudioPreferences';
 import { RecordingControls } from './components/RecordingControls';
 import { NotesList } from './components/NotesList';
-import RichTextEditor from './components/RichTextEditor';
+import RichTextEditor, { EDITOR_CONTENT_SELECTOR } from './components/RichTextEditor';
 import CommandPalette from './components/CommandPalette';
+import RevisionHistory from './components/RevisionHistory';
+import StorageHealthDialog from './components/StorageHealthDialog';
+import ImportNotesDialog from './components/ImportNotesDialog';
+import BackupSettingsDialog from './components/BackupSettingsDialog';
+import TranscriptSegments from './components/TranscriptSegments';
+import SegmentReviewPopover from './components/SegmentReviewPopover';
+import VoiceCommandsDialog from './components/VoiceCommandsDialog';
+import VocabularyDialog from './components/VocabularyDialog';
+import AudioPlayer from './components/AudioPlayer';
+import MicCheckDialog from './components/MicCheckDialog';
+import { SpeakerBar } from './components/SpeakerBar';
+import { TAB_ID } from './lib/tabSync';
+import { downloadFile } from './lib/download';
+import { buildSpeakerStyles } from './lib/speakers';
+import { getLocaleName } from './lib/locales';
+import { VOICE_COMMANDS } from './lib/voiceCommands';
+import { playEarcon, speak } from './lib/audioFeedback';
+import {
+  needsReview,
+  reviseSegment,
+  buildReviewStyles,
+  buildPlaybackStyles,
+  formatSegmentTime
+} from './lib/transcript';
 import './App.css';
 
 function App() {
+  const microphone = useMicrophone();
+  const { preferences: audioPreferences, updatePreferences: updateAudioPreferences } = useAudioPreferences();
   const {
     isListening,
     interimTranscript,
-    latestFinalSegment,
     error,
     isSupported,
     confidence,
@@ -33,11 +76,22 @@ function App() {
     stopListening,
     resetTranscript,
     changeLanguage,
+    previousLanguage,
+    engineId,
+    engines,
+    changeEngine,
+    engineSettings,
+    updateEngineSettings,
     setAutoPushCallback,
-  } = useSpeechRecognition();
+    reportVoiceActivity,
+  } = useSpeechRecognition({ audioConstraints: microphone.constraints });
 
   const {
     notes,
+    allNotes,
+    isLoaded,
+    storageType,
+    saveStatus,
     currentNote,
     searchTerm,
     sortBy,
@@ -45,9 +99,20 @@ function App() {
     createNote,
     updateNote,
     deleteNote,
+    restoreNote,
+    purgeNote,
+    purgeNotes,
+    emptyTrash,
+    importNotes,
+    showTrash,
+    setShowTrash,
+    trashRetentionDays,
+    setTrashRetentionDays,
     startRecording,
     stopRecording,
-    appendToNote,
+    recordVoiceActivity,
+    appendSegment,
+    addTagToNote,
     setCurrentNote,
     setSearchTerm,
     setSortBy,
@@ -55,15 +120,35 @@ function App() {
     exportNotes,
     getStats,
     toggleArchiveNote,
-    toggleStarNote
+    toggleStarNote,
+    quarantinedNotes,
+    discardQuarantinedNotes,
+    undo,
+    redo,
+    undoLabel,
+    redoLabel,
+    getRevisions,
+    restoreRevision,
+    revisionsVersion
   } = useNotes();
 
   const [isRecording, setIsRecording] = useState(false);
+  const [recordingNoteId, setRecordingNoteId] = useState(null);
+  const [isPaused, setIsPaused] = useState(false);
   const [recordingStartTime, setRecordingStartTime] = useState(null);
   const [elapsedTime, setElapsedTime] = useState(0);
+  const [speakingTime, setSpeakingTime] = useState(0); // seconds of elapsedTime with speech
   const [showSidebar, setShowSidebar] = useState(true);
-  const [audioEnabled, setAudioEnabled] = useState(true);
   const [showCommandPalette, setShowCommandPalette] = useState(false);
+  const [showRevisions, setShowRevisions] = useState(false);
+  const [showTranscript, setShowTranscript] = useState(false);
+  const [reviewTarget, setReviewTarget] = useState(null); // { segmentId, rect } being proofread
+  const [showStorageHealth, setShowStorageHealth] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showBackupSettings, setShowBackupSettings] = useState(false);
+  const [showVoiceCommands, setShowVoiceCommands] = useState(false);
+  const [showVocabulary, setShowVocabulary] = useState(false);
+  const [showMicCheck, setShowMicCheck] = useState(false);
   const [darkMode, setDarkMode] = useState(() => {
     const storedTheme = localStorage.getItem('theme');
     if (storedTheme) {
@@ -72,17 +157,61 @@ function App() {
     return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
   });
 
-  const [lastProcessedSegment, setLastProcessedSegment] = useState('');
+  const storageHealth = useStorageHealth({
+    storageType,
+    saveStatus,
+    onFreeUpSpace: () => setShowStorageHealth(true)
+  });
+
+  const backup = useAutoBackup({ notes: allNotes, isLoaded, exportNotes });
 
-  // Auto-push interim transcript to the current note
+  const speakers = useSpeakers({ note: currentNote, updateNote, isRecording });
+  const { speakerForTime } = speakers;
+
+  const voiceCommands = useVoiceCommands({ language });
+  const { getFormatting, updateFormatting } = useDictationFormatting();
+  const vocabulary = useVocabulary({ note: currentNote, isRecording });
+  const audioRecorder = useAudioRecorder({
+    noteId: recordingNoteId,
+    isCapturing: isRecording && !isPaused,
+    constraints: microphone.constraints,
+    keepAudio: audioPreferences.keepRecordings
+  });
+  // Unset while the system default is used or the chosen input is unplugged
+  const microphoneLabel = microphone.devices.find(device => device.deviceId === microphone.settings.deviceId)?.label;
+  const voiceActivity = useVoiceActivity({
+    stream: audioRecorder.stream,
+    noteId: recordingNoteId,
+    onSpeech: (noteId, speech) => {
+      recordVoiceActivity(noteId, { speech });
+      setSpeakingTime(prev => prev + (speech.endedAt - speech.startedAt) / 1000);
+    },
+    onSilence: (noteId, silence) => recordVoiceActivity(noteId, { silence }),
+    onAutoPause: (seconds) => {
+      handlePauseRecording();
+      toast(`Paused after ${seconds} seconds of silence`, { description: 'Press play to carry on' });
+    }
+  });
+  const { isDetecting: isDetectingSpeech, lastSpeechAt } = voiceActivity;
   useEffect(() => {
-    const pushCallback = (interimText) => {
-      if (currentNote && interimText) {
-        appendToNote(currentNote.id, interimText + ' ');
-      }
-    };
-    setAutoPushCallback(() => pushCallback);
-  }, [currentNote, appendToNote, setAutoPushCallback]);
+    reportVoiceActivity({ isDetecting: isDetectingSpeech, lastSpeechAt });
+  }, [isDetectingSpeech, lastSpeechAt, reportVoiceActivity]);
+  const playback = useAudioPlayback({
+    note: currentNote,
+    enabled: !isRecording,
+    version: currentNote ? audioRecorder.audioSizes[currentNote.id] || 0 : 0
+  });
+  const editorRef = useRef(null);
+  // The note being recorded into, which stays put when another note is opened meanwhile.
+  // Read through a ref so results arriving before the next render still find it.
+  const recordingNoteIdRef = useRef(null);
+  // Shortcut actions as of the latest render, so they act on the note that's open now
+  const shortcutActionsRef = useRef({});
+
+  const setRecordingNote = (noteId) => {
+    recordingNoteIdRef.current = noteId;
+    setRecordingNoteId(noteId);
+  };
 
   // Update elapsed time during recording
   useEffect(() => {
@@ -95,27 +224,42 @@ function App() {
     return () => clearInterval(interval);
   }, [isRecording, recordingStartTime]);
 
-  // Set up auto-push callback for seamless note updates
+  // Add recognition results to the note being recorded as timed transcript segments,
+  // credited to whoever was speaking when the result started. Final results get the custom
+  // vocabulary, then voice commands in them are carried out in the order they were said
+  // instead of being typed.
+  // Registered after every render so commands see the current note and recording state.
   useEffect(() => {
-    if (setAutoPushCallback) {
-      setAutoPushCallback((text) => {
-        if (currentNote && text.trim()) {
-          appendToNote(currentNote.id, text.trim() + ' ');
+    setAutoPushCallback((pushedResult) => {
+      const recordingId = recordingNoteIdRef.current;
+      if (!recordingId) return;
+      const result = pushedResult.isFinal ? vocabulary.applyToResult(pushedResult) : pushedResult;
+      // Speakers are tracked for the note on screen
+      const speakerIdFor = noteId => (noteId === currentNote?.id ? speakerForTime(result.startedAt) : null);
+      // Final results are punctuated and capitalized; interim text pushed early is left as it is
+      const formatting = result.isFinal ? getFormatting(result.language) : null;
+      const parts = result.isFinal ? voiceCommands.parseResult(result.text) : [{ type: 'text', text: result.text }];
+      if (!parts.some(part => part.type === 'command')) {
+        appendSegment(recordingId, { ...result, speakerId: speakerIdFor(recordingId) }, { formatting });
+        return;
+      }
+
+      // Render each step before the next one, since editor commands act on the editor's content
+      let noteId = recordingId;
+      parts.forEach((part) => {
+        if (part.type === 'text') {
+          flushSync(() => appendSegment(noteId, {
+            ...result,
+            text: part.text,
+            alternatives: [], // the engine's guesses were for the whole result, commands included
+            speakerId: speakerIdFor(noteId)
+          }, { formatting }));
+        } else {
+          noteId = runVoiceCommand(part, noteId);
         }
       });
-    }
-  }, [setAutoPushCallback, currentNote, appendToNote]);
-
-  // Append the latest final transcript segment to the current note
-  useEffect(() => {
-    if (latestFinalSegment && latestFinalSegment !== lastProcessedSegment && currentNote) {
-      // This is now handled by auto-push callback, but keep as fallback
-      if (!lastProcessedSegment || !latestFinalSegment.includes(lastProcessedSegment)) {
-        appendToNote(currentNote.id, latestFinalSegment);
-        setLastProcessedSegment(latestFinalSegment);
-      }
-    }
-  }, [latestFinalSegment, currentNote, appendToNote, lastProcessedSegment]);
+    });
+  });
 
   // Apply dark mode and store preference
   useEffect(() => {
@@ -148,100 +292,304 @@ function App() {
       // Quick new note (Ctrl/Cmd + N)
       if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
         e.preventDefault();
-        handleNewNote();
+        shortcutActionsRef.current.handleNewNote();
+      }
+      
+      // Undo/redo note changes (Ctrl/Cmd + Z, Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y).
+      // Text fields and the editor handle their own undo first and prevent the default.
+      const target = e.target;
+      const isTextField = target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement;
+      if ((e.ctrlKey || e.metaKey) && !e.defaultPrevented && !isTextField) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' || key === 'y') {
+          e.preventDefault();
+          if (key === 'y' || e.shiftKey) {
+            redo();
+          } else {
+            undo();
+          }
+        }
+      }
+      
+      // Switch back to the previous recognition language (Alt + L), also mid-recording
+      if (e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyL' && previousLanguage) {
+        e.preventDefault();
+        shortcutActionsRef.current.handleLanguageChange(previousLanguage);
+        toast(`Listening in ${getLocaleName(previousLanguage)}`);
       }
       
       // Quick start recording (Ctrl/Cmd + R)
       if ((e.ctrlKey || e.metaKey) && e.key === 'r') {
         e.preventDefault();
         if (!isRecording) {
-          handleStartRecording();
+          shortcutActionsRef.current.handleStartRecording();
         }
       }
     };
 
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [isRecording]);
+  }, [isRecording, undo, redo, previousLanguage]);
+
+  // Tones let whoever is dictating hear the recording state without looking at the screen
+  const playFeedback = (earcon) => {
+    if (audioPreferences.earcons) playEarcon(earcon);
+  };
+
+  const handleStartRecording = async () => {
+    if (!isSupported) {
+      toast.error('Choose a transcription engine that works in this browser');
+      return;
+    }
+    const note = currentNote || createNote('', 'general', language);
 
-  const handleStartRecording = () => {
-    if (!currentNote) {
-      const newNote = createNote();
-      setCurrentNote(newNote);
+    // Another tab may already be recording into this note
+    const acquired = await startRecording(note.id);
+    if (!acquired) {
+      toast.error('This note is already being recorded in another tab');
+      return;
     }
     
+    setRecordingNote(note.id);
     setIsRecording(true);
+    setIsPaused(false);
     setRecordingStartTime(Date.now());
     setElapsedTime(0);
+    setSpeakingTime(0);
     resetTranscript();
     startListening();
-    
-    if (currentNote) {
-      startRecording(currentNote.id);
-    }
+    playFeedback('start');
   };
 
   const handleStopRecording = () => {
     setIsRecording(false);
+    setIsPaused(false);
     setRecordingStartTime(null);
     stopListening();
-    
-    if (currentNote) {
-      stopRecording(currentNote.id);
+    playFeedback('stop');
+
+    if (recordingNoteIdRef.current) {
+      stopRecording(recordingNoteIdRef.current);
     }
+    setRecordingNote(null);
   };
 
   const handlePauseRecording = () => {
+    setIsPaused(true);
     stopListening();
+    playFeedback('pause');
   };
 
   const handleResumeRecording = () => {
+    setIsPaused(false);
     startListening();
+    playFeedback('resume');
   };
 
   const handleReset = () => {
+    setIsPaused(false);
     resetTranscript();
     setElapsedTime(0);
-    if (currentNote) {
-      updateNote(currentNote.id, { content: '' });
+    setSpeakingTime(0);
+    const noteId = recordingNoteIdRef.current || currentNote?.id;
+    if (noteId) {
+      updateNote(noteId, { content: '', segments: [], silences: [] }, { historyLabel: 'Reset transcript', coalesce: false });
+    }
+  };
+
+  const confirmVoiceCommand = (text) => {
+    if (audioPreferences.spokenConfirmations) speak(text);
+  };
+
+  // Carry out a spoken command on the note being dictated into. Returns the note later
+  // dictation goes to, which changes after "new note".
+  const runVoiceCommand = ({ command, argument }, noteId) => {
+    switch (command) {
+      case 'newParagraph':
+      case 'bulletPoint':
+      case 'heading':
+      case 'actionItem':
+        // Editor commands act on the note on screen, so they're dropped while another is open
+        if (noteId !== currentNote?.id) return noteId;
+        editorRef.current?.runCommand(command);
+        confirmVoiceCommand(VOICE_COMMANDS.find(({ id }) => id === command).label);
+        return noteId;
+      case 'tag': {
+        const tag = argument.toLowerCase();
+        addTagToNote(noteId, tag);
+        toast(`Tagged "${tag}"`);
+        confirmVoiceCommand(`Tagged ${tag}`);
+        return noteId;
+      }
+      case 'pauseRecording':
+        handlePauseRecording();
+        toast('Recording paused', { description: 'Press play to carry on' });
+        confirmVoiceCommand('Recording paused');
+        return noteId;
+      case 'newNote': {
+        // Keep listening, but into a fresh note
+        stopRecording(noteId);
+        const note = flushSync(() => createNote('', 'general', language));
+        startRecording(note.id);
+        setRecordingNote(note.id);
+        resetTranscript();
+        setRecordingStartTime(Date.now());
+        setElapsedTime(0);
+        setSpeakingTime(0);
+        toast('Recording into a new note');
+        confirmVoiceCommand('New note');
+        return note.id;
+      }
+      default:
+        return noteId;
+    }
+  };
+
+  // Proofreading: low-confidence segments are underlined and open a review popover
+  const segmentsToReview = currentNote ? currentNote.segments.filter(needsReview) : [];
+  const reviewSegment = reviewTarget && currentNote?.segments.find(segment => segment.id === reviewTarget.segmentId);
+
+  const openSegmentReview = (segmentId) => {
+    const element = document.querySelector(`${EDITOR_CONTENT_SELECTOR} [data-segment-id="${segmentId}"]`);
+    if (!element) {
+      setReviewTarget(null);
+      return;
+    }
+    element.scrollIntoView({ block: 'center' });
+    setReviewTarget({ segmentId, rect: element.getBoundingClientRect() });
+  };
+
+  // The next segment to check after the current one, wrapping around
+  const openNextReview = (afterSegmentId) => {
+    const remaining = segmentsToReview.filter(segment => segment.id !== afterSegmentId);
+    const ids = currentNote.segments.map(segment => segment.id);
+    const currentIndex = ids.indexOf(afterSegmentId);
+    const next = remaining.find(segment => ids.indexOf(segment.id) > currentIndex) || remaining[0];
+    if (next) {
+      openSegmentReview(next.id);
+    } else {
+      setReviewTarget(null);
+    }
+  };
+
+  // Clicking dictated text also moves the recording to when it was said
+  const handleSegmentClick = (segmentId, rect) => {
+    if (playback.hasAudio) {
+      playback.seekToSegment(segmentId);
+    }
+    const segment = currentNote?.segments.find(candidate => candidate.id === segmentId);
+    if (segment && needsReview(segment)) {
+      setReviewTarget({ segmentId, rect });
     }
   };
 
+  const handleReviseSegment = (text) => {
+    const { segmentId } = reviewTarget;
+    updateNote(currentNote.id, note => reviseSegment(note, segmentId, text) || {}, {
+      historyLabel: 'Proofread',
+      coalesce: false
+    });
+    openNextReview(segmentId);
+  };
+
+  // Keep the segment being played on screen
+  const playingSegmentId = playback.isPlaying ? playback.activeSegmentId : null;
+  useEffect(() => {
+    if (!playingSegmentId) return;
+    document.querySelector(`${EDITOR_CONTENT_SELECTOR} [data-segment-id="${playingSegmentId}"]`)
+      ?.scrollIntoView({ block: 'nearest' });
+  }, [playingSegmentId]);
+
+  // Close the review when switching notes
+  const currentNoteId = currentNote?.id;
+  useEffect(() => {
+    setReviewTarget(null);
+  }, [currentNoteId]);
+
   const handleNewNote = () => {
-    const newNote = createNote();
+    const newNote = createNote('', 'general', language);
     setCurrentNote(newNote);
   };
 
+  // Outside a recording the picker sets the note's language; while recording it only
+  // changes what's being listened for, and each segment keeps the language it was said in
+  const handleLanguageChange = (code) => {
+    changeLanguage(code);
+    if (!isRecording && currentNote && currentNote.language !== code) {
+      updateNote(currentNote.id, { language: code }, { historyLabel: 'Change language', coalesce: false });
+    }
+  };
+
+  shortcutActionsRef.current = { handleNewNote, handleStartRecording, handleLanguageChange };
+
+  // Listen in the language of the note that's open, and go back to it when a recording ends
+  const noteLanguage = currentNote?.language;
+  useEffect(() => {
+    if (noteLanguage && !isRecording) {
+      changeLanguage(noteLanguage);
+    }
+  }, [noteLanguage, isRecording, changeLanguage]);
+
+  // Trashing is reversible, so offer an undo instead of asking for confirmation
+  const handleDeleteNote = (noteId) => {
+    deleteNote(noteId);
+    toast('Note moved to trash', {
+      action: {
+        label: 'Undo',
+        onClick: () => restoreNote(noteId)
+      }
+    });
+  };
+
   const handleSortChange = (newSortBy, newSortOrder) => {
     setSortBy(newSortBy);
     setSortOrder(newSortOrder);
   };
 
-  const stats = getStats();
+  // Save unreadable notes to a file before offering to discard them
+  const handleQuarantineReview = () => {
+    downloadFile(JSON.stringify(quarantinedNotes, null, 2), 'voice-notes-quarantined.json', 'application/json');
 
-  if (!isSupported) {
-    return (
-      <div className="min-h-screen bg-background flex items-center justify-center p-4">
-        <Card className="w-full max-w-md">
-          <CardHeader>
-            <CardTitle className="text-center text-destructive">
-              Speech Recognition Not Supported
-            </CardTitle>
-          </CardHeader>
-          <CardContent className="text-center space-y-4">
-            <p className="text-muted-foreground">
-              Your browser doesn't support speech recognition. Please use Chrome, Edge, or Safari.
-            </p>
-            <div className="flex flex-wrap gap-2 justify-center">
-              <Badge variant="outline">Chrome ✓</Badge>
-              <Badge variant="outline">Edge ✓</Badge>
-              <Badge variant="outline">Safari ✓</Badge>
-            </div>
-          </CardContent>
-        </Card>
-      </div>
+    if (confirm(`${quarantinedNotes.length} unreadable note(s) were saved to a file. Remove them from this browser?`)) {
+      discardQuarantinedNotes();
+    }
+  };
+
+  const handleExportNotes = (format = 'json') => {
+    const extension = { json: 'json', markdown: 'md', txt: 'txt' }[format] || 'json';
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      exportNotes(format),
+      `voice-notes-${date}.${extension}`,
+      format === 'json' ? 'application/json' : 'text/plain'
     );
-  }
+  };
+
+  const handleImportNotes = (changes) => {
+    importNotes(changes);
+    const count = changes.added.length + changes.updated.length;
+    toast.success(`Imported ${count} note${count !== 1 ? 's' : ''}`, {
+      description: 'Press Ctrl+Z to undo'
+    });
+  };
+
+  // Download the selected notes before removing them, to free up storage
+  const handleArchiveNotes = (noteIds) => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(exportNotes('json', noteIds), `voice-notes-archive-${date}.json`, 'application/json');
+    purgeNotes(noteIds);
+    toast.success(`Archived ${noteIds.length} note(s) to a file`);
+  };
+
+  // Time only for today's backups, date and time otherwise
+  const formatBackupTime = (dateString) => {
+    const date = new Date(dateString);
+    return date.toDateString() === new Date().toDateString()
+      ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  };
+
+  const stats = getStats();
 
   return (
     <div className="min-h-screen bg-background transition-colors">
@@ -277,6 +625,39 @@ function App() {
               <Badge variant="outline" className="hidden sm:flex">
                 {stats.totalWords} Words
               </Badge>
+              <Badge
+                variant="outline"
+                className={`hidden sm:flex cursor-pointer ${backup.backupError ? 'text-destructive' : ''}`}
+                title={backup.backupError ? `Last backup failed: ${backup.backupError}` : 'Backup settings'}
+                onClick={() => setShowBackupSettings(true)}
+              >
+                <DatabaseBackup className="w-3 h-3" />
+                {backup.lastBackup ? `Backed up ${formatBackupTime(backup.lastBackup.at)}` : 'No backup'}
+              </Badge>
+              {quarantinedNotes.length > 0 && (
+                <Badge
+                  variant="destructive"
+                  className="cursor-pointer"
+                  title={quarantinedNotes.map(entry => entry.error).join('\n')}
+                  onClick={handleQuarantineReview}
+                >
+                  {quarantinedNotes.length} Unreadable
+                </Badge>
+              )}
+
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setShowStorageHealth(true)}
+                title={storageHealth.usage
+                  ? `Storage ${Math.round(storageHealth.usage.ratio * 100)}% used`
+                  : 'Storage'}
+                className={storageHealth.level === 'critical' || saveStatus.state === 'error'
+                  ? 'text-destructive'
+                  : storageHealth.level === 'warning' ? 'text-amber-600 dark:text-amber-400' : ''}
+              >
+                <HardDrive className="w-4 h-4" />
+              </Button>
               
               <Button
                 variant="ghost"
@@ -318,10 +699,19 @@ function App() {
                     onSearchChange={setSearchTerm}
                     onNoteSelect={setCurrentNote}
                     onNoteCreate={handleNewNote}
-                    onNoteDelete={deleteNote}
+                    onNoteDelete={handleDeleteNote}
                     onNoteUpdate={updateNote}
                     onSortChange={handleSortChange}
-                    onExport={exportNotes}
+                    onExport={handleExportNotes}
+                    onImport={() => setShowImport(true)}
+                    showTrash={showTrash}
+                    trashCount={stats.trashedNotes}
+                    onToggleTrash={() => setShowTrash(!showTrash)}
+                    onNoteRestore={restoreNote}
+                    onNotePurge={purgeNote}
+                    onEmptyTrash={emptyTrash}
+                    trashRetentionDays={trashRetentionDays}
+                    onTrashRetentionChange={setTrashRetentionDays}
                   />
                 </CardContent>
               </Card>
@@ -344,6 +734,7 @@ function App() {
                 <CardContent>
                   <RecordingControls
                     isRecording={isRecording}
+                    isPaused={isPaused}
                     isListening={isListening}
                     onStartRecording={handleStartRecording}
                     onStopRecording={handleStopRecording}
@@ -351,12 +742,33 @@ function App() {
                     onResumeRecording={handleResumeRecording}
                     onReset={handleReset}
                     elapsedTime={elapsedTime}
+                    speakingTime={speakingTime}
+                    isSpeaking={voiceActivity.isSpeaking}
+                    isDetectingSpeech={voiceActivity.isDetecting}
+                    autoPauseSeconds={voiceActivity.autoPauseSeconds}
+                    onAutoPauseChange={voiceActivity.setAutoPauseSeconds}
                     confidence={confidence}
                     error={error}
-                    audioEnabled={audioEnabled}
-                    onToggleAudio={() => setAudioEnabled(!audioEnabled)}
+                    audioPreferences={audioPreferences}
+                    onAudioPreferencesChange={updateAudioPreferences}
                     language={language}
-                    onLanguageChange={changeLanguage}
+                    onLanguageChange={handleLanguageChange}
+                    previousLanguage={previousLanguage}
+                    engines={engines}
+                    engineId={engineId}
+                    onEngineChange={changeEngine}
+                    engineSettings={engineSettings}
+                    onEngineSettingsChange={updateEngineSettings}
+                    isSupported={isSupported}
+                    audioStream={audioRecorder.stream}
+                    formatting={getFormatting(language)}
+                    onFormattingChange={(changes) => updateFormatting(language, changes)}
+                    voiceCommandsEnabled={voiceCommands.enabled}
+                    onOpenVoiceCommands={() => setShowVoiceCommands(true)}
+                    vocabularySize={vocabulary.rules.length}
+                    onOpenVocabulary={() => setShowVocabulary(true)}
+                    microphoneLabel={microphoneLabel}
+                    onOpenMicCheck={() => setShowMicCheck(true)}
                   />
                 </CardContent>
               </Card>
@@ -374,20 +786,89 @@ function App() {
                       />
                       {currentNote.isRecording && (
                         <Badge variant="destructive" className="animate-pulse">
-                          Recording
+                          {currentNote.recordingTabId && currentNote.recordingTabId !== TAB_ID
+                            ? 'Recording in another tab'
+                            : 'Recording'}
                         </Badge>
                       )}
+                      <Button
+                        variant={showTranscript ? 'secondary' : 'ghost'}
+                        size="sm"
+                        onClick={() => setShowTranscript(!showTranscript)}
+                        title="Transcript segments and speakers"
+                      >
+                        <ListOrdered className="w-4 h-4" />
+                      </Button>
+                      <Button
+                        variant={showRevisions ? 'secondary' : 'ghost'}
+                        size="sm"
+                        onClick={() => setShowRevisions(!showRevisions)}
+                        title="Revision history"
+                      >
+                        <History className="w-4 h-4" />
+                      </Button>
                     </div>
                   </CardHeader>
                   <CardContent>
                     <div className="space-y-4">
-                      <RichTextEditor
-                        content={currentNote.content}
-                        onChange={(content) => updateNote(currentNote.id, { content })}
-                        placeholder="Your transcription will appear here as you speak..."
-                        className="min-h-[300px]"
-                        isAppending={isRecording}
+                      <SpeakerBar
+                        attendees={speakers.attendees}
+                        speakers={speakers.speakers}
+                        activeSpeakerId={speakers.activeSpeakerId}
+                        isRecording={isRecording}
+                        onMarkSpeaker={speakers.markSpeaker}
+                        onAddAttendee={speakers.addAttendee}
+                        onRemoveAttendee={speakers.removeAttendee}
                       />
+                      <div className={showRevisions ? 'grid grid-cols-1 xl:grid-cols-3 gap-4' : ''}>
+                        <RichTextEditor
+                          ref={editorRef}
+                          content={currentNote.content}
+                          onChange={(content) => updateNote(currentNote.id, { content })}
+                          placeholder="Your transcription will appear here as you speak..."
+                          className={showRevisions ? 'min-h-[300px] xl:col-span-2' : 'min-h-[300px]'}
+                          isAppending={isRecording}
+                          contentStyles={[
+                            buildSpeakerStyles(currentNote, EDITOR_CONTENT_SELECTOR),
+                            buildReviewStyles(currentNote, EDITOR_CONTENT_SELECTOR),
+                            buildPlaybackStyles(playback.activeSegmentId, EDITOR_CONTENT_SELECTOR)
+                          ].join('\n')}
+                          onSegmentClick={handleSegmentClick}
+                        />
+                        <SegmentReviewPopover
+                          segment={reviewSegment}
+                          anchorRect={reviewTarget?.rect}
+                          remainingCount={segmentsToReview.filter(segment => segment.id !== reviewTarget?.segmentId).length}
+                          onRevise={handleReviseSegment}
+                          onNext={() => openNextReview(reviewTarget.segmentId)}
+                          onClose={() => setReviewTarget(null)}
+                        />
+                        {showRevisions && (
+                          <RevisionHistory
+                            note={currentNote}
+                            getRevisions={getRevisions}
+                            revisionsVersion={revisionsVersion}
+                            onRestore={restoreRevision}
+                            onClose={() => setShowRevisions(false)}
+                          />
+                        )}
+                      </div>
+
+                      {playback.hasAudio && !isRecording && (
+                        <AudioPlayer {...playback} />
+                      )}
+
+                      {showTranscript && (
+                        <TranscriptSegments
+                          note={currentNote}
+                          activeSegmentId={playback.activeSegmentId}
+                          onSeek={playback.hasAudio ? playback.seekToSegment : null}
+                          speakers={speakers.speakers}
+                          attendees={speakers.attendees}
+                          onAssignSpeaker={speakers.assignSegments}
+                          onClose={() => setShowTranscript(false)}
+                        />
+                      )}
                       
                       {interimTranscript && (
                         <div className="p-4 bg-gradient-to-r from-primary/10 to-primary/5 rounded-lg border-l-4 border-primary">
@@ -402,12 +883,38 @@ function App() {
                       <div className="flex items-center justify-between text-sm text-muted-foreground pt-4 border-t">
                         <div className="flex items-center gap-4">
                           <span>{currentNote.wordCount} words</span>
+                          {segmentsToReview.length > 0 && (
+                            <Badge
+                              variant="outline"
+                              className="cursor-pointer border-amber-500 text-amber-600 dark:text-amber-400"
+                              title="Proofread phrases the recognizer wasn't sure about"
+                              onClick={() => openSegmentReview(segmentsToReview[0].id)}
+                            >
+                              {segmentsToReview.length} to check
+                            </Badge>
+                          )}
                           <span>{Math.floor(currentNote.duration / 60)}:{(currentNote.duration % 60).toString().padStart(2, '0')} recorded</span>
+                          {currentNote.speakingTime > 0 && (
+                            <span title="Time someone was speaking, without the silences">
+                              {formatSegmentTime(currentNote.speakingTime * 1000)} speaking
+                            </span>
+                          )}
                           <span>Updated {new Date(currentNote.updatedAt).toLocaleTimeString()}</span>
                         </div>
-                        <Badge variant="outline">
-                          Auto-saved
-                        </Badge>
+                        {saveStatus.state === 'error' ? (
+                          <Badge
+                            variant="destructive"
+                            className="cursor-pointer"
+                            title={saveStatus.error}
+                            onClick={() => setShowStorageHealth(true)}
+                          >
+                            Not saved
+                          </Badge>
+                        ) : (
+                          <Badge variant="outline">
+                            {saveStatus.state === 'saving' ? 'Saving…' : 'Auto-saved'}
+                          </Badge>
+                        )}
                       </div>
                     </div>
                   </CardContent>
@@ -472,13 +979,74 @@ function App() {
         onCreateNote={handleNewNote}
         onStartRecording={handleStartRecording}
         onToggleDarkMode={() => setDarkMode(!darkMode)}
-        onExportNotes={exportNotes}
+        onExportNotes={handleExportNotes}
+        onImportNotes={() => setShowImport(true)}
+        onBackupNow={backup.backupNow}
+        onOpenVoiceCommands={() => setShowVoiceCommands(true)}
+        onOpenVocabulary={() => setShowVocabulary(true)}
+        onOpenMicCheck={() => setShowMicCheck(true)}
         onToggleArchive={toggleArchiveNote}
         onToggleStar={toggleStarNote}
-        onDeleteNote={deleteNote}
+        onDeleteNote={handleDeleteNote}
+        onEmptyTrash={emptyTrash}
+        trashCount={stats.trashedNotes}
+        onUndo={undo}
+        onRedo={redo}
+        undoLabel={undoLabel}
+        redoLabel={redoLabel}
         currentNote={currentNote}
         darkMode={darkMode}
       />
+
+      <StorageHealthDialog
+        open={showStorageHealth}
+        onOpenChange={setShowStorageHealth}
+        usage={storageHealth.usage}
+        level={storageHealth.level}
+        storageType={storageType}
+        saveStatus={saveStatus}
+        notes={allNotes}
+        trashCount={stats.trashedNotes}
+        onArchiveNotes={handleArchiveNotes}
+        onEmptyTrash={emptyTrash}
+        audioSizes={audioRecorder.audioSizes}
+        onDeleteAudio={audioRecorder.deleteAudio}
+      />
+
+      <ImportNotesDialog
+        open={showImport}
+        onOpenChange={setShowImport}
+        existingNotes={allNotes}
+        onImport={handleImportNotes}
+      />
+
+      <BackupSettingsDialog
+        open={showBackupSettings}
+        onOpenChange={setShowBackupSettings}
+        {...backup}
+      />
+
+      <VoiceCommandsDialog
+        open={showVoiceCommands}
+        onOpenChange={setShowVoiceCommands}
+        languageName={getLocaleName(language)}
+        {...voiceCommands}
+      />
+
+      <VocabularyDialog
+        open={showVocabulary}
+        onOpenChange={setShowVocabulary}
+        {...vocabulary}
+      />
+
+      <MicCheckDialog
+        open={showMicCheck}
+        onOpenChange={setShowMicCheck}
+        usesDefaultMicrophone={engineId === 'web-speech'}
+        {...microphone}
+      />
+
+      <Toaster position="bottom-right" />
     </div>
   );
 }
@@ -0,0 +1,88 @@
+import React from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Slider } from '@/components/ui/slider.jsx';
+import { Switch } from '@/components/ui/switch.jsx';
+import { Pause, Play, RotateCcw, RotateCw } from 'lucide-react';
+import { formatSegmentTime } from '../lib/transcript';
+import { PLAYBACK_RATES } from '../hooks/useAudioPlayback';
+
+const JUMP_MS = 10000;
+
+// Controls for a note's recorded audio; see useAudioPlayback for the playback itself
+const AudioPlayer = ({
+  isPlaying,
+  position,
+  duration,
+  rate,
+  skipSilences,
+  play,
+  pause,
+  seek,
+  setRate,
+  setSkipSilences
+}) => (
+  <div className="flex flex-wrap items-center gap-3 border rounded-lg px-3 py-2 bg-muted/30">
+    <div className="flex items-center gap-1">
+      <Button
+        variant="ghost"
+        size="sm"
+        className="h-8 w-8 p-0"
+        onClick={() => seek(Math.max(0, position - JUMP_MS))}
+        title="Back 10 seconds"
+      >
+        <RotateCcw className="w-4 h-4" />
+      </Button>
+      <Button
+        variant="default"
+        size="sm"
+        className="h-8 w-8 p-0 rounded-full"
+        onClick={isPlaying ? pause : play}
+        title={isPlaying ? 'Pause' : 'Play recording'}
+      >
+        {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+      </Button>
+      <Button
+        variant="ghost"
+        size="sm"
+        className="h-8 w-8 p-0"
+        onClick={() => seek(Math.min(duration, position + JUMP_MS))}
+        title="Forward 10 seconds"
+      >
+        <RotateCw className="w-4 h-4" />
+      </Button>
+    </div>
+
+    <div className="flex items-center gap-2 flex-1 min-w-[160px]">
+      <span className="text-xs font-mono text-muted-foreground">{formatSegmentTime(position)}</span>
+      <Slider
+        value={[Math.min(position, duration)]}
+        max={Math.max(duration, 1)}
+        step={100}
+        onValueChange={([time]) => seek(time)}
+        aria-label="Playback position"
+        className="flex-1"
+      />
+      <span className="text-xs font-mono text-muted-foreground">{formatSegmentTime(duration)}</span>
+    </div>
+
+    <div className="flex items-center gap-3">
+      <select
+        value={rate}
+        onChange={(e) => setRate(Number(e.target.value))}
+        className="px-2 py-1 text-xs border rounded bg-background"
+        title="Playback speed"
+      >
+        {PLAYBACK_RATES.map(value => (
+          <option key={value} value={value}>{value}x</option>
+        ))}
+      </select>
+      <div className="flex items-center gap-2">
+        <Switch id="skip-silences" checked={skipSilences} onCheckedChange={setSkipSilences} />
+        <Label htmlFor="skip-silences" className="text-xs font-normal">Skip silences</Label>
+      </div>
+    </div>
+  </div>
+);
+
+export default AudioPlayer;
@@ -0,0 +1,155 @@
+import React from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Switch } from '@/components/ui/switch.jsx';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog.jsx';
+import { DatabaseBackup, FolderOpen, X } from 'lucide-react';
+import { BACKUP_INTERVALS } from '../lib/backup';
+
+const MAX_KEEP_COUNT = 100;
+
+const BackupSettingsDialog = ({
+  open,
+  onOpenChange,
+  backupSettings,
+  updateBackupSettings,
+  backupDirectoryName,
+  canPersistBackupDirectory,
+  isFolderBackupSupported,
+  chooseBackupDirectory,
+  forgetBackupDirectory,
+  backupNow,
+  lastBackup,
+  backupError,
+  isBackingUp
+}) => {
+  const handleKeepCountChange = (e) => {
+    const keepCount = Math.min(MAX_KEEP_COUNT, Math.max(1, parseInt(e.target.value, 10) || 1));
+    updateBackupSettings({ keepCount });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <DatabaseBackup className="w-5 h-5" />
+            Automatic Backups
+          </DialogTitle>
+          <DialogDescription>
+            Keep a copy of your notes outside the browser, so clearing browser data doesn't lose them.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <Label htmlFor="backup-enabled">Back up automatically</Label>
+            <Switch
+              id="backup-enabled"
+              checked={backupSettings.enabled}
+              onCheckedChange={(enabled) => updateBackupSettings({ enabled })}
+            />
+          </div>
+
+          {/* Destination */}
+          <div className="space-y-2">
+            <div className="text-sm font-medium">Backup folder</div>
+            {isFolderBackupSupported ? (
+              <>
+                <div className="flex items-center gap-2">
+                  <Button variant="outline" size="sm" onClick={chooseBackupDirectory}>
+                    <FolderOpen className="w-4 h-4 mr-2" />
+                    {backupDirectoryName ? 'Change Folder' : 'Choose Folder'}
+                  </Button>
+                  {backupDirectoryName && (
+                    <>
+                      <span className="text-sm truncate flex-1">{backupDirectoryName}</span>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-8 w-8 p-0"
+                        onClick={forgetBackupDirectory}
+                        title="Stop using this folder"
+                      >
+                        <X className="w-4 h-4" />
+                      </Button>
+                    </>
+                  )}
+                </div>
+                {!backupDirectoryName && (
+                  <p className="text-xs text-muted-foreground">
+                    Without a folder you'll be reminded to download each backup.
+                  </p>
+                )}
+                {backupDirectoryName && !canPersistBackupDirectory && (
+                  <p className="text-xs text-muted-foreground">
+                    The folder has to be chosen again after reloading the page.
+                  </p>
+                )}
+              </>
+            ) : (
+              <p className="text-xs text-muted-foreground">
+                This browser can't write to folders, so you'll be reminded to download each backup instead.
+              </p>
+            )}
+          </div>
+
+          {/* Schedule */}
+          <div className="grid grid-cols-2 gap-3">
+            <label className="space-y-1 text-sm">
+              <span className="font-medium">Frequency</span>
+              <select
+                value={backupSettings.intervalMinutes}
+                onChange={(e) => updateBackupSettings({ intervalMinutes: Number(e.target.value) })}
+                className="w-full px-2 py-1.5 text-sm border rounded bg-background"
+              >
+                {BACKUP_INTERVALS.map(({ minutes, label }) => (
+                  <option key={minutes} value={minutes}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="space-y-1 text-sm">
+              <span className="font-medium">Backups to keep</span>
+              <Input
+                type="number"
+                min={1}
+                max={MAX_KEEP_COUNT}
+                value={backupSettings.keepCount}
+                onChange={handleKeepCountChange}
+                disabled={!backupDirectoryName}
+                className="h-8"
+              />
+            </label>
+          </div>
+
+          {/* Status */}
+          <div className="text-xs text-muted-foreground">
+            {lastBackup
+              ? `Last backup ${new Date(lastBackup.at).toLocaleString()} (${lastBackup.fileName})`
+              : 'No backups yet'}
+          </div>
+          {backupError && (
+            <p className="text-xs text-destructive">Last attempt failed: {backupError}</p>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button onClick={backupNow} disabled={isBackingUp}>
+            <DatabaseBackup className="w-4 h-4 mr-2" />
+            {isBackingUp ? 'Backing Up…' : 'Back Up Now'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default BackupSettingsDialog;
@@ -18,7 +18,14 @@ import {
   Tag,
   Calendar,
   Clock,
-  Filter
+  Filter,
+  Undo,
+  Redo,
+  Upload,
+  DatabaseBackup,
+  MessageSquareText,
+  BookA,
+  AudioLines
 } from 'lucide-react';
 
 const CommandPalette = ({ 
@@ -28,9 +35,20 @@ const CommandPalette = ({
   onStartRecording, 
   onToggleDarkMode, 
   onExportNotes,
+  onImportNotes,
+  onBackupNow,
+  onOpenVoiceCommands,
+  onOpenVocabulary,
+  onOpenMicCheck,
   onToggleArchive,
   onToggleStar,
   onDeleteNote,
+  onEmptyTrash,
+  trashCount = 0,
+  onUndo,
+  onRedo,
+  undoLabel,
+  redoLabel,
   currentNote,
   darkMode 
 }) => {
@@ -62,6 +80,32 @@ const CommandPalette = ({
       },
       keywords: ['record', 'voice', 'transcribe', 'mic', 'start']
     },
+    ...(undoLabel ? [
+      {
+        id: 'undo',
+        title: `Undo: ${undoLabel}`,
+        description: 'Revert the last change to your notes (Ctrl+Z)',
+        icon: Undo,
+        action: () => {
+          onUndo();
+          onClose();
+        },
+        keywords: ['undo', 'revert', 'back', 'restore']
+      }
+    ] : []),
+    ...(redoLabel ? [
+      {
+        id: 'redo',
+        title: `Redo: ${redoLabel}`,
+        description: 'Reapply the last undone change (Ctrl+Shift+Z)',
+        icon: Redo,
+        action: () => {
+          onRedo();
+          onClose();
+        },
+        keywords: ['redo', 'repeat', 'reapply']
+      }
+    ] : []),
     {
       id: 'toggle-theme',
       title: `Switch to ${darkMode ? 'Light' : 'Dark'} Mode`,
@@ -84,6 +128,61 @@ const CommandPalette = ({
       },
       keywords: ['export', 'download', 'save', 'backup']
     },
+    {
+      id: 'import-notes',
+      title: 'Import Notes',
+      description: 'Load notes from an exported JSON, Markdown or text file',
+      icon: Upload,
+      action: () => {
+        onImportNotes();
+        onClose();
+      },
+      keywords: ['import', 'upload', 'restore', 'backup', 'load']
+    },
+    {
+      id: 'backup-now',
+      title: 'Back Up Now',
+      description: 'Save a backup to your backup folder, or download one',
+      icon: DatabaseBackup,
+      action: () => {
+        onBackupNow();
+        onClose();
+      },
+      keywords: ['backup', 'save', 'copy', 'folder']
+    },
+    {
+      id: 'voice-commands',
+      title: 'Voice Commands',
+      description: 'Turn spoken commands on or off and change their phrases',
+      icon: MessageSquareText,
+      action: () => {
+        onOpenVoiceCommands();
+        onClose();
+      },
+      keywords: ['voice', 'commands', 'dictation', 'phrases', 'speech']
+    },
+    {
+      id: 'vocabulary',
+      title: 'Custom Vocabulary',
+      description: 'Words and names to replace in dictated text',
+      icon: BookA,
+      action: () => {
+        onOpenVocabulary();
+        onClose();
+      },
+      keywords: ['vocabulary', 'dictionary', 'words', 'replace', 'names', 'acronyms', 'csv']
+    },
+    {
+      id: 'mic-check',
+      title: 'Microphone Check',
+      description: 'Choose the microphone and test its level',
+      icon: AudioLines,
+      action: () => {
+        onOpenMicCheck();
+        onClose();
+      },
+      keywords: ['microphone', 'mic', 'input', 'device', 'level', 'test', 'headset', 'noise']
+    },
     ...(currentNote ? [
       {
         id: 'star-note',
@@ -109,14 +208,12 @@ const CommandPalette = ({
       },
       {
         id: 'delete-note',
-        title: 'Delete Note',
-        description: 'Permanently delete current note',
+        title: 'Move Note to Trash',
+        description: 'Move current note to the trash',
         icon: Trash2,
         action: () => {
-          if (confirm('Are you sure you want to delete this note?')) {
-            onDeleteNote(currentNote.id);
-            onClose();
-          }
+          onDeleteNote(currentNote.id);
+          onClose();
         },
         keywords: ['delete', 'remove', 'trash']
       },
@@ -132,6 +229,21 @@ const CommandPalette = ({
         keywords: ['copy', 'clipboard', 'content']
       }
     ] : []),
+    ...(trashCount > 0 ? [
+      {
+        id: 'empty-trash',
+        title: 'Empty Trash',
+        description: `Permanently delete ${trashCount} note${trashCount !== 1 ? 's' : ''} in the trash`,
+        icon: Trash2,
+        action: () => {
+          if (confirm('Permanently delete all notes in the trash? This cannot be undone.')) {
+            onEmptyTrash();
+            onClose();
+          }
+        },
+        keywords: ['empty', 'trash', 'purge', 'delete']
+      }
+    ] : []),
     {
       id: 'new-folder',
       title: 'Create New Folder',
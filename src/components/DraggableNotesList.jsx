@@ -12,6 +12,9 @@ import {
   FileText
 } from 'lucide-react';
 
+// Dragged notes carry their id under a private type, so dropped text is never mistaken for one
+const NOTE_ID_MIME_TYPE = 'application/x-voice-note-id';
+
 const DraggableNoteItem = ({ 
   note, 
   isSelected, 
@@ -24,7 +27,7 @@ const DraggableNoteItem = ({
   onDragOver,
   onDrop,
   isDragging,
-  dragOverIndex
+  isDragOver
 }) => {
   const [showActions, setShowActions] = useState(false);
   const dragRef = useRef(null);
@@ -32,7 +35,7 @@ const DraggableNoteItem = ({
   const handleDragStart = (e) => {
     e.dataTransfer.effectAllowed = 'move';
     e.dataTransfer.setData('text/html', dragRef.current.outerHTML);
-    e.dataTransfer.setData('text/plain', note.id);
+    e.dataTransfer.setData(NOTE_ID_MIME_TYPE, note.id);
     onDragStart(note.id);
   };
 
@@ -44,8 +47,10 @@ const DraggableNoteItem = ({
 
   const handleDrop = (e) => {
     e.preventDefault();
-    const draggedId = e.dataTransfer.getData('text/plain');
-    onDrop(draggedId, note.id);
+    const draggedId = e.dataTransfer.getData(NOTE_ID_MIME_TYPE);
+    if (draggedId) {
+      onDrop(draggedId, note.id);
+    }
   };
 
   const formatDate = (dateString) => {
@@ -78,7 +83,7 @@ const DraggableNoteItem = ({
         group relative p-3 rounded-lg border transition-all duration-200 cursor-pointer
         ${isSelected ? 'bg-primary/10 border-primary' : 'bg-card hover:bg-muted/50'}
         ${isDragging ? 'opacity-50 scale-95' : ''}
-        ${dragOverIndex !== null ? 'border-primary border-dashed' : ''}
+        ${isDragOver ? 'border-primary border-dashed' : ''}
       `}
       onClick={() => onSelect(note)}
       onMouseEnter={() => setShowActions(true)}
@@ -195,11 +200,10 @@ const DraggableNoteItem = ({
               variant="ghost"
               size="sm"
               className="h-6 w-6 p-0 text-destructive hover:text-destructive"
+              title="Move to trash"
               onClick={(e) => {
                 e.stopPropagation();
-                if (confirm('Delete this note?')) {
-                  onDelete(note.id);
-                }
+                onDelete(note.id);
               }}
             >
               <Trash2 className="w-3 h-3" />
@@ -221,7 +225,7 @@ const DraggableNotesList = ({
   onReorderNotes 
 }) => {
   const [draggedId, setDraggedId] = useState(null);
-  const [dragOverIndex, setDragOverIndex] = useState(null);
+  const [dragOverId, setDragOverId] = useState(null);
 
   const handleDragStart = (noteId) => {
     setDraggedId(noteId);
@@ -229,14 +233,13 @@ const DraggableNotesList = ({
 
   const handleDragEnd = () => {
     setDraggedId(null);
-    setDragOverIndex(null);
+    setDragOverId(null);
   };
 
+  // Track the target by id: indexes shift when notes update mid-drag
   const handleDragOver = (noteId) => {
     if (draggedId && draggedId !== noteId) {
-      const draggedIndex = notes.findIndex(note => note.id === draggedId);
-      const targetIndex = notes.findIndex(note => note.id === noteId);
-      setDragOverIndex(targetIndex);
+      setDragOverId(noteId);
     }
   };
 
@@ -255,7 +258,7 @@ const DraggableNotesList = ({
     }
     
     setDraggedId(null);
-    setDragOverIndex(null);
+    setDragOverId(null);
   };
 
   if (notes.length === 0) {
@@ -270,7 +273,7 @@ const DraggableNotesList = ({
 
   return (
     <div className="space-y-2">
-      {notes.map((note, index) => (
+      {notes.map(note => (
         <DraggableNoteItem
           key={note.id}
           note={note}
@@ -284,7 +287,7 @@ const DraggableNotesList = ({
           onDragOver={handleDragOver}
           onDrop={handleDrop}
           isDragging={draggedId === note.id}
-          dragOverIndex={dragOverIndex === index ? index : null}
+          isDragOver={dragOverId === note.id}
         />
       ))}
     </div>
@@ -0,0 +1,238 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog.jsx';
+import { Upload, FileText, AlertTriangle } from 'lucide-react';
+import {
+  IMPORT_RESOLUTIONS,
+  parseImportFile,
+  analyzeImport,
+  resolveImport
+} from '../lib/noteImport';
+
+const FORMAT_NAMES = {
+  json: 'JSON backup',
+  markdown: 'Markdown export',
+  txt: 'Text export'
+};
+
+// Conflicting edits are usually worth keeping, exact duplicates usually aren't
+const DEFAULT_RESOLUTIONS = {
+  conflict: 'merge',
+  duplicate: 'skip'
+};
+
+const ImportNotesDialog = ({
+  open,
+  onOpenChange,
+  existingNotes,
+  onImport
+}) => {
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [resolutions, setResolutions] = useState({});
+  const fileInputRef = useRef(null);
+
+  // Start over each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setFileName('');
+      setParsed(null);
+      setResolutions({});
+    }
+  }, [open]);
+
+  const analysis = useMemo(
+    () => (parsed ? analyzeImport(parsed.notes, existingNotes) : null),
+    [parsed, existingNotes]
+  );
+
+  const newItems = analysis ? analysis.items.filter(item => item.status === 'new') : [];
+  const clashingItems = analysis ? analysis.items.filter(item => item.status !== 'new') : [];
+
+  const getResolution = (item) => resolutions[item.note.id] || DEFAULT_RESOLUTIONS[item.status];
+  const replacedItems = clashingItems.filter(item => getResolution(item) === 'replace');
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setFileName(file.name);
+    setResolutions({});
+    try {
+      setParsed(parseImportFile(await file.text(), file.name));
+    } catch (error) {
+      setParsed({ format: null, notes: [], invalid: [], error: error.message });
+    }
+  };
+
+  const setAllResolutions = (resolution) => {
+    setResolutions(Object.fromEntries(clashingItems.map(item => [item.note.id, resolution])));
+  };
+
+  const handleImport = () => {
+    const chosen = Object.fromEntries(analysis.items.map(item => [item.note.id, getResolution(item)]));
+    onImport(resolveImport(analysis.items, chosen));
+    onOpenChange(false);
+  };
+
+  const importCount = newItems.length + clashingItems.filter(item => getResolution(item) !== 'skip').length;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Upload className="w-5 h-5" />
+            Import Notes
+          </DialogTitle>
+          <DialogDescription>
+            Load a JSON backup, or a Markdown or text file exported from Voice Notes.
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* File Picker */}
+        <div className="flex items-center gap-3">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,.md,.markdown,.txt,application/json,text/markdown,text/plain"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+          <Button variant="outline" onClick={() => fileInputRef.current?.click()}>
+            <FileText className="w-4 h-4 mr-2" />
+            Choose File
+          </Button>
+          <span className="text-sm text-muted-foreground truncate">
+            {fileName || 'No file selected'}
+          </span>
+        </div>
+
+        {parsed?.error && (
+          <p className="text-sm text-destructive">{parsed.error}</p>
+        )}
+
+        {/* Preview */}
+        {analysis && !parsed.error && (
+          <div className="space-y-3">
+            <div className="flex flex-wrap gap-2 text-xs">
+              {parsed.format && <Badge variant="secondary">{FORMAT_NAMES[parsed.format]}</Badge>}
+              <Badge variant="outline">{newItems.length} new</Badge>
+              <Badge variant="outline">
+                {clashingItems.filter(item => item.status === 'conflict').length} conflicts
+              </Badge>
+              <Badge variant="outline">
+                {clashingItems.filter(item => item.status === 'duplicate').length} duplicates
+              </Badge>
+              {analysis.skippedInFile > 0 && (
+                <Badge variant="outline">{analysis.skippedInFile} repeated in file</Badge>
+              )}
+            </div>
+
+            {parsed.invalid.length > 0 && (
+              <div
+                className="flex items-center gap-2 text-xs text-amber-600 dark:text-amber-400"
+                title={parsed.invalid.map(entry => entry.error).join('\n')}
+              >
+                <AlertTriangle className="w-4 h-4" />
+                {parsed.invalid.length} unreadable note(s) will be left out
+              </div>
+            )}
+
+            {newItems.length > 0 && (
+              <div className="space-y-2">
+                <span className="text-sm font-medium">New notes</span>
+                <div className="max-h-40 overflow-y-auto border rounded divide-y">
+                  {newItems.map(item => (
+                    <div key={item.note.id} className="px-3 py-2 text-sm truncate">
+                      {item.note.title || 'Untitled'}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {clashingItems.length > 0 && (
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium">Already in your notes</span>
+                  <select
+                    value=""
+                    onChange={(e) => e.target.value && setAllResolutions(e.target.value)}
+                    className="px-2 py-1 text-xs border rounded bg-background"
+                  >
+                    <option value="">Set all…</option>
+                    {Object.entries(IMPORT_RESOLUTIONS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="max-h-60 overflow-y-auto border rounded divide-y">
+                  {clashingItems.map(item => (
+                    <div key={item.note.id} className="flex items-center gap-3 px-3 py-2">
+                      <div className="flex-1 min-w-0">
+                        <div className="text-sm truncate">{item.note.title || 'Untitled'}</div>
+                        <div className="text-xs text-muted-foreground truncate">
+                          {item.reason}
+                          {item.existing.title !== item.note.title && ` — matches "${item.existing.title}"`}
+                        </div>
+                      </div>
+                      <select
+                        value={getResolution(item)}
+                        onChange={(e) => setResolutions(prev => ({ ...prev, [item.note.id]: e.target.value }))}
+                        className="px-2 py-1 text-xs border rounded bg-background"
+                      >
+                        {Object.entries(IMPORT_RESOLUTIONS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  Merge keeps the most recently edited version and combines tags. Replace overwrites your note with the imported one.
+                </p>
+              </div>
+            )}
+
+            {replacedItems.length > 0 && (
+              <div className="space-y-2">
+                <span className="flex items-center gap-2 text-sm font-medium text-amber-600 dark:text-amber-400">
+                  <AlertTriangle className="w-4 h-4" />
+                  Your notes that will be overwritten
+                </span>
+                <div className="max-h-40 overflow-y-auto border rounded divide-y">
+                  {replacedItems.map(item => (
+                    <div key={item.note.id} className="px-3 py-2 text-sm truncate">
+                      {item.existing.title || 'Untitled'}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleImport} disabled={!analysis || importCount === 0}>
+            Import {importCount > 0 ? `${importCount} Note${importCount !== 1 ? 's' : ''}` : ''}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ImportNotesDialog;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { Label } from '@/components/ui/label.jsx';
+import { Progress } from '@/components/ui/progress.jsx';
+import { Switch } from '@/components/ui/switch.jsx';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog.jsx';
+import { AlertTriangle, Mic } from 'lucide-react';
+import { PROCESSING_OPTIONS, measureInput, describeTrack } from '../lib/microphone';
+import { createAudioAnalyser } from '../lib/voiceActivity';
+import { stopStream } from '../lib/audioRecording';
+
+const METER_INTERVAL_MS = 100;
+const METER_FLOOR_DB = -60; // shown as an empty meter
+const CLIPPING_HOLD_MS = 1500; // keep the warning up long enough to read
+const QUIET_DB = -45; // peaks below this while talking are too quiet to recognize well
+
+const MIC_ERRORS = {
+  NotAllowedError: 'Microphone permission is denied. Allow it in the browser\'s site settings.',
+  NotFoundError: 'No microphone was found.',
+  NotReadableError: 'The microphone is in use by another application or can\'t be read.',
+  OverconstrainedError: 'The chosen microphone isn\'t available.',
+  // Browsers only offer the microphone to secure (https or localhost) pages
+  unsupported: 'This browser can\'t open the microphone on this page. It needs a secure (https) connection.'
+};
+
+const toMeterValue = (level) =>
+  Math.max(0, Math.min(100, ((level - METER_FLOOR_DB) / -METER_FLOOR_DB) * 100));
+
+// Choose the microphone and its processing, and check its level before a meeting
+const MicCheckDialog = ({
+  open,
+  onOpenChange,
+  settings,
+  devices,
+  isDeviceMissing,
+  constraints,
+  updateSettings,
+  refreshDevices,
+  usesDefaultMicrophone = false
+}) => {
+  const [track, setTrack] = useState(null);
+  const [input, setInput] = useState({ level: -Infinity, peak: 0 });
+  const [loudest, setLoudest] = useState(-Infinity);
+  const [clippedAt, setClippedAt] = useState(0);
+  const [error, setError] = useState(null);
+
+  // Listen while the dialog is open, again whenever the choice changes
+  const constraintsKey = JSON.stringify(constraints);
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    let stream = null;
+    let analyser = null;
+    let interval = null;
+    setError(null);
+    setTrack(null);
+    setLoudest(-Infinity);
+    setClippedAt(0);
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setError(MIC_ERRORS.unsupported);
+      return;
+    }
+
+    navigator.mediaDevices.getUserMedia({ audio: JSON.parse(constraintsKey) })
+      .then((openedStream) => {
+        if (cancelled) {
+          stopStream(openedStream);
+          return;
+        }
+        stream = openedStream;
+        setTrack(describeTrack(openedStream));
+        refreshDevices(); // names are only available once the microphone is allowed
+
+        analyser = createAudioAnalyser(openedStream, { fftSize: 2048, smoothingTimeConstant: 0 });
+        const samples = new Float32Array(analyser.analyser.fftSize);
+        interval = setInterval(() => {
+          const measured = measureInput(analyser.analyser, samples);
+          setInput(measured);
+          setLoudest(prev => Math.max(prev, measured.level));
+          if (measured.isClipping) setClippedAt(Date.now());
+        }, METER_INTERVAL_MS);
+      })
+      .catch((openError) => {
+        if (!cancelled) setError(MIC_ERRORS[openError.name] || openError.message);
+      });
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+      analyser?.close();
+      stopStream(stream);
+    };
+  }, [open, constraintsKey, refreshDevices]);
+
+  const isClipping = Date.now() - clippedAt < CLIPPING_HOLD_MS;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Mic className="w-5 h-5" />
+            Microphone
+          </DialogTitle>
+          <DialogDescription>
+            Pick the input to record from and say a few sentences to check the level.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-1">
+            <select
+              value={settings.deviceId}
+              onChange={(e) => updateSettings({ deviceId: e.target.value })}
+              className="w-full px-3 py-1.5 text-sm border rounded-md bg-background"
+              aria-label="Microphone"
+            >
+              <option value="">System default</option>
+              {devices.map(device => (
+                <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+              ))}
+              {isDeviceMissing && <option value={settings.deviceId}>Unplugged microphone</option>}
+            </select>
+            {isDeviceMissing && (
+              <p className="text-xs text-amber-600 dark:text-amber-400">
+                The chosen microphone isn't connected, so the system default is used until it's back.
+              </p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            {PROCESSING_OPTIONS.map(({ key, label, hint }) => (
+              <div key={key} className="flex items-center justify-between gap-2">
+                <Label htmlFor={`mic-${key}`} className="font-normal flex flex-col items-start gap-0">
+                  <span>{label}</span>
+                  <span className="text-xs text-muted-foreground">{hint}</span>
+                </Label>
+                <Switch
+                  id={`mic-${key}`}
+                  checked={settings[key]}
+                  onCheckedChange={(checked) => updateSettings({ [key]: checked })}
+                />
+              </div>
+            ))}
+          </div>
+
+          {/* Mic Check */}
+          <div className="space-y-2 border rounded-lg p-3 bg-muted/30">
+            {error ? (
+              <p className="text-sm text-destructive">{error}</p>
+            ) : (
+              <>
+                <Progress
+                  value={toMeterValue(input.level)}
+                  className={isClipping ? '[&>*]:bg-destructive' : ''}
+                  aria-label="Input level"
+                />
+                <div className="flex justify-between text-xs text-muted-foreground">
+                  <span>{Number.isFinite(input.level) ? `${Math.round(input.level)} dBFS` : 'No signal'}</span>
+                  <span>Peak {Math.round(input.peak * 100)}%</span>
+                </div>
+                {isClipping && (
+                  <p className="flex items-center gap-1 text-xs text-destructive">
+                    <AlertTriangle className="w-3 h-3" />
+                    Clipping: move back from the microphone or lower its gain
+                  </p>
+                )}
+                {!isClipping && Number.isFinite(loudest) && loudest < QUIET_DB && (
+                  <p className="text-xs text-muted-foreground">
+                    Quiet so far. Speak normally; the level should reach about the middle.
+                  </p>
+                )}
+                {track && (
+                  <dl className="grid grid-cols-2 gap-x-3 gap-y-0.5 text-xs pt-1">
+                    <dt className="text-muted-foreground">Input</dt>
+                    <dd className="truncate" title={track.label}>{track.label}</dd>
+                    <dt className="text-muted-foreground">Sample rate</dt>
+                    <dd>{track.sampleRate ? `${(track.sampleRate / 1000).toFixed(1)} kHz` : 'Unknown'}</dd>
+                    <dt className="text-muted-foreground">Channels</dt>
+                    <dd>{track.channelCount || 'Unknown'}</dd>
+                  </dl>
+                )}
+              </>
+            )}
+          </div>
+
+          {usesDefaultMicrophone && (
+            <p className="text-xs text-muted-foreground">
+              The browser's speech recognition always listens to the system default input. The chosen
+              microphone is used for the recorded audio and by streaming engines.
+            </p>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default MicCheckDialog;
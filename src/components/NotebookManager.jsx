@@ -17,8 +17,10 @@ import {
   Search,
   Filter,
   Star,
-  Archive
+  Archive,
+  Trash
 } from 'lucide-react';
+import { createId } from '../lib/ids';
 
 const NotebookItem = ({ 
   notebook, 
@@ -167,7 +169,8 @@ const NotebookManager = ({
     { id: 'all', name: 'All Notes', isDefault: true },
     { id: 'starred', name: 'Starred', isDefault: true },
     { id: 'archived', name: 'Archived', isDefault: true },
-    { id: 'recent', name: 'Recent', isDefault: true }
+    { id: 'recent', name: 'Recent', isDefault: true },
+    { id: 'trash', name: 'Trash', isDefault: true }
   ];
 
   const allNotebooks = [...defaultNotebooks, ...notebooks];
@@ -185,6 +188,7 @@ const NotebookManager = ({
   const handleCreateNotebook = () => {
     if (newNotebookName.trim()) {
       onNotebookCreate({
+        id: createId(),
         name: newNotebookName.trim(),
         color: '#3b82f6',
         description: ''
@@ -203,20 +207,26 @@ const NotebookManager = ({
     }
   };
 
+  // Trashed notes only count towards the Trash notebook
+  const activeNotes = notes.filter(note => !note.deletedAt);
+
   const getNotebookNoteCount = (notebookId) => {
     switch (notebookId) {
       case 'all':
-        return notes.length;
+        return activeNotes.length;
       case 'starred':
-        return notes.filter(note => note.isStarred).length;
+        return activeNotes.filter(note => note.isStarred).length;
       case 'archived':
-        return notes.filter(note => note.isArchived).length;
-      case 'recent':
+        return activeNotes.filter(note => note.isArchived).length;
+      case 'recent': {
         const weekAgo = new Date();
         weekAgo.setDate(weekAgo.getDate() - 7);
-        return notes.filter(note => new Date(note.updatedAt) > weekAgo).length;
+        return activeNotes.filter(note => new Date(note.updatedAt) > weekAgo).length;
+      }
+      case 'trash':
+        return notes.filter(note => note.deletedAt).length;
       default:
-        return notes.filter(note => note.notebookId === notebookId).length;
+        return activeNotes.filter(note => note.notebookId === notebookId).length;
     }
   };
 
@@ -333,6 +343,15 @@ const NotebookManager = ({
               <Archive className="w-3 h-3 mr-1" />
               Archived
             </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => onFilterByNotebook('trash')}
+              className="justify-start"
+            >
+              <Trash className="w-3 h-3 mr-1" />
+              Trash
+            </Button>
           </div>
         </div>
 
@@ -341,7 +360,7 @@ const NotebookManager = ({
           <div className="text-xs text-muted-foreground space-y-1">
             <div className="flex justify-between">
               <span>Total Notes:</span>
-              <span>{notes.length}</span>
+              <span>{activeNotes.length}</span>
             </div>
             <div className="flex justify-between">
               <span>Notebooks:</span>
@@ -349,7 +368,7 @@ const NotebookManager = ({
             </div>
             <div className="flex justify-between">
               <span>Starred:</span>
-              <span>{notes.filter(note => note.isStarred).length}</span>
+              <span>{activeNotes.filter(note => note.isStarred).length}</span>
             </div>
           </div>
         </div>
@@ -16,8 +16,11 @@ import {
   SortDesc,
   MoreVertical,
   Download,
-  Copy
+  Copy,
+  RotateCcw,
+  Upload
 } from 'lucide-react';
+import { TAB_ID } from '../lib/tabSync';
 
 export const NotesList = ({
   notes,
@@ -31,7 +34,16 @@ export const NotesList = ({
   sortBy,
   sortOrder,
   onSortChange,
-  onExport
+  onExport,
+  onImport,
+  showTrash = false,
+  trashCount = 0,
+  onToggleTrash,
+  onNoteRestore,
+  onNotePurge,
+  onEmptyTrash,
+  trashRetentionDays,
+  onTrashRetentionChange
 }) => {
   const [editingId, setEditingId] = useState(null);
   const [editTitle, setEditTitle] = useState('');
@@ -121,6 +133,25 @@ export const NotesList = ({
     URL.revokeObjectURL(url);
   };
 
+  const handlePurge = (note) => {
+    if (confirm(`Permanently delete "${note.title}"? This cannot be undone.`)) {
+      onNotePurge(note.id);
+    }
+  };
+
+  const handleEmptyTrash = () => {
+    if (confirm(`Permanently delete ${notes.length} note${notes.length !== 1 ? 's' : ''} in the trash? This cannot be undone.`)) {
+      onEmptyTrash();
+    }
+  };
+
+  const retentionOptions = [
+    { value: 7, label: '7 days' },
+    { value: 30, label: '30 days' },
+    { value: 90, label: '90 days' },
+    { value: 0, label: 'Never' }
+  ];
+
   const getSortIcon = () => {
     return sortOrder === 'asc' ? <SortAsc className="w-4 h-4" /> : <SortDesc className="w-4 h-4" />;
   };
@@ -136,7 +167,9 @@ export const NotesList = ({
     <div className="space-y-4">
       {/* Header */}
       <div className="flex items-center justify-between">
-        <h2 className="text-lg font-semibold">Notes ({notes.length})</h2>
+        <h2 className="text-lg font-semibold">
+          {showTrash ? 'Trash' : 'Notes'} ({notes.length})
+        </h2>
         <div className="flex items-center gap-2">
           <Button
             variant="ghost"
@@ -145,9 +178,25 @@ export const NotesList = ({
           >
             <Filter className="w-4 h-4" />
           </Button>
-          <Button size="sm" onClick={onNoteCreate}>
-            <Plus className="w-4 h-4" />
+          <Button
+            variant={showTrash ? 'secondary' : 'ghost'}
+            size="sm"
+            onClick={onToggleTrash}
+            title={showTrash ? 'Back to notes' : 'Show trash'}
+            className="relative"
+          >
+            <Trash2 className="w-4 h-4" />
+            {!showTrash && trashCount > 0 && (
+              <span className="absolute -top-1 -right-1 min-w-4 h-4 px-1 rounded-full bg-muted text-[10px] leading-4 text-muted-foreground">
+                {trashCount}
+              </span>
+            )}
           </Button>
+          {!showTrash && (
+            <Button size="sm" onClick={onNoteCreate}>
+              <Plus className="w-4 h-4" />
+            </Button>
+          )}
         </div>
       </div>
 
@@ -193,11 +242,15 @@ export const NotesList = ({
         {notes.length === 0 ? (
           <Card>
             <CardContent className="text-center py-8">
-              <FileText className="w-12 h-12 mx-auto mb-3 text-muted-foreground" />
+              {showTrash ? (
+                <Trash2 className="w-12 h-12 mx-auto mb-3 text-muted-foreground" />
+              ) : (
+                <FileText className="w-12 h-12 mx-auto mb-3 text-muted-foreground" />
+              )}
               <p className="text-muted-foreground">
-                {searchTerm ? 'No notes match your search' : 'No notes yet'}
+                {searchTerm ? 'No notes match your search' : showTrash ? 'Trash is empty' : 'No notes yet'}
               </p>
-              {!searchTerm && (
+              {!searchTerm && !showTrash && (
                 <Button 
                   variant="outline" 
                   size="sm" 
@@ -241,7 +294,7 @@ export const NotesList = ({
                     )}
                     
                     <p className="text-xs text-muted-foreground mb-2">
-                      {formatDate(note.updatedAt)}
+                      {note.deletedAt ? `Deleted ${formatDate(note.deletedAt).toLowerCase()}` : formatDate(note.updatedAt)}
                     </p>
                     
                     <div className="flex items-center gap-2 flex-wrap">
@@ -254,7 +307,9 @@ export const NotesList = ({
                       </Badge>
                       {note.isRecording && (
                         <Badge variant="destructive" className="text-xs animate-pulse">
-                          Recording
+                          {note.recordingTabId && note.recordingTabId !== TAB_ID
+                            ? 'Recording in another tab'
+                            : 'Recording'}
                         </Badge>
                       )}
                     </div>
@@ -267,53 +322,86 @@ export const NotesList = ({
                   </div>
                   
                   <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
-                    <Button
-                      variant="ghost"
-                      size="sm"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        handleEditStart(note);
-                      }}
-                      className="h-8 w-8 p-0"
-                    >
-                      <Edit3 className="w-3 h-3" />
-                    </Button>
+                    {showTrash ? (
+                      <>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            onNoteRestore(note.id);
+                          }}
+                          className="h-8 w-8 p-0"
+                          title="Restore"
+                        >
+                          <RotateCcw className="w-3 h-3" />
+                        </Button>
+
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handlePurge(note);
+                          }}
+                          className="h-8 w-8 p-0 text-destructive hover:text-destructive"
+                          title="Delete permanently"
+                        >
+                          <Trash2 className="w-3 h-3" />
+                        </Button>
+                      </>
+                    ) : (
+                      <>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleEditStart(note);
+                          }}
+                          className="h-8 w-8 p-0"
+                        >
+                          <Edit3 className="w-3 h-3" />
+                        </Button>
                     
-                    <Button
-                      variant="ghost"
-                      size="sm"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        copyNoteContent(note);
-                      }}
-                      className="h-8 w-8 p-0"
-                    >
-                      <Copy className="w-3 h-3" />
-                    </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            copyNoteContent(note);
+                          }}
+                          className="h-8 w-8 p-0"
+                        >
+                          <Copy className="w-3 h-3" />
+                        </Button>
                     
-                    <Button
-                      variant="ghost"
-                      size="sm"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        exportSingleNote(note, 'markdown');
-                      }}
-                      className="h-8 w-8 p-0"
-                    >
-                      <Download className="w-3 h-3" />
-                    </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            exportSingleNote(note, 'markdown');
+                          }}
+                          className="h-8 w-8 p-0"
+                        >
+                          <Download className="w-3 h-3" />
+                        </Button>
                     
-                    <Button
-                      variant="ghost"
-                      size="sm"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        onNoteDelete(note.id);
-                      }}
-                      className="h-8 w-8 p-0 text-destructive hover:text-destructive"
-                    >
-                      <Trash2 className="w-3 h-3" />
-                    </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            onNoteDelete(note.id);
+                          }}
+                          className="h-8 w-8 p-0 text-destructive hover:text-destructive"
+                          title="Move to trash"
+                        >
+                          <Trash2 className="w-3 h-3" />
+                        </Button>
+                      </>
+                    )}
                   </div>
                 </div>
               </CardContent>
@@ -323,20 +411,59 @@ export const NotesList = ({
       </div>
 
       {/* Bulk Actions */}
-      {notes.length > 0 && (
-        <div className="flex items-center justify-between pt-3 border-t">
-          <span className="text-xs text-muted-foreground">
-            {notes.length} note{notes.length !== 1 ? 's' : ''}
-          </span>
+      {showTrash ? (
+        <div className="flex items-center justify-between gap-2 pt-3 border-t">
+          <label className="flex items-center gap-2 text-xs text-muted-foreground">
+            Auto-delete after
+            <select
+              value={trashRetentionDays}
+              onChange={(e) => onTrashRetentionChange(Number(e.target.value))}
+              className="px-2 py-1 text-xs border rounded bg-background"
+            >
+              {retentionOptions.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
           <Button
             variant="outline"
             size="sm"
-            onClick={() => onExport('markdown')}
+            onClick={handleEmptyTrash}
+            disabled={notes.length === 0}
+            className="text-destructive hover:text-destructive"
           >
-            <Download className="w-4 h-4 mr-2" />
-            Export All
+            <Trash2 className="w-4 h-4 mr-2" />
+            Empty Trash
           </Button>
         </div>
+      ) : (
+        <div className="flex items-center justify-between pt-3 border-t">
+          <span className="text-xs text-muted-foreground">
+            {notes.length} note{notes.length !== 1 ? 's' : ''}
+          </span>
+          <div className="flex items-center gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={onImport}
+            >
+              <Upload className="w-4 h-4 mr-2" />
+              Import
+            </Button>
+            {notes.length > 0 && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => onExport('markdown')}
+              >
+                <Download className="w-4 h-4 mr-2" />
+                Export All
+              </Button>
+            )}
+          </div>
+        </div>
       )}
     </div>
   );
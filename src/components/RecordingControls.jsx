@@ -1,6 +1,9 @@
-import { useState, useEffect } from 'react';
 import { Button } from '@/components/ui/button.jsx';
 import { Badge } from '@/components/ui/badge.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Switch } from '@/components/ui/switch.jsx';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover.jsx';
 import { 
   Mic, 
   Square, 
@@ -10,12 +13,20 @@ import {
   Volume2,
   VolumeX,
   Settings,
-  Clock
+  Clock,
+  MessageSquareText,
+  Type,
+  BookA,
+  Hourglass,
+  AudioLines
 } from 'lucide-react';
 import { WaveformVisualizer } from './WaveformVisualizer';
+import { LOCALES, getLocale, getLocaleLabel, getLocaleName } from '../lib/locales';
+import { isSpeechSynthesisSupported } from '../lib/audioFeedback';
 
 export const RecordingControls = ({
   isRecording,
+  isPaused = false,
   isListening,
   onStartRecording,
   onStopRecording,
@@ -23,35 +34,36 @@ export const RecordingControls = ({
   onResumeRecording,
   onReset,
   elapsedTime,
+  speakingTime = 0,
+  isSpeaking = false,
+  isDetectingSpeech = false,
+  autoPauseSeconds = 0,
+  onAutoPauseChange,
   confidence,
   error,
-  audioEnabled = true,
-  onToggleAudio,
+  audioPreferences,
+  onAudioPreferencesChange,
   language = 'en-US',
-  onLanguageChange
+  previousLanguage = null,
+  onLanguageChange,
+  engines = [],
+  engineId,
+  onEngineChange,
+  audioStream = null,
+  engineSettings = {},
+  onEngineSettingsChange,
+  isSupported = true,
+  formatting,
+  onFormattingChange,
+  voiceCommandsEnabled = false,
+  onOpenVoiceCommands,
+  vocabularySize = 0,
+  onOpenVocabulary,
+  microphoneLabel,
+  onOpenMicCheck
 }) => {
-  const [isPaused, setIsPaused] = useState(false);
-  const [audioStream, setAudioStream] = useState(null);
-
-  useEffect(() => {
-    if (isListening) {
-      // Get audio stream for visualization
-      navigator.mediaDevices.getUserMedia({ audio: true })
-        .then(stream => setAudioStream(stream))
-        .catch(console.error);
-    } else {
-      if (audioStream) {
-        audioStream.getTracks().forEach(track => track.stop());
-        setAudioStream(null);
-      }
-    }
-
-    return () => {
-      if (audioStream) {
-        audioStream.getTracks().forEach(track => track.stop());
-      }
-    };
-  }, [isListening]);
+  const engineSettingFields = engines.find(engine => engine.id === engineId)?.settings || [];
+  const soundsOn = Boolean(audioPreferences?.earcons || audioPreferences?.spokenConfirmations);
 
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
@@ -64,23 +76,11 @@ export const RecordingControls = ({
       onStartRecording();
     } else if (isPaused) {
       onResumeRecording();
-      setIsPaused(false);
     } else {
       onPauseRecording();
-      setIsPaused(true);
     }
   };
 
-  const handleStop = () => {
-    onStopRecording();
-    setIsPaused(false);
-  };
-
-  const handleReset = () => {
-    onReset();
-    setIsPaused(false);
-  };
-
   const getMainButtonIcon = () => {
     if (!isRecording) return <Mic className="w-6 h-6" />;
     if (isPaused) return <Play className="w-6 h-6" />;
@@ -99,20 +99,6 @@ export const RecordingControls = ({
     return "Recording...";
   };
 
-  const languages = [
-    { code: 'en-US', name: 'English (US)' },
-    { code: 'en-GB', name: 'English (UK)' },
-    { code: 'es-ES', name: 'Spanish' },
-    { code: 'fr-FR', name: 'French' },
-    { code: 'de-DE', name: 'German' },
-    { code: 'it-IT', name: 'Italian' },
-    { code: 'pt-BR', name: 'Portuguese' },
-    { code: 'ja-JP', name: 'Japanese' },
-    { code: 'ko-KR', name: 'Korean' },
-    { code: 'zh-CN', name: 'Chinese' },
-    { code: 'kn-IN', name: 'Kannada' }
-  ];
-
   return (
     <div className="space-y-6">
       {/* Status Header */}
@@ -129,6 +115,7 @@ export const RecordingControls = ({
             <h3 className="font-semibold">{getStatusText()}</h3>
             <p className="text-sm text-muted-foreground">
               {isRecording ? `${formatTime(elapsedTime)} elapsed` : 'Click record to start'}
+              {isRecording && (isDetectingSpeech || speakingTime > 0) && ` · ${formatTime(Math.round(speakingTime))} speaking`}
             </p>
           </div>
         </div>
@@ -140,6 +127,11 @@ export const RecordingControls = ({
               {formatTime(elapsedTime)}
             </Badge>
           )}
+          {isRecording && !isPaused && isDetectingSpeech && (
+            <Badge variant={isSpeaking ? 'default' : 'outline'} title="Voice activity">
+              {isSpeaking ? 'Speech' : 'Silence'}
+            </Badge>
+          )}
           {confidence > 0 && (
             <Badge variant="outline">
               {Math.round(confidence * 100)}% confidence
@@ -162,7 +154,7 @@ export const RecordingControls = ({
         <Button
           variant="outline"
           size="lg"
-          onClick={handleReset}
+          onClick={onReset}
           disabled={!isRecording && elapsedTime === 0}
           className="w-12 h-12 rounded-full"
         >
@@ -174,6 +166,7 @@ export const RecordingControls = ({
           size="lg"
           variant={getMainButtonVariant()}
           onClick={handleMainAction}
+          disabled={!isSupported && !isRecording}
           className="w-16 h-16 rounded-full relative overflow-hidden"
         >
           {getMainButtonIcon()}
@@ -186,7 +179,7 @@ export const RecordingControls = ({
         <Button
           variant="outline"
           size="lg"
-          onClick={handleStop}
+          onClick={onStopRecording}
           disabled={!isRecording}
           className="w-12 h-12 rounded-full"
         >
@@ -195,39 +188,290 @@ export const RecordingControls = ({
       </div>
 
       {/* Secondary Controls */}
-      <div className="flex items-center justify-center gap-4">
-        {/* Audio Toggle */}
-        <Button
-          variant="ghost"
-          size="sm"
-          onClick={onToggleAudio}
-          className="flex items-center gap-2"
-        >
-          {audioEnabled ? (
-            <Volume2 className="w-4 h-4" />
-          ) : (
-            <VolumeX className="w-4 h-4" />
-          )}
-          <span className="text-sm">
-            Audio {audioEnabled ? 'On' : 'Off'}
-          </span>
-        </Button>
+      <div className="flex flex-wrap items-center justify-center gap-4">
+        {/* Audio Feedback and Recording */}
+        {audioPreferences && (
+          <Popover>
+            <PopoverTrigger asChild>
+              <Button variant="ghost" size="sm" className="flex items-center gap-2" title="Audio">
+                {soundsOn ? (
+                  <Volume2 className="w-4 h-4" />
+                ) : (
+                  <VolumeX className="w-4 h-4" />
+                )}
+                <span className="text-sm">
+                  Audio {soundsOn ? 'On' : 'Off'}
+                  {!audioPreferences.keepRecordings && ' · Transcript only'}
+                </span>
+              </Button>
+            </PopoverTrigger>
+            <PopoverContent className="w-72 space-y-3">
+              <div className="flex items-center justify-between gap-2">
+                <Label htmlFor="audio-earcons" className="font-normal">
+                  Sounds when recording starts, pauses and stops
+                </Label>
+                <Switch
+                  id="audio-earcons"
+                  checked={audioPreferences.earcons}
+                  onCheckedChange={(earcons) => onAudioPreferencesChange({ earcons })}
+                />
+              </div>
+              <div className="space-y-1">
+                <div className="flex items-center justify-between gap-2">
+                  <Label htmlFor="audio-spoken-confirmations" className="font-normal">
+                    Read out voice commands
+                  </Label>
+                  <Switch
+                    id="audio-spoken-confirmations"
+                    checked={audioPreferences.spokenConfirmations}
+                    disabled={!isSpeechSynthesisSupported()}
+                    onCheckedChange={(spokenConfirmations) => onAudioPreferencesChange({ spokenConfirmations })}
+                  />
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  Use headphones, or the microphone may pick up the confirmation.
+                </p>
+              </div>
+              <div className="space-y-1">
+                <div className="flex items-center justify-between gap-2">
+                  <Label htmlFor="audio-keep-recordings" className="font-normal">Keep audio recordings</Label>
+                  <Switch
+                    id="audio-keep-recordings"
+                    checked={audioPreferences.keepRecordings}
+                    onCheckedChange={(keepRecordings) => onAudioPreferencesChange({ keepRecordings })}
+                  />
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  When off, only the transcript is saved. Audio already recorded is kept.
+                </p>
+              </div>
+            </PopoverContent>
+          </Popover>
+        )}
+
+        {/* Voice Commands */}
+        {onOpenVoiceCommands && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onOpenVoiceCommands}
+            className="flex items-center gap-2"
+            title="Voice commands"
+          >
+            <MessageSquareText className="w-4 h-4" />
+            <span className="text-sm">
+              Commands {voiceCommandsEnabled ? 'On' : 'Off'}
+            </span>
+          </Button>
+        )}
+
+        {/* Custom Vocabulary */}
+        {onOpenVocabulary && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onOpenVocabulary}
+            className="flex items-center gap-2"
+            title="Custom vocabulary"
+          >
+            <BookA className="w-4 h-4" />
+            <span className="text-sm">
+              Vocabulary{vocabularySize > 0 ? ` (${vocabularySize})` : ''}
+            </span>
+          </Button>
+        )}
+
+        {/* Microphone */}
+        {onOpenMicCheck && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onOpenMicCheck}
+            className="flex items-center gap-2 max-w-48"
+            title={`Microphone: ${microphoneLabel || 'System default'}`}
+          >
+            <AudioLines className="w-4 h-4 shrink-0" />
+            <span className="text-sm truncate">
+              {microphoneLabel || 'Microphone'}
+            </span>
+          </Button>
+        )}
 
         {/* Language Selector */}
         <select
           value={language}
           onChange={(e) => onLanguageChange(e.target.value)}
           className="px-3 py-1 text-sm border rounded-md bg-background"
-          disabled={isRecording}
+          title={previousLanguage
+            ? `Alt+L switches to ${getLocaleName(previousLanguage)}`
+            : 'Spoken language. Alt+L switches back to the previous one.'}
         >
-          {languages.map((lang) => (
-            <option key={lang.code} value={lang.code}>
-              {lang.name}
+          {!getLocale(language) && <option value={language}>{language}</option>}
+          {LOCALES.map((locale) => (
+            <option key={locale.code} value={locale.code}>
+              {getLocaleLabel(locale.code)}
             </option>
           ))}
         </select>
+
+        {/* Dictation Formatting for the selected language */}
+        {formatting && (
+          <Popover>
+            <PopoverTrigger asChild>
+              <Button variant="ghost" size="sm" className="flex items-center gap-2" title="Dictation formatting">
+                <Type className="w-4 h-4" />
+                <span className="text-sm">Formatting</span>
+              </Button>
+            </PopoverTrigger>
+            <PopoverContent className="w-72 space-y-3">
+              <div className="text-sm font-medium">
+                Formatting for {getLocaleName(language)}
+              </div>
+              <div className="flex items-center justify-between gap-2">
+                <Label htmlFor="spoken-punctuation" className="font-normal">
+                  Spoken punctuation ("comma", "full stop")
+                </Label>
+                <Switch
+                  id="spoken-punctuation"
+                  checked={formatting.spokenPunctuation}
+                  onCheckedChange={(spokenPunctuation) => onFormattingChange({ spokenPunctuation })}
+                />
+              </div>
+              <div className="flex items-center justify-between gap-2">
+                <Label htmlFor="capitalize-sentences" className="font-normal">Capitalize sentences</Label>
+                <Switch
+                  id="capitalize-sentences"
+                  checked={formatting.capitalize}
+                  onCheckedChange={(capitalize) => onFormattingChange({ capitalize })}
+                />
+              </div>
+              <label className="flex items-center justify-between gap-2 text-sm">
+                <span>New paragraph after a pause of</span>
+                <span className="flex items-center gap-1">
+                  <Input
+                    type="number"
+                    min={0}
+                    max={60}
+                    value={formatting.paragraphPauseSeconds}
+                    onChange={(e) => onFormattingChange({
+                      paragraphPauseSeconds: Math.min(60, Math.max(0, parseInt(e.target.value, 10) || 0))
+                    })}
+                    className="h-8 w-16"
+                  />
+                  s
+                </span>
+              </label>
+              <p className="text-xs text-muted-foreground">Set it to 0 to start paragraphs only when you ask for one.</p>
+            </PopoverContent>
+          </Popover>
+        )}
+
+        {/* Auto-pause on Silence */}
+        {onAutoPauseChange && (
+          <Popover>
+            <PopoverTrigger asChild>
+              <Button variant="ghost" size="sm" className="flex items-center gap-2" title="Auto-pause on silence">
+                <Hourglass className="w-4 h-4" />
+                <span className="text-sm">Auto-pause {autoPauseSeconds > 0 ? `${autoPauseSeconds}s` : 'Off'}</span>
+              </Button>
+            </PopoverTrigger>
+            <PopoverContent className="w-72 space-y-3">
+              <label className="flex items-center justify-between gap-2 text-sm">
+                <span>Pause after silence of</span>
+                <span className="flex items-center gap-1">
+                  <Input
+                    type="number"
+                    min={0}
+                    max={600}
+                    value={autoPauseSeconds}
+                    onChange={(e) => onAutoPauseChange(Math.min(600, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+                    className="h-8 w-16"
+                  />
+                  s
+                </span>
+              </label>
+              <p className="text-xs text-muted-foreground">
+                Set it to 0 to keep recording through silences. Long silences are marked in the transcript either way.
+              </p>
+            </PopoverContent>
+          </Popover>
+        )}
+
+        {/* Engine Selector */}
+        {engines.length > 0 && (
+          <select
+            value={engineId}
+            onChange={(e) => onEngineChange(e.target.value)}
+            className="px-3 py-1 text-sm border rounded-md bg-background"
+            disabled={isRecording}
+            title="Transcription engine"
+          >
+            {engines.map((engine) => (
+              <option key={engine.id} value={engine.id} disabled={!engine.isSupported}>
+                {engine.name}{engine.isSupported ? '' : ' (unavailable)'}
+              </option>
+            ))}
+          </select>
+        )}
       </div>
 
+      {/* Engine Settings */}
+      {engineSettingFields.length > 0 && (
+        <div className="space-y-2">
+          {engineSettingFields.map(({ key, label, options }) => (
+            <label key={key} className="flex items-center gap-2 text-sm">
+              <span className="text-muted-foreground whitespace-nowrap">{label}</span>
+              {options ? (
+                <select
+                  value={engineSettings[key] ?? ''}
+                  onChange={(e) => onEngineSettingsChange?.({ [key]: e.target.value })}
+                  disabled={isRecording}
+                  className="flex-1 px-3 py-1 text-sm border rounded-md bg-background"
+                >
+                  {options.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              ) : (
+                <Input
+                  value={engineSettings[key] ?? ''}
+                  onChange={(e) => onEngineSettingsChange?.({ [key]: e.target.value })}
+                  disabled={isRecording}
+                  className="h-8"
+                />
+              )}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {/* Engine Unavailable */}
+      {!isSupported && (
+        <div className="p-3 bg-muted/50 border rounded-lg space-y-2">
+          <p className="text-sm font-medium">
+            {engines.find(engine => engine.id === engineId)?.name || 'Speech recognition'} isn't available in this browser
+          </p>
+          {engines.some(engine => engine.isSupported) ? (
+            <p className="text-sm text-muted-foreground">
+              Choose another transcription engine above to start recording.
+            </p>
+          ) : (
+            <p className="text-sm text-muted-foreground">
+              No transcription engine works here yet. Use Chrome, Edge or Safari for browser speech
+              recognition. You can still read, edit, import and export notes.
+            </p>
+          )}
+          <ul className="text-xs text-muted-foreground space-y-1">
+            {engines.map(engine => (
+              <li key={engine.id}>
+                <span className="font-medium">{engine.name}</span>
+                {engine.isSupported ? ' ✓' : ' ✗'} — {engine.description}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Error Display */}
       {error && (
         <div className="p-3 bg-destructive/10 border border-destructive/20 rounded-lg">
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import {
+  History,
+  RotateCcw,
+  X,
+  FileText
+} from 'lucide-react';
+import { diffWords, summarizeDiff } from '../lib/textDiff';
+import { REVISION_REASONS } from '../lib/revisions';
+
+const CURRENT_VERSION = 'current';
+
+const RevisionHistory = ({
+  note,
+  getRevisions,
+  revisionsVersion,
+  onRestore,
+  onClose
+}) => {
+  const [revisions, setRevisions] = useState([]);
+  const [baseId, setBaseId] = useState(null);
+  const [compareId, setCompareId] = useState(CURRENT_VERSION);
+
+  // Reload revisions when the note changes or a new snapshot is saved
+  useEffect(() => {
+    let cancelled = false;
+    getRevisions(note.id).then((loaded) => {
+      if (cancelled) return;
+      setRevisions(loaded);
+      setBaseId(prev => (loaded.some(revision => revision.id === prev) ? prev : loaded[0]?.id || null));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [note.id, revisionsVersion, getRevisions]);
+
+  // Reset the comparison when switching notes
+  useEffect(() => {
+    setCompareId(CURRENT_VERSION);
+  }, [note.id]);
+
+  const findVersion = (id) => (id === CURRENT_VERSION ? note : revisions.find(revision => revision.id === id));
+  const base = findVersion(baseId);
+  const compare = findVersion(compareId);
+
+  const diff = useMemo(() => {
+    if (!base || !compare) return [];
+    return diffWords(base.content, compare.content);
+  }, [base, compare]);
+
+  const summary = summarizeDiff(diff);
+
+  const formatRevisionDate = (dateString) => new Date(dateString).toLocaleString();
+
+  const handleRestore = (revision) => {
+    if (confirm(`Restore the version from ${formatRevisionDate(revision.createdAt)}? The current version will be kept in history.`)) {
+      onRestore(revision);
+    }
+  };
+
+  return (
+    <div className="border rounded-lg overflow-hidden flex flex-col h-full">
+      {/* Header */}
+      <div className="border-b bg-muted/30 p-2 flex items-center justify-between">
+        <div className="flex items-center gap-2 text-sm font-medium">
+          <History className="w-4 h-4" />
+          Revisions
+          <Badge variant="secondary" className="text-xs">{revisions.length}</Badge>
+        </div>
+        <Button variant="ghost" size="sm" onClick={onClose} className="h-8 w-8 p-0" title="Close revisions">
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      {revisions.length === 0 ? (
+        <div className="text-center py-8 px-4 text-muted-foreground">
+          <FileText className="w-8 h-8 mx-auto mb-3 opacity-50" />
+          <p className="text-sm">No revisions yet</p>
+          <p className="text-xs">Snapshots are saved when a recording stops and after editing sessions</p>
+        </div>
+      ) : (
+        <>
+          {/* Revision List */}
+          <div className="max-h-48 overflow-y-auto divide-y">
+            {revisions.map(revision => (
+              <div
+                key={revision.id}
+                onClick={() => setBaseId(revision.id)}
+                className={`
+                  group flex items-center gap-2 px-3 py-2 cursor-pointer transition-colors
+                  ${baseId === revision.id ? 'bg-primary/10' : 'hover:bg-muted/50'}
+                `}
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="text-xs font-medium truncate">{formatRevisionDate(revision.createdAt)}</div>
+                  <div className="flex items-center gap-2 mt-1">
+                    <Badge variant="outline" className="text-xs px-1 py-0">
+                      {REVISION_REASONS[revision.reason] || revision.reason}
+                    </Badge>
+                    <span className="text-xs text-muted-foreground">{revision.wordCount} words</span>
+                  </div>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-7 w-7 p-0 opacity-0 group-hover:opacity-100 transition-opacity"
+                  title="Restore this version"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleRestore(revision);
+                  }}
+                >
+                  <RotateCcw className="w-3 h-3" />
+                </Button>
+              </div>
+            ))}
+          </div>
+
+          {/* Comparison Target */}
+          <div className="border-t p-2 flex items-center gap-2 text-xs">
+            <span className="text-muted-foreground">Compare with</span>
+            <select
+              value={compareId}
+              onChange={(e) => setCompareId(e.target.value)}
+              className="flex-1 px-2 py-1 text-xs border rounded bg-background"
+            >
+              <option value={CURRENT_VERSION}>Current version</option>
+              {revisions.map(revision => (
+                <option key={revision.id} value={revision.id}>
+                  {formatRevisionDate(revision.createdAt)}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Word Diff */}
+          <div className="border-t flex-1 flex flex-col min-h-0">
+            <div className="px-3 py-2 flex items-center gap-2 text-xs text-muted-foreground">
+              <span className="text-green-600 dark:text-green-400">+{summary.added}</span>
+              <span className="text-red-600 dark:text-red-400">−{summary.removed}</span>
+              <span>words</span>
+            </div>
+            <div className="px-3 pb-3 text-sm leading-relaxed overflow-y-auto max-h-[300px]">
+              {diff.length === 0 ? (
+                <p className="text-muted-foreground text-xs">Both versions are empty</p>
+              ) : (
+                diff.map((part, index) => {
+                  const text = part.words.join(' ') + ' ';
+                  if (part.type === 'added') {
+                    return (
+                      <span key={index} className="bg-green-500/20 text-green-700 dark:text-green-300 rounded-sm">
+                        {text}
+                      </span>
+                    );
+                  }
+                  if (part.type === 'removed') {
+                    return (
+                      <span key={index} className="bg-red-500/20 text-red-700 dark:text-red-300 line-through rounded-sm">
+                        {text}
+                      </span>
+                    );
+                  }
+                  return <span key={index}>{text}</span>;
+                })
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistory;
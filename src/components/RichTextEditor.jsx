@@ -1,4 +1,4 @@
-import React, { useRef, useEffect, useState, useCallback } from 'react';
+import React, { useRef, useEffect, useState, useCallback, useImperativeHandle } from 'react';
 import { Button } from '@/components/ui/button.jsx';
 import { 
   Bold, 
@@ -19,13 +19,19 @@ import {
   AlignRight
 } from 'lucide-react';
 
+// Selector for the editable area, for styles passed in through `contentStyles`
+export const EDITOR_CONTENT_SELECTOR = '.rich-text-content';
+
 const RichTextEditor = ({ 
   content = '', 
   onChange, 
   placeholder = 'Start typing...', 
   className = '',
   autoFocus = false,
-  isAppending = false
+  isAppending = false,
+  contentStyles = '',
+  onSegmentClick,
+  ref
 }) => {
   const editorRef = useRef(null);
   const [isEditorFocused, setIsEditorFocused] = useState(false);
@@ -123,6 +129,63 @@ const RichTextEditor = ({
     execCommand(`justify${alignment}`);
   }, [execCommand]);
 
+  // Flag the dictated segment just before the caret as an action item
+  const markActionItem = useCallback(() => {
+    const selection = window.getSelection();
+    const caret = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+    const segments = [...editorRef.current.querySelectorAll('[data-segment-id]')];
+    const before = caret && editorRef.current.contains(caret.startContainer)
+      ? segments.filter(element => caret.comparePoint(element, 0) < 0)
+      : segments;
+    const segment = before[before.length - 1];
+    if (!segment) return;
+    segment.dataset.actionItem = 'true';
+    handleInput();
+  }, [handleInput]);
+
+  // Voice commands act at the caret, where dictation is being inserted
+  useImperativeHandle(ref, () => ({
+    runCommand: (command) => {
+      if (!editorRef.current) return;
+      editorRef.current.focus();
+      switch (command) {
+        case 'newParagraph': {
+          // Out of a list rather than on to its next item
+          const listCommand = ['insertUnorderedList', 'insertOrderedList'].find(name => document.queryCommandState(name));
+          execCommand('insertParagraph');
+          if (listCommand) execCommand(listCommand);
+          break;
+        }
+        case 'bulletPoint':
+          // Inside a list, start the next item
+          if (document.queryCommandState('insertUnorderedList')) {
+            execCommand('insertParagraph');
+          } else {
+            if (editorRef.current.textContent.trim()) execCommand('insertParagraph');
+            insertList(false);
+          }
+          break;
+        case 'heading':
+          if (editorRef.current.textContent.trim()) execCommand('insertParagraph');
+          insertHeading(2);
+          break;
+        case 'actionItem':
+          markActionItem();
+          break;
+        default:
+          break;
+      }
+    }
+  }), [execCommand, insertList, insertHeading, markActionItem]);
+
+  // Report clicks on dictated segments along with where the segment is on screen
+  const handleClick = useCallback((e) => {
+    const segmentElement = onSegmentClick && e.target.closest?.('[data-segment-id]');
+    if (segmentElement && editorRef.current?.contains(segmentElement)) {
+      onSegmentClick(segmentElement.dataset.segmentId, segmentElement.getBoundingClientRect());
+    }
+  }, [onSegmentClick]);
+
   // Handle paste to clean up formatting
   const handlePaste = useCallback((e) => {
     e.preventDefault();
@@ -146,15 +209,15 @@ const RichTextEditor = ({
           e.preventDefault();
           formatText('underline');
           break;
-        case 'z':
-          if (e.shiftKey) {
-            e.preventDefault();
-            execCommand('redo');
-          } else {
+        case 'z': {
+          // Fall through to the app-level note history once the editor has nothing left to undo
+          const command = e.shiftKey ? 'redo' : 'undo';
+          if (document.queryCommandEnabled(command)) {
             e.preventDefault();
-            execCommand('undo');
+            execCommand(command);
           }
           break;
+        }
         case 'k':
           e.preventDefault();
           insertLink();
@@ -287,12 +350,15 @@ const RichTextEditor = ({
         })}
       </div>
 
+      {/* Styles for the content, e.g. speaker colours */}
+      {contentStyles && <style>{contentStyles}</style>}
+
       {/* Editor */}
       <div
         ref={editorRef}
         contentEditable
         className={`
-          min-h-[300px] p-4 outline-none focus:ring-0 
+          rich-text-content min-h-[300px] p-4 outline-none focus:ring-0 
           prose prose-sm max-w-none
           [&_h1]:text-2xl [&_h1]:font-bold [&_h1]:mb-4 [&_h1]:mt-6
           [&_h2]:text-xl [&_h2]:font-semibold [&_h2]:mb-3 [&_h2]:mt-5
@@ -303,6 +369,7 @@ const RichTextEditor = ({
           [&_blockquote]:border-l-4 [&_blockquote]:border-primary [&_blockquote]:pl-4 [&_blockquote]:italic [&_blockquote]:my-4
           [&_pre]:bg-muted [&_pre]:p-3 [&_pre]:rounded [&_pre]:font-mono [&_pre]:text-sm [&_pre]:my-4
           [&_a]:text-primary [&_a]:underline [&_a]:decoration-primary/30 [&_a:hover]:decoration-primary
+          [&_[data-action-item]]:bg-primary/10 [&_[data-action-item]]:font-medium [&_[data-action-item]]:rounded
           ${content === '' ? 'text-muted-foreground' : ''}
         `}
         onInput={handleInput}
@@ -310,6 +377,7 @@ const RichTextEditor = ({
         onBlur={() => setIsEditorFocused(false)}
         onPaste={handlePaste}
         onKeyDown={handleKeyDown}
+        onClick={handleClick}
         data-placeholder={placeholder}
         style={{
           minHeight: '300px'
@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Popover, PopoverAnchor, PopoverContent } from '@/components/ui/popover.jsx';
+import { Check, ChevronRight } from 'lucide-react';
+
+const formatConfidence = (confidence) =>
+  (typeof confidence === 'number' ? `${Math.round(confidence * 100)}%` : 'unscored');
+
+// Proofreading popover for one dictated segment: pick one of the engine's other guesses,
+// retype it, or confirm it's right. `anchorRect` is where the segment is on screen.
+const SegmentReviewPopover = ({ segment, anchorRect, remainingCount, onRevise, onNext, onClose }) => {
+  const [draft, setDraft] = useState('');
+
+  useEffect(() => {
+    setDraft(segment?.text || '');
+  }, [segment?.id, segment?.text]);
+
+  if (!segment || !anchorRect) return null;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (draft.trim()) onRevise(draft);
+  };
+
+  return (
+    <Popover open onOpenChange={(open) => !open && onClose()}>
+      <PopoverAnchor asChild>
+        <span
+          className="fixed pointer-events-none"
+          style={{ left: anchorRect.left, top: anchorRect.top, width: anchorRect.width, height: anchorRect.height }}
+        />
+      </PopoverAnchor>
+      <PopoverContent className="w-96 space-y-3" align="start">
+        <div className="flex items-center justify-between gap-2">
+          <span className="text-sm font-medium">Check this phrase</span>
+          <Badge variant="outline" className="text-xs">{formatConfidence(segment.confidence)} sure</Badge>
+        </div>
+
+        {segment.alternatives?.length > 0 && (
+          <div className="space-y-1">
+            <div className="text-xs text-muted-foreground">Other possibilities</div>
+            {segment.alternatives.map(alternative => (
+              <button
+                key={alternative.text}
+                type="button"
+                onClick={() => onRevise(alternative.text)}
+                className="w-full flex items-center justify-between gap-2 px-2 py-1.5 text-sm text-left rounded hover:bg-muted/50"
+              >
+                <span>{alternative.text}</span>
+                <span className="text-xs text-muted-foreground shrink-0">{formatConfidence(alternative.confidence)}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-2">
+          <Input value={draft} onChange={(e) => setDraft(e.target.value)} aria-label="Corrected text" />
+          <div className="flex items-center justify-between gap-2">
+            <Button type="submit" size="sm" disabled={!draft.trim()}>
+              <Check className="w-4 h-4 mr-1" />
+              {draft.trim() === segment.text ? 'Looks Right' : 'Use This'}
+            </Button>
+            {remainingCount > 0 && (
+              <Button type="button" variant="ghost" size="sm" onClick={onNext}>
+                Skip
+                <ChevronRight className="w-4 h-4 ml-1" />
+              </Button>
+            )}
+          </div>
+        </form>
+        {remainingCount > 0 && (
+          <p className="text-xs text-muted-foreground">{remainingCount} more to check in this note</p>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default SegmentReviewPopover;
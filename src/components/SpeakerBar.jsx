@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Plus, UserX, Users, X } from 'lucide-react';
+import { MAX_SPEAKER_HOTKEYS } from '../lib/speakers';
+
+// Attendees of the current note. While recording, picking one marks that the speaker changed.
+export const SpeakerBar = ({
+  attendees,
+  speakers,
+  activeSpeakerId,
+  isRecording,
+  onMarkSpeaker,
+  onAddAttendee,
+  onRemoveAttendee
+}) => {
+  const [newAttendee, setNewAttendee] = useState('');
+
+  const speakerFor = (name) => speakers.find(speaker => speaker.name.toLowerCase() === name.toLowerCase());
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (onAddAttendee(newAttendee)) {
+      setNewAttendee('');
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2 flex-wrap">
+        <Users className="w-4 h-4 text-muted-foreground" />
+        {attendees.length === 0 && (
+          <span className="text-sm text-muted-foreground">Add attendees to label who is speaking</span>
+        )}
+        {attendees.map((name, index) => {
+          const speaker = speakerFor(name);
+          const isActive = Boolean(speaker && speaker.id === activeSpeakerId);
+          return (
+            <div
+              key={name}
+              className={`group flex items-center rounded-full border text-sm transition-colors ${
+                isActive ? 'bg-primary/10 border-primary' : 'hover:bg-muted/50'
+              }`}
+            >
+              <button
+                type="button"
+                onClick={() => onMarkSpeaker(name)}
+                className="flex items-center gap-1.5 pl-2.5 pr-2 py-0.5"
+                title={index < MAX_SPEAKER_HOTKEYS ? `${name} is speaking (Alt+${index + 1})` : `${name} is speaking`}
+              >
+                <span
+                  className="w-2 h-2 rounded-full bg-muted-foreground"
+                  style={speaker ? { backgroundColor: speaker.color } : undefined}
+                />
+                {name}
+                {index < MAX_SPEAKER_HOTKEYS && isRecording && (
+                  <span className="text-xs text-muted-foreground">{index + 1}</span>
+                )}
+              </button>
+              {!isRecording && (
+                <button
+                  type="button"
+                  onClick={() => onRemoveAttendee(name)}
+                  className="pr-2 opacity-0 group-hover:opacity-100 transition-opacity"
+                  title={`Remove ${name}`}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              )}
+            </div>
+          );
+        })}
+        {activeSpeakerId && (
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-7"
+            onClick={() => onMarkSpeaker(null)}
+            title="No speaker (Alt+0)"
+          >
+            <UserX className="w-4 h-4" />
+          </Button>
+        )}
+        <form onSubmit={handleAdd} className="flex items-center gap-1">
+          <Input
+            value={newAttendee}
+            onChange={(e) => setNewAttendee(e.target.value)}
+            placeholder="Add attendee"
+            className="h-7 w-32 text-sm"
+          />
+          <Button type="submit" variant="ghost" size="sm" className="h-7 w-7 p-0" disabled={!newAttendee.trim()}>
+            <Plus className="w-4 h-4" />
+          </Button>
+        </form>
+      </div>
+      {isRecording && attendees.length > 0 && (
+        <p className="text-xs text-muted-foreground">
+          Click a name or press Alt+1–{Math.min(attendees.length, MAX_SPEAKER_HOTKEYS)} when the speaker changes
+        </p>
+      )}
+    </div>
+  );
+};
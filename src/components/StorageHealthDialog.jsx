@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Checkbox } from '@/components/ui/checkbox.jsx';
+import { Progress } from '@/components/ui/progress.jsx';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog.jsx';
+import { Archive, AudioLines, HardDrive, Trash2 } from 'lucide-react';
+import { estimateNoteSize, formatBytes } from '../lib/storage/quota';
+
+const STORAGE_NAMES = {
+  indexeddb: 'IndexedDB',
+  localstorage: 'Local storage',
+  memory: 'Memory only (not saved)'
+};
+
+// Notes that haven't been touched longest are offered for archiving first
+const ARCHIVE_CANDIDATE_LIMIT = 20;
+
+const StorageHealthDialog = ({
+  open,
+  onOpenChange,
+  usage,
+  level,
+  storageType,
+  saveStatus,
+  notes,
+  trashCount,
+  onArchiveNotes,
+  onEmptyTrash,
+  audioSizes = {},
+  onDeleteAudio
+}) => {
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+  const candidates = useMemo(() => (
+    notes
+      .filter(note => !note.deletedAt && !note.isRecording)
+      .sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt))
+      .slice(0, ARCHIVE_CANDIDATE_LIMIT)
+      .map(note => ({ note, size: estimateNoteSize(note) }))
+  ), [notes]);
+
+  // Recorded audio takes far more room than text, so it can be deleted on its own
+  const notesWithAudio = useMemo(() => (
+    notes
+      .filter(note => audioSizes[note.id] > 0 && !note.isRecording)
+      .sort((a, b) => audioSizes[b.id] - audioSizes[a.id])
+  ), [notes, audioSizes]);
+  const totalAudioSize = notesWithAudio.reduce((sum, note) => sum + audioSizes[note.id], 0);
+
+  // Start each visit with nothing selected
+  useEffect(() => {
+    if (open) setSelectedIds(new Set());
+  }, [open]);
+
+  const toggleSelected = (noteId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(noteId)) {
+        next.delete(noteId);
+      } else {
+        next.add(noteId);
+      }
+      return next;
+    });
+  };
+
+  const selectedSize = candidates
+    .filter(({ note }) => selectedIds.has(note.id))
+    .reduce((sum, { size }) => sum + size, 0);
+
+  const handleArchive = () => {
+    // The file only holds the notes themselves
+    const withAudio = [...selectedIds].filter(noteId => audioSizes[noteId] > 0).length;
+    const lost = withAudio > 0
+      ? `Their revision history and the recorded audio of ${withAudio} note(s) aren't in the file and will be deleted.`
+      : 'Their revision history isn\'t in the file and will be deleted.';
+    if (confirm(`Download ${selectedIds.size} note(s) to a file and remove them from this browser? ${lost}`)) {
+      onArchiveNotes([...selectedIds]);
+      setSelectedIds(new Set());
+    }
+  };
+
+  const handleDeleteAudio = (noteIds) => {
+    const what = noteIds.length === 1 ? 'this note' : `${noteIds.length} notes`;
+    if (confirm(`Delete the recorded audio of ${what}? The transcripts are kept.`)) {
+      onDeleteAudio(noteIds);
+    }
+  };
+
+  const handleEmptyTrash = () => {
+    if (confirm(`Permanently delete ${trashCount} note(s) in the trash? This cannot be undone.`)) {
+      onEmptyTrash();
+    }
+  };
+
+  const percentUsed = usage ? Math.min(100, Math.round(usage.ratio * 100)) : 0;
+  const levelColor = {
+    ok: 'text-muted-foreground',
+    warning: 'text-amber-600 dark:text-amber-400',
+    critical: 'text-destructive'
+  }[level];
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <HardDrive className="w-5 h-5" />
+            Storage
+          </DialogTitle>
+          <DialogDescription>
+            Notes are stored in {STORAGE_NAMES[storageType] || storageType}.
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* Usage */}
+        <div className="space-y-2">
+          {usage ? (
+            <>
+              <Progress value={percentUsed} />
+              <div className={`flex justify-between text-xs ${levelColor}`}>
+                <span>{formatBytes(usage.usage)} of {formatBytes(usage.quota)} used</span>
+                <span>{percentUsed}%</span>
+              </div>
+            </>
+          ) : (
+            <p className="text-xs text-muted-foreground">This browser doesn't report storage usage.</p>
+          )}
+          {saveStatus.state === 'error' && (
+            <p className="text-xs text-destructive">
+              Recent changes are not saved: {saveStatus.error}
+            </p>
+          )}
+        </div>
+
+        {/* Archive Candidates */}
+        <div className="space-y-2">
+          <div className="text-sm font-medium">Archive old notes</div>
+          <p className="text-xs text-muted-foreground">
+            Selected notes are downloaded as JSON, which can be imported again later, then removed from this browser.
+          </p>
+          {candidates.length === 0 ? (
+            <p className="text-xs text-muted-foreground py-2">No notes to archive</p>
+          ) : (
+            <div className="max-h-60 overflow-y-auto border rounded divide-y">
+              {candidates.map(({ note, size }) => (
+                <label
+                  key={note.id}
+                  className="flex items-center gap-3 px-3 py-2 cursor-pointer hover:bg-muted/50"
+                >
+                  <Checkbox
+                    checked={selectedIds.has(note.id)}
+                    onCheckedChange={() => toggleSelected(note.id)}
+                  />
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm truncate">{note.title}</div>
+                    <div className="text-xs text-muted-foreground">
+                      Updated {new Date(note.updatedAt).toLocaleDateString()}
+                    </div>
+                  </div>
+                  <Badge variant="outline" className="text-xs">{formatBytes(size)}</Badge>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Recorded Audio */}
+        {notesWithAudio.length > 0 && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <div className="text-sm font-medium">Recorded audio ({formatBytes(totalAudioSize)})</div>
+              <Button
+                variant="ghost"
+                size="sm"
+                className="h-7 text-xs"
+                onClick={() => handleDeleteAudio(notesWithAudio.map(note => note.id))}
+              >
+                Delete all
+              </Button>
+            </div>
+            <div className="max-h-40 overflow-y-auto border rounded divide-y">
+              {notesWithAudio.map(note => (
+                <div key={note.id} className="flex items-center gap-3 px-3 py-2">
+                  <AudioLines className="w-4 h-4 text-muted-foreground shrink-0" />
+                  <div className="flex-1 min-w-0 text-sm truncate">{note.title}</div>
+                  <Badge variant="outline" className="text-xs">{formatBytes(audioSizes[note.id])}</Badge>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="h-7 w-7 p-0"
+                    onClick={() => handleDeleteAudio([note.id])}
+                    title="Delete audio, keep transcript"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <DialogFooter className="gap-2">
+          {trashCount > 0 && (
+            <Button variant="outline" onClick={handleEmptyTrash}>
+              <Trash2 className="w-4 h-4 mr-2" />
+              Empty Trash ({trashCount})
+            </Button>
+          )}
+          <Button onClick={handleArchive} disabled={selectedIds.size === 0}>
+            <Archive className="w-4 h-4 mr-2" />
+            Archive {selectedIds.size > 0 ? `${selectedIds.size} (${formatBytes(selectedSize)})` : 'Selected'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default StorageHealthDialog;
@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Checkbox } from '@/components/ui/checkbox.jsx';
+import { ListOrdered, X, FileText } from 'lucide-react';
+import { formatSegmentTime } from '../lib/transcript';
+import { getLocaleName } from '../lib/locales';
+
+const NO_SPEAKER = '';
+
+// Dictated segments of a note with their timing and speaker, for fixing speakers afterwards.
+// With `onSeek` the times jump the recording to the segment.
+const TranscriptSegments = ({
+  note,
+  speakers,
+  attendees,
+  activeSegmentId = null,
+  onAssignSpeaker,
+  onSeek,
+  onClose
+}) => {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [lastClickedId, setLastClickedId] = useState(null);
+
+  useEffect(() => {
+    setSelectedIds([]);
+    setLastClickedId(null);
+  }, [note.id]);
+
+  const speakersById = new Map(speakers.map(speaker => [speaker.id, speaker]));
+  // Everyone a segment can be given to: attendees plus speakers no longer on the list
+  const speakerNames = [...new Set([...attendees, ...speakers.map(speaker => speaker.name)])];
+
+  // Shift-click selects the range from the previous click
+  const toggleSelected = (segmentId, shiftKey) => {
+    const ids = note.segments.map(segment => segment.id);
+    if (shiftKey && lastClickedId) {
+      const [from, to] = [ids.indexOf(lastClickedId), ids.indexOf(segmentId)].sort((a, b) => a - b);
+      setSelectedIds(prev => [...new Set([...prev, ...ids.slice(from, to + 1)])]);
+    } else {
+      setSelectedIds(prev => (prev.includes(segmentId) ? prev.filter(id => id !== segmentId) : [...prev, segmentId]));
+    }
+    setLastClickedId(segmentId);
+  };
+
+  const handleAssignSelected = (name) => {
+    onAssignSpeaker(selectedIds, name || null);
+    setSelectedIds([]);
+  };
+
+  // Long silences are listed before the first segment said after them
+  const silencesBefore = new Map();
+  const trailingSilences = [];
+  (note.silences || []).forEach((silence) => {
+    const next = note.segments.find(segment => segment.start >= silence.start);
+    if (next) {
+      silencesBefore.set(next.id, [...(silencesBefore.get(next.id) || []), silence]);
+    } else {
+      trailingSilences.push(silence);
+    }
+  });
+
+  const renderSilence = (silence) => (
+    <div key={`silence-${silence.start}`} className="flex items-center gap-2 px-3 py-1 text-xs text-muted-foreground bg-muted/20">
+      <span className="font-mono w-12 shrink-0 ml-6">{formatSegmentTime(silence.start)}</span>
+      <span className="italic">Silence, {Math.round((silence.end - silence.start) / 1000)}s</span>
+    </div>
+  );
+
+  const renderSpeakerOptions = () => (
+    <>
+      <option value={NO_SPEAKER}>No speaker</option>
+      {speakerNames.map(name => (
+        <option key={name} value={name}>{name}</option>
+      ))}
+    </>
+  );
+
+  return (
+    <div className="border rounded-lg overflow-hidden flex flex-col">
+      {/* Header */}
+      <div className="border-b bg-muted/30 p-2 flex items-center justify-between">
+        <div className="flex items-center gap-2 text-sm font-medium">
+          <ListOrdered className="w-4 h-4" />
+          Transcript
+          <Badge variant="secondary" className="text-xs">{note.segments.length}</Badge>
+        </div>
+        <div className="flex items-center gap-2">
+          {selectedIds.length > 0 && (
+            <select
+              value=""
+              onChange={(e) => handleAssignSelected(e.target.value)}
+              className="px-2 py-1 text-xs border rounded bg-background"
+            >
+              <option value="" disabled>Assign {selectedIds.length} to…</option>
+              {speakerNames.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+              <option value={NO_SPEAKER}>No speaker</option>
+            </select>
+          )}
+          <Button variant="ghost" size="sm" onClick={onClose} className="h-8 w-8 p-0" title="Close transcript">
+            <X className="w-4 h-4" />
+          </Button>
+        </div>
+      </div>
+
+      {note.segments.length === 0 ? (
+        <div className="text-center py-8 px-4 text-muted-foreground">
+          <FileText className="w-8 h-8 mx-auto mb-3 opacity-50" />
+          <p className="text-sm">No dictated segments yet</p>
+          <p className="text-xs">Each recognized phrase shows up here with its time and speaker</p>
+        </div>
+      ) : (
+        <div className="max-h-[300px] overflow-y-auto divide-y">
+          {note.segments.map((segment) => {
+            const speaker = speakersById.get(segment.speakerId);
+            return (
+              <React.Fragment key={segment.id}>
+                {(silencesBefore.get(segment.id) || []).map(renderSilence)}
+                <div
+                  className={`flex items-start gap-2 px-3 py-2 text-sm ${
+                    selectedIds.includes(segment.id) ? 'bg-primary/10' : segment.id === activeSegmentId ? 'bg-yellow-400/20' : ''
+                  }`}
+                >
+                  <Checkbox
+                    checked={selectedIds.includes(segment.id)}
+                    onClick={(e) => {
+                      e.preventDefault();
+                      toggleSelected(segment.id, e.shiftKey);
+                    }}
+                    className="mt-1"
+                  />
+                  {onSeek ? (
+                    <button
+                      type="button"
+                      onClick={() => onSeek(segment.id)}
+                      className="text-xs text-muted-foreground font-mono mt-0.5 w-12 shrink-0 text-left hover:text-foreground hover:underline"
+                      title="Play from here"
+                    >
+                      {formatSegmentTime(segment.start)}
+                    </button>
+                  ) : (
+                    <span className="text-xs text-muted-foreground font-mono mt-0.5 w-12 shrink-0">
+                      {formatSegmentTime(segment.start)}
+                    </span>
+                  )}
+                  <select
+                    value={speaker?.name || NO_SPEAKER}
+                    onChange={(e) => onAssignSpeaker([segment.id], e.target.value || null)}
+                    className="px-1 py-0.5 text-xs border rounded bg-background w-28 shrink-0"
+                    style={speaker ? { color: speaker.color } : undefined}
+                  >
+                    {renderSpeakerOptions()}
+                  </select>
+                  <p className="flex-1 min-w-0" lang={segment.language}>{segment.text}</p>
+                  {segment.language && segment.language !== note.language && (
+                    <Badge variant="outline" className="text-xs shrink-0" title={getLocaleName(segment.language)}>
+                      {segment.language}
+                    </Badge>
+                  )}
+                </div>
+              </React.Fragment>
+            );
+          })}
+          {trailingSilences.map(renderSilence)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TranscriptSegments;
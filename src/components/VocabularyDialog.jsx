@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Checkbox } from '@/components/ui/checkbox.jsx';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog.jsx';
+import { BookA, Download, Plus, Trash2, Upload } from 'lucide-react';
+import { toast } from 'sonner';
+import { downloadFile } from '../lib/download';
+import { parseVocabularyCsv, vocabularyToCsv } from '../lib/vocabulary';
+
+const EMPTY_RULE = { phrase: '', replacement: '' };
+
+// Manage the words and phrases replaced in dictated text
+const VocabularyDialog = ({
+  open,
+  onOpenChange,
+  rules,
+  addRule,
+  updateRule,
+  removeRule,
+  importRules
+}) => {
+  const [newRule, setNewRule] = useState(EMPTY_RULE);
+  const [importErrors, setImportErrors] = useState([]);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (open) {
+      setNewRule(EMPTY_RULE);
+      setImportErrors([]);
+    }
+  }, [open]);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (addRule(newRule)) {
+      setNewRule(EMPTY_RULE);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const { rules: importedRules, errors } = parseVocabularyCsv(await file.text());
+    setImportErrors(errors);
+    if (importedRules.length > 0) {
+      importRules(importedRules);
+      toast.success(`Imported ${importedRules.length} word${importedRules.length !== 1 ? 's' : ''}`);
+    } else if (errors.length === 0) {
+      toast.error(`${file.name} has no words to import`);
+    }
+  };
+
+  const handleExport = () => {
+    downloadFile(vocabularyToCsv(rules), 'voice-notes-vocabulary.csv', 'text/csv');
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <BookA className="w-5 h-5" />
+            Custom Vocabulary
+          </DialogTitle>
+          <DialogDescription>
+            Names and terms the recognizer gets wrong are replaced as you dictate. Correct a word in a
+            note and you'll be offered to add it here.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <form onSubmit={handleAdd} className="flex items-center gap-2">
+            <Input
+              value={newRule.phrase}
+              onChange={(e) => setNewRule(prev => ({ ...prev, phrase: e.target.value }))}
+              placeholder="When I hear…"
+              className="h-8"
+            />
+            <Input
+              value={newRule.replacement}
+              onChange={(e) => setNewRule(prev => ({ ...prev, replacement: e.target.value }))}
+              placeholder="Write…"
+              className="h-8"
+            />
+            <Button type="submit" size="sm" disabled={!newRule.phrase.trim() || !newRule.replacement.trim()}>
+              <Plus className="w-4 h-4 mr-1" />
+              Add
+            </Button>
+          </form>
+
+          {rules.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-6">No words yet</p>
+          ) : (
+            <div className="border rounded-lg max-h-[320px] overflow-y-auto divide-y">
+              <div className="grid grid-cols-[1fr_1fr_auto_auto_auto] items-center gap-2 px-3 py-1.5 text-xs text-muted-foreground bg-muted/30">
+                <span>Heard</span>
+                <span>Written</span>
+                <span title="Only replace text with the same capitalization">Match case</span>
+                <span title="Don't replace inside longer words">Whole word</span>
+                <span className="w-8" />
+              </div>
+              {rules.map(rule => (
+                <div key={rule.id} className="grid grid-cols-[1fr_1fr_auto_auto_auto] items-center gap-2 px-3 py-1.5 text-sm">
+                  <span className="truncate" title={rule.phrase}>{rule.phrase}</span>
+                  <Input
+                    value={rule.replacement}
+                    onChange={(e) => updateRule(rule.id, { replacement: e.target.value })}
+                    className="h-7"
+                  />
+                  <div className="flex justify-center w-[4.5rem]">
+                    <Checkbox
+                      checked={rule.matchCase}
+                      onCheckedChange={(checked) => updateRule(rule.id, { matchCase: checked === true })}
+                      aria-label={`Match case for ${rule.phrase}`}
+                    />
+                  </div>
+                  <div className="flex justify-center w-[4.5rem]">
+                    <Checkbox
+                      checked={rule.wholeWord}
+                      onCheckedChange={(checked) => updateRule(rule.id, { wholeWord: checked === true })}
+                      aria-label={`Whole word for ${rule.phrase}`}
+                    />
+                  </div>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="h-8 w-8 p-0"
+                    onClick={() => removeRule(rule.id)}
+                    title={`Remove ${rule.phrase}`}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {importErrors.length > 0 && (
+            <div className="text-xs text-destructive space-y-0.5">
+              {importErrors.slice(0, 5).map(error => <p key={error}>{error}</p>)}
+              {importErrors.length > 5 && <p>…and {importErrors.length - 5} more lines skipped</p>}
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+          <Button variant="outline" onClick={() => fileInputRef.current?.click()}>
+            <Upload className="w-4 h-4 mr-2" />
+            Import CSV
+          </Button>
+          <Button variant="outline" onClick={handleExport} disabled={rules.length === 0}>
+            <Download className="w-4 h-4 mr-2" />
+            Export CSV
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default VocabularyDialog;
@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Switch } from '@/components/ui/switch.jsx';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog.jsx';
+import { MessageSquareText, RotateCcw } from 'lucide-react';
+import { VOICE_COMMANDS } from '../lib/voiceCommands';
+
+const joinPhrases = (phrases = []) => phrases.join(', ');
+
+const splitPhrases = (value) => value.split(',').map(phrase => phrase.trim().toLowerCase()).filter(Boolean);
+
+// Turn voice commands on or off and edit the phrases for the recognition language
+const VoiceCommandsDialog = ({
+  open,
+  onOpenChange,
+  languageName,
+  enabled,
+  vocabulary,
+  hasDefaults,
+  isCustomized,
+  setEnabled,
+  updatePhrases,
+  resetPhrases
+}) => {
+  const [drafts, setDrafts] = useState({});
+
+  // Phrases are edited as comma-separated text and saved when a field loses focus
+  useEffect(() => {
+    if (open) {
+      setDrafts(Object.fromEntries(VOICE_COMMANDS.map(({ id }) => [id, joinPhrases(vocabulary[id])])));
+    }
+  }, [open, vocabulary]);
+
+  const handleBlur = (commandId) => {
+    const phrases = splitPhrases(drafts[commandId] || '');
+    if (joinPhrases(phrases) !== joinPhrases(vocabulary[commandId])) {
+      updatePhrases(commandId, phrases);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <MessageSquareText className="w-5 h-5" />
+            Voice Commands
+          </DialogTitle>
+          <DialogDescription>
+            Say a command at the start or end of a sentence while dictating and it's carried out
+            instead of being typed.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <Label htmlFor="voice-commands-enabled">Listen for commands</Label>
+            <Switch id="voice-commands-enabled" checked={enabled} onCheckedChange={setEnabled} />
+          </div>
+
+          <div className="space-y-3">
+            <div className="text-sm font-medium">Phrases for {languageName}</div>
+            {!hasDefaults && !isCustomized && (
+              <p className="text-xs text-muted-foreground">
+                There are no built-in phrases for this language yet. Add your own below.
+              </p>
+            )}
+            {VOICE_COMMANDS.map(({ id, label, hint }) => (
+              <label key={id} className="block space-y-1 text-sm">
+                <span className="text-muted-foreground">{label}</span>
+                <Input
+                  value={drafts[id] ?? ''}
+                  onChange={(e) => setDrafts(prev => ({ ...prev, [id]: e.target.value }))}
+                  onBlur={() => handleBlur(id)}
+                  disabled={!enabled}
+                  className="h-8"
+                />
+                {hint && <span className="block text-xs text-muted-foreground">{hint}</span>}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={resetPhrases} disabled={!isCustomized}>
+            <RotateCcw className="w-4 h-4 mr-2" />
+            Reset Phrases
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default VoiceCommandsDialog;
@@ -1,11 +1,12 @@
 import { useEffect, useRef, useState } from 'react';
+import { createAudioAnalyser } from '../lib/voiceActivity';
 
 export const WaveformVisualizer = ({ isListening, audioStream }) => {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
   const analyserRef = useRef(null);
   const dataArrayRef = useRef(null);
-  const [audioContext, setAudioContext] = useState(null);
+  const [analyserHandle, setAnalyserHandle] = useState(null);
 
   useEffect(() => {
     if (isListening && audioStream) {
@@ -19,21 +20,14 @@ export const WaveformVisualizer = ({ isListening, audioStream }) => {
 
   const initializeAudioContext = async () => {
     try {
-      const context = new (window.AudioContext || window.webkitAudioContext)();
-      const analyser = context.createAnalyser();
-      
-      analyser.fftSize = 256;
-      analyser.smoothingTimeConstant = 0.8;
-      
-      const source = context.createMediaStreamSource(audioStream);
-      source.connect(analyser);
+      const { analyser, close } = createAudioAnalyser(audioStream);
       
       const bufferLength = analyser.frequencyBinCount;
       const dataArray = new Uint8Array(bufferLength);
       
       analyserRef.current = analyser;
       dataArrayRef.current = dataArray;
-      setAudioContext(context);
+      setAnalyserHandle({ close });
       
       startVisualization();
     } catch (error) {
@@ -89,9 +83,9 @@ export const WaveformVisualizer = ({ isListening, audioStream }) => {
       animationRef.current = null;
     }
     
-    if (audioContext && audioContext.state !== 'closed') {
-      audioContext.close();
-      setAudioContext(null);
+    if (analyserHandle) {
+      analyserHandle.close();
+      setAnalyserHandle(null);
     }
   };
 
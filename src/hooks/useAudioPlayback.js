@@ -0,0 +1,251 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getDefaultStorage } from '../lib/storage';
+import { groupAudioChunks, placeRecordings } from '../lib/audioRecording';
+import { findSegmentAt, findSilenceEnd } from '../lib/transcript';
+
+const STORAGE_KEY = 'playback-settings';
+const POSITION_STEP_MS = 200; // how often the position is reported while playing
+
+export const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2, 2.5, 3];
+const DEFAULT_SETTINGS = { rate: 1, skipSilences: false };
+
+const loadSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+// Index of the recording playing `time` ms into the note: the last one started by then
+const findRecordingIndex = (recordings, time) =>
+  recordings.reduce((found, recording, index) => (recording.offset <= time ? index : found), 0);
+
+// Play back a note's recorded audio on the transcript's timeline, so positions are in the
+// same ms as segment start/end. Recordings are loaded while `enabled` and again whenever
+// `version` changes (e.g. the note's audio size after recording or deleting).
+export const useAudioPlayback = ({ note, enabled = true, version = 0, storage } = {}) => {
+  const [recordings, setRecordings] = useState([]);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [position, setPosition] = useState(0);
+  const [hasStarted, setHasStarted] = useState(false);
+  const [settings, setSettings] = useState(loadSettings);
+  const storageRef = useRef(storage || getDefaultStorage());
+  const audioRef = useRef(null);
+  const recordingIndexRef = useRef(-1); // which recording the audio element has loaded
+  const isSeekingRef = useRef(false);
+  const recordingsRef = useRef(recordings);
+  const positionRef = useRef(position);
+  const settingsRef = useRef(settings);
+  const noteRef = useRef(note);
+  recordingsRef.current = recordings;
+  positionRef.current = position;
+  settingsRef.current = settings;
+  noteRef.current = note;
+
+  // Take a recording's length from its audio once that's known. Files from MediaRecorder
+  // often don't say (their duration is Infinity), and then the stored length stays.
+  const setRecordingLength = useCallback((url, seconds) => {
+    if (!Number.isFinite(seconds)) return;
+    setRecordings(prev => prev.map(recording => (recording.url === url
+      ? { ...recording, length: seconds * 1000 }
+      : recording)));
+  }, []);
+
+  // Load a recording and move `time` ms into it. Changing the source pauses the audio
+  // element, so playback carries on from the new place if it was playing.
+  const loadRecording = useCallback((index, time) => new Promise((resolve) => {
+    const audio = audioRef.current;
+    const wasPlaying = !audio.paused;
+    const handleError = () => {
+      console.error('Error loading audio:', audio.error);
+      resolve();
+    };
+    const moveTo = () => {
+      audio.removeEventListener('error', handleError);
+      setRecordingLength(recordingsRef.current[index]?.url, audio.duration);
+      audio.playbackRate = settingsRef.current.rate;
+      audio.currentTime = Math.max(0, time / 1000);
+      if (wasPlaying && audio.paused) {
+        audio.play().catch(error => console.error('Error resuming playback:', error));
+      }
+      resolve();
+    };
+    if (recordingIndexRef.current === index) {
+      moveTo();
+      return;
+    }
+    recordingIndexRef.current = index;
+    audio.src = recordingsRef.current[index].url;
+    audio.addEventListener('loadedmetadata', moveTo, { once: true });
+    audio.addEventListener('error', handleError, { once: true });
+  }), [setRecordingLength]);
+
+  // Move playback to `time` ms into the note
+  const seek = useCallback(async (time) => {
+    const available = recordingsRef.current;
+    if (available.length === 0) return;
+    const index = findRecordingIndex(available, time);
+    const target = Math.max(time, available[index].offset);
+    setPosition(target);
+    setHasStarted(true);
+    isSeekingRef.current = true;
+    try {
+      await loadRecording(index, target - available[index].offset);
+    } finally {
+      isSeekingRef.current = false;
+    }
+  }, [loadRecording]);
+
+  useEffect(() => {
+    const audio = new Audio();
+    // Keep voices at their own pitch when sped up or slowed down
+    audio.preservesPitch = true;
+    audio.mozPreservesPitch = true;
+    audio.webkitPreservesPitch = true;
+    audioRef.current = audio;
+
+    const handlePlay = () => setIsPlaying(true);
+    const handlePause = () => setIsPlaying(false);
+    // Carry on into the next recording, after a pause in the meeting
+    const handleEnded = () => {
+      const nextIndex = recordingIndexRef.current + 1;
+      if (nextIndex >= recordingsRef.current.length) return;
+      loadRecording(nextIndex, 0)
+        .then(() => audio.play())
+        .catch(error => console.error('Error playing audio:', error));
+    };
+    audio.addEventListener('play', handlePlay);
+    audio.addEventListener('pause', handlePause);
+    audio.addEventListener('ended', handleEnded);
+    return () => {
+      audio.pause();
+      audio.removeEventListener('play', handlePlay);
+      audio.removeEventListener('pause', handlePause);
+      audio.removeEventListener('ended', handleEnded);
+      audioRef.current = null;
+    };
+  }, [loadRecording]);
+
+  // Load the note's recordings, dropping the previous note's
+  const noteId = note?.id;
+  useEffect(() => {
+    setRecordings([]);
+    setPosition(0);
+    setHasStarted(false);
+    recordingIndexRef.current = -1;
+    if (!noteId || !enabled) return;
+
+    let cancelled = false;
+    let loaded = [];
+    let probes = [];
+    storageRef.current.loadAudioChunks(noteId)
+      .then((chunks) => {
+        if (cancelled) return;
+        loaded = placeRecordings(groupAudioChunks(chunks), noteRef.current)
+          .map(recording => ({ ...recording, url: URL.createObjectURL(recording.blob) }));
+        setRecordings(loaded);
+        // Older recordings have no stored length, so read it from their audio
+        probes = loaded.filter(recording => recording.length === null).map((recording) => {
+          const probe = new Audio();
+          probe.preload = 'metadata';
+          probe.addEventListener('loadedmetadata', () => setRecordingLength(recording.url, probe.duration), { once: true });
+          probe.src = recording.url;
+          return probe;
+        });
+      })
+      .catch(error => console.error('Error loading audio:', error));
+
+    return () => {
+      cancelled = true;
+      const audio = audioRef.current;
+      if (audio) {
+        audio.pause();
+        audio.removeAttribute('src');
+      }
+      probes.forEach(probe => probe.removeAttribute('src'));
+      loaded.forEach(recording => URL.revokeObjectURL(recording.url));
+    };
+  }, [noteId, enabled, version, setRecordingLength]);
+
+  // Follow the audio while it plays, jumping over silences between segments when asked to
+  useEffect(() => {
+    if (!isPlaying) return;
+    let frame;
+    const tick = () => {
+      const audio = audioRef.current;
+      const recording = recordingsRef.current[recordingIndexRef.current];
+      if (audio && recording && !isSeekingRef.current) {
+        const time = recording.offset + audio.currentTime * 1000;
+        const silenceEnd = settingsRef.current.skipSilences
+          ? findSilenceEnd(noteRef.current.segments, time, { silences: noteRef.current.silences })
+          : null;
+        if (silenceEnd !== null) {
+          seek(silenceEnd);
+        } else {
+          setPosition(Math.floor(time / POSITION_STEP_MS) * POSITION_STEP_MS);
+        }
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying, seek]);
+
+  const play = useCallback(async () => {
+    const audio = audioRef.current;
+    if (!audio || recordingsRef.current.length === 0) return;
+    if (recordingIndexRef.current === -1) {
+      await seek(positionRef.current);
+    }
+    setHasStarted(true);
+    try {
+      await audio.play();
+    } catch (error) {
+      console.error('Error playing audio:', error);
+    }
+  }, [seek]);
+
+  const pause = useCallback(() => {
+    audioRef.current?.pause();
+  }, []);
+
+  const seekToSegment = useCallback((segmentId) => {
+    const segment = noteRef.current?.segments.find(candidate => candidate.id === segmentId);
+    if (segment) seek(segment.start);
+  }, [seek]);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings((prev) => {
+      const next = { ...prev, ...changes };
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+    if (changes.rate && audioRef.current) {
+      audioRef.current.playbackRate = changes.rate;
+    }
+  }, []);
+
+  // How long the note's audio runs: to the end of its last recording or segment
+  const duration = Math.max(
+    0,
+    ...(note?.segments || []).map(segment => segment.end),
+    ...recordings.map(recording => recording.offset + (recording.length || 0))
+  );
+
+  return {
+    hasAudio: recordings.length > 0,
+    isPlaying,
+    position,
+    duration,
+    activeSegmentId: hasStarted && note ? findSegmentAt(note.segments, position)?.id || null : null,
+    rate: settings.rate,
+    skipSilences: settings.skipSilences,
+    play,
+    pause,
+    seek,
+    seekToSegment,
+    setRate: rate => updateSettings({ rate }),
+    setSkipSilences: skipSilences => updateSettings({ skipSilences })
+  };
+};
@@ -0,0 +1,35 @@
+import { useState, useCallback } from 'react';
+
+const STORAGE_KEY = 'audio-preferences';
+
+const DEFAULT_AUDIO_PREFERENCES = {
+  earcons: true, // tones when recording starts, pauses, resumes and stops
+  spokenConfirmations: false, // read out voice commands once they're carried out
+  keepRecordings: true // off records nothing but the transcript
+};
+
+const loadPreferences = () => {
+  try {
+    return { ...DEFAULT_AUDIO_PREFERENCES, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_AUDIO_PREFERENCES;
+  }
+};
+
+// What the app plays and keeps while recording, remembered between visits
+export const useAudioPreferences = () => {
+  const [preferences, setPreferences] = useState(loadPreferences);
+
+  const updatePreferences = useCallback((changes) => {
+    setPreferences((prev) => {
+      const next = { ...prev, ...changes };
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
+  return {
+    preferences,
+    updatePreferences
+  };
+};
@@ -0,0 +1,127 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { toast } from 'sonner';
+import { getDefaultStorage } from '../lib/storage';
+import { isQuotaExceededError } from '../lib/storage/quota';
+import { createId } from '../lib/ids';
+import {
+  AUDIO_CHUNK_MS,
+  isAudioRecordingSupported,
+  getRecordingMimeType,
+  stopStream
+} from '../lib/audioRecording';
+
+const AUDIO_SAVE_ERROR_TOAST_ID = 'audio-save-error';
+
+// Capture the microphone while `noteId` is being recorded and not paused, and keep the audio
+// in storage next to the note. The microphone is opened here rather than by the recognizer,
+// so its restarts don't cut the audio. Also returns the live stream for the waveform.
+// `constraints` picks the input (see lib/microphone.js); changing them reopens it. With
+// `keepAudio` off only the stream is opened, for transcription-only recording.
+export const useAudioRecorder = ({ noteId, isCapturing, constraints = {}, keepAudio = true, storage } = {}) => {
+  const [stream, setStream] = useState(null);
+  const [audioSizes, setAudioSizes] = useState({}); // note id -> bytes
+  const storageRef = useRef(storage || getDefaultStorage());
+  const canRecord = storageRef.current.storesAudio && isAudioRecordingSupported();
+
+  useEffect(() => {
+    let cancelled = false;
+    storageRef.current.loadAudioSizes()
+      .then((sizes) => {
+        if (!cancelled) setAudioSizes(sizes);
+      })
+      .catch(error => console.error('Error loading audio sizes:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const saveChunk = useCallback(async (chunk) => {
+    try {
+      await storageRef.current.saveAudioChunk(chunk);
+      setAudioSizes(prev => ({ ...prev, [chunk.noteId]: (prev[chunk.noteId] || 0) + chunk.size }));
+    } catch (error) {
+      console.error('Error saving audio:', error);
+      toast.error(isQuotaExceededError(error) ? 'Storage is full — audio is not being kept' : 'Audio could not be saved', {
+        id: AUDIO_SAVE_ERROR_TOAST_ID,
+        description: 'The transcript is still being saved.'
+      });
+    }
+  }, []);
+
+  // One session per continuous capture; a new note or resuming after a pause starts another
+  const captureNoteId = isCapturing ? noteId : null;
+  const constraintsKey = JSON.stringify(constraints);
+  useEffect(() => {
+    if (!captureNoteId || !navigator.mediaDevices?.getUserMedia) return;
+    let cancelled = false;
+    let mediaStream = null;
+    let recorder = null;
+
+    navigator.mediaDevices.getUserMedia({ audio: JSON.parse(constraintsKey) })
+      .then((openedStream) => {
+        if (cancelled) {
+          stopStream(openedStream);
+          return;
+        }
+        mediaStream = openedStream;
+        setStream(openedStream);
+        if (!canRecord || !keepAudio) return;
+
+        const sessionId = createId();
+        const startedAt = Date.now();
+        const mimeType = getRecordingMimeType();
+        let index = 0;
+        recorder = new MediaRecorder(openedStream, mimeType ? { mimeType } : undefined);
+        recorder.ondataavailable = (event) => {
+          if (event.data.size === 0) return;
+          saveChunk({
+            id: createId(),
+            noteId: captureNoteId,
+            sessionId,
+            index: index++,
+            startedAt,
+            endedAt: Date.now(),
+            mimeType: recorder.mimeType || mimeType,
+            size: event.data.size,
+            blob: event.data
+          });
+        };
+        // The last chunk is handed over on stop, so only then let go of the microphone
+        recorder.onstop = () => stopStream(openedStream);
+        recorder.start(AUDIO_CHUNK_MS);
+      })
+      .catch(error => console.error('Error opening the microphone:', error));
+
+    return () => {
+      cancelled = true;
+      setStream(null);
+      if (recorder && recorder.state !== 'inactive') {
+        recorder.stop();
+      } else {
+        stopStream(mediaStream);
+      }
+    };
+  }, [captureNoteId, constraintsKey, canRecord, keepAudio, saveChunk]);
+
+  // Remove notes' audio but keep their transcripts
+  const deleteAudio = useCallback(async (noteIds) => {
+    try {
+      await storageRef.current.deleteNoteAudio(noteIds);
+      setAudioSizes((prev) => {
+        const next = { ...prev };
+        noteIds.forEach(noteId => delete next[noteId]);
+        return next;
+      });
+    } catch (error) {
+      console.error('Error deleting audio:', error);
+      toast.error('Audio could not be deleted');
+    }
+  }, []);
+
+  return {
+    stream,
+    canRecord,
+    audioSizes,
+    deleteAudio
+  };
+};
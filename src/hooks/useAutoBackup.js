@@ -0,0 +1,229 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { toast } from 'sonner';
+import { getDefaultStorage } from '../lib/storage';
+import {
+  DEFAULT_BACKUP_SETTINGS,
+  isFileSystemAccessSupported,
+  pickBackupDirectory,
+  ensureDirectoryPermission,
+  writeBackupToDirectory,
+  downloadBackup,
+  runExclusiveBackup,
+  getNotesFingerprint
+} from '../lib/backup';
+
+const SETTINGS_META_KEY = 'backupSettings';
+const DIRECTORY_META_KEY = 'backupDirectory';
+const LAST_BACKUP_META_KEY = 'lastBackup';
+const BACKUP_CHECK_INTERVAL_MS = 60 * 1000;
+const BACKUP_TOAST_ID = 'backup';
+
+// Periodically write the JSON export to a folder the user picked, or remind them to download one.
+// `notes` should include trashed notes so the fingerprint sees every change.
+export const useAutoBackup = ({ notes, isLoaded, exportNotes, storage } = {}) => {
+  const [settings, setSettings] = useState(DEFAULT_BACKUP_SETTINGS);
+  const [directoryHandle, setDirectoryHandle] = useState(null);
+  const [lastBackup, setLastBackup] = useState(null); // { at, fileName, fingerprint }
+  const [backupError, setBackupError] = useState(null);
+  const [isBackingUp, setIsBackingUp] = useState(false);
+  const [settingsLoaded, setSettingsLoaded] = useState(false);
+
+  const storageRef = useRef(storage || getDefaultStorage());
+  const latestRef = useRef({});
+  const promptedRef = useRef(false); // only nag once until the next successful backup
+  latestRef.current = { notes, exportNotes, settings, directoryHandle };
+
+  // Folder handles can only be stored where values are structured-cloned
+  const canPersistDirectory = storageRef.current.name === 'indexeddb';
+
+  // Load settings, the chosen folder and the last backup on mount
+  useEffect(() => {
+    let cancelled = false;
+    const adapter = storageRef.current;
+
+    const loadSettings = async () => {
+      try {
+        const [storedSettings, storedDirectory, storedLastBackup] = await Promise.all([
+          adapter.getMeta(SETTINGS_META_KEY),
+          canPersistDirectory ? adapter.getMeta(DIRECTORY_META_KEY) : null,
+          adapter.getMeta(LAST_BACKUP_META_KEY)
+        ]);
+        if (cancelled) return;
+        if (storedSettings) setSettings({ ...DEFAULT_BACKUP_SETTINGS, ...storedSettings });
+        if (storedDirectory) setDirectoryHandle(storedDirectory);
+        setLastBackup(storedLastBackup);
+      } catch (error) {
+        console.error('Error loading backup settings:', error);
+      } finally {
+        if (!cancelled) setSettingsLoaded(true);
+      }
+    };
+
+    loadSettings();
+    return () => {
+      cancelled = true;
+    };
+  }, [canPersistDirectory]);
+
+  const updateSettings = useCallback(async (changes) => {
+    const nextSettings = { ...latestRef.current.settings, ...changes };
+    setSettings(nextSettings);
+    try {
+      await storageRef.current.setMeta(SETTINGS_META_KEY, nextSettings);
+    } catch (error) {
+      console.error('Error saving backup settings:', error);
+    }
+  }, []);
+
+  // Write a backup now. `interactive` means we're handling a click, so the browser
+  // lets us ask for folder access or start a download.
+  const runBackup = useCallback(async ({ interactive = false } = {}) => {
+    const { notes: currentNotes, exportNotes: exportCurrentNotes, settings: currentSettings, directoryHandle: handle } = latestRef.current;
+    const adapter = storageRef.current;
+
+    if (handle && !(await ensureDirectoryPermission(handle, interactive))) {
+      if (promptedRef.current && !interactive) return false;
+      promptedRef.current = true;
+      // Access to a stored folder has to be granted again after a reload
+      toast('Backups need access to your backup folder again', {
+        id: BACKUP_TOAST_ID,
+        duration: Infinity,
+        action: {
+          label: 'Allow',
+          onClick: () => runBackup({ interactive: true })
+        }
+      });
+      return false;
+    }
+
+    if (!handle && !interactive) {
+      if (promptedRef.current) return false;
+      promptedRef.current = true;
+      toast('A backup of your notes is due', {
+        id: BACKUP_TOAST_ID,
+        duration: Infinity,
+        action: {
+          label: 'Download',
+          onClick: () => runBackup({ interactive: true })
+        }
+      });
+      return false;
+    }
+
+    setIsBackingUp(true);
+    try {
+      const result = await runExclusiveBackup(async () => {
+        const content = exportCurrentNotes('json');
+        const fileName = handle
+          ? await writeBackupToDirectory(handle, content, currentSettings.keepCount)
+          : downloadBackup(content);
+        const backup = {
+          at: new Date().toISOString(),
+          fileName,
+          fingerprint: getNotesFingerprint(currentNotes)
+        };
+        await adapter.setMeta(LAST_BACKUP_META_KEY, backup);
+        return backup;
+      });
+
+      // Another tab is already writing a backup
+      if (!result) return false;
+
+      setLastBackup(result);
+      setBackupError(null);
+      promptedRef.current = false;
+      toast.dismiss(BACKUP_TOAST_ID);
+      if (interactive) {
+        toast.success(`Backed up to ${result.fileName}`);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error writing backup:', error);
+      setBackupError(error.message || String(error));
+      toast.error('Backup failed', {
+        id: BACKUP_TOAST_ID,
+        description: error.message
+      });
+      return false;
+    } finally {
+      setIsBackingUp(false);
+    }
+  }, []);
+
+  // Let the user pick a folder, then back up into it straight away
+  const chooseDirectory = useCallback(async () => {
+    let handle;
+    try {
+      handle = await pickBackupDirectory();
+    } catch (error) {
+      // The user closed the picker
+      if (error.name !== 'AbortError') {
+        console.error('Error choosing backup folder:', error);
+        setBackupError(error.message);
+      }
+      return;
+    }
+
+    setDirectoryHandle(handle);
+    latestRef.current.directoryHandle = handle;
+    if (canPersistDirectory) {
+      try {
+        await storageRef.current.setMeta(DIRECTORY_META_KEY, handle);
+      } catch (error) {
+        console.error('Error saving backup folder:', error);
+      }
+    }
+    await runBackup({ interactive: true });
+  }, [canPersistDirectory, runBackup]);
+
+  const forgetDirectory = useCallback(async () => {
+    setDirectoryHandle(null);
+    if (canPersistDirectory) {
+      try {
+        await storageRef.current.setMeta(DIRECTORY_META_KEY, null);
+      } catch (error) {
+        console.error('Error clearing backup folder:', error);
+      }
+    }
+  }, [canPersistDirectory]);
+
+  // Back up whenever the interval has passed and the notes changed since the last backup
+  useEffect(() => {
+    if (!isLoaded || !settingsLoaded || !settings.enabled) return;
+
+    const checkBackupDue = async () => {
+      try {
+        // Another tab may have backed up in the meantime
+        const storedLastBackup = await storageRef.current.getMeta(LAST_BACKUP_META_KEY);
+        setLastBackup(storedLastBackup);
+
+        const intervalMs = settings.intervalMinutes * 60 * 1000;
+        const lastBackupTime = storedLastBackup ? new Date(storedLastBackup.at).getTime() : 0;
+        if (Date.now() - lastBackupTime < intervalMs) return;
+        if (storedLastBackup?.fingerprint === getNotesFingerprint(latestRef.current.notes)) return;
+
+        await runBackup();
+      } catch (error) {
+        console.error('Error checking backup schedule:', error);
+      }
+    };
+
+    checkBackupDue();
+    const interval = setInterval(checkBackupDue, BACKUP_CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isLoaded, settingsLoaded, settings.enabled, settings.intervalMinutes, runBackup]);
+
+  return {
+    backupSettings: settings,
+    updateBackupSettings: updateSettings,
+    backupDirectoryName: directoryHandle?.name || null,
+    canPersistBackupDirectory: canPersistDirectory,
+    isFolderBackupSupported: isFileSystemAccessSupported(),
+    chooseBackupDirectory: chooseDirectory,
+    forgetBackupDirectory: forgetDirectory,
+    backupNow: () => runBackup({ interactive: true }),
+    lastBackup,
+    backupError,
+    isBackingUp
+  };
+};
@@ -0,0 +1,32 @@
+import { useState, useCallback } from 'react';
+import { DEFAULT_FORMATTING } from '../lib/dictationFormatting';
+
+const STORAGE_KEY = 'dictation-formatting';
+
+const loadSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Dictation formatting settings by language code (e.g. 'en-GB'). Only changed values are stored.
+export const useDictationFormatting = () => {
+  const [settings, setSettings] = useState(loadSettings);
+
+  const getFormatting = useCallback((language) => ({
+    ...DEFAULT_FORMATTING,
+    ...settings[language]
+  }), [settings]);
+
+  const updateFormatting = useCallback((language, changes) => {
+    setSettings((prev) => {
+      const next = { ...prev, [language]: { ...prev[language], ...changes } };
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
+  return { getFormatting, updateFormatting };
+};
@@ -0,0 +1,60 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { DEFAULT_INPUT_SETTINGS, buildAudioConstraints, listMicrophones } from '../lib/microphone';
+
+const STORAGE_KEY = 'microphone-settings';
+
+const loadSettings = () => {
+  try {
+    return { ...DEFAULT_INPUT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_INPUT_SETTINGS;
+  }
+};
+
+// The chosen microphone and processing options, remembered between visits, and the
+// inputs available right now
+export const useMicrophone = () => {
+  const [settings, setSettings] = useState(loadSettings);
+  const [devices, setDevices] = useState([]);
+
+  const refreshDevices = useCallback(async () => {
+    try {
+      setDevices(await listMicrophones());
+    } catch (error) {
+      console.error('Error listing microphones:', error);
+    }
+  }, []);
+
+  // Follow headsets and USB mics being plugged in or out
+  useEffect(() => {
+    refreshDevices();
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices?.addEventListener) return;
+    mediaDevices.addEventListener('devicechange', refreshDevices);
+    return () => mediaDevices.removeEventListener('devicechange', refreshDevices);
+  }, [refreshDevices]);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings((prev) => {
+      const next = { ...prev, ...changes };
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
+  // Until devices are listed, trust the stored choice
+  const constraints = useMemo(
+    () => buildAudioConstraints(settings, devices.length > 0 ? devices : null),
+    [settings, devices]
+  );
+
+  return {
+    settings,
+    devices,
+    isDeviceMissing: Boolean(settings.deviceId) && devices.length > 0 &&
+      !devices.some(device => device.deviceId === settings.deviceId),
+    constraints,
+    updateSettings,
+    refreshDevices
+  };
+};
@@ -1,8 +1,52 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { getDefaultStorage, migrateLegacyStorage } from '../lib/storage';
+import { isQuotaExceededError } from '../lib/storage/quota';
+import { CURRENT_SCHEMA_VERSION, countWords, createNoteDefaults, migrateNotes } from '../lib/noteSchema';
+import {
+  TAB_ID,
+  createTabSyncChannel,
+  mergeNotesByUpdatedAt,
+  acquireRecordingLock,
+  queryRecordingLocks
+} from '../lib/tabSync';
+import {
+  MAX_HISTORY_ENTRIES,
+  HISTORY_COALESCE_MS,
+  diffNotes,
+  mergeChanges,
+  forgetNotes,
+  stepHistory
+} from '../lib/noteHistory';
+import {
+  EDIT_SESSION_IDLE_MS,
+  RECORDING_SNAPSHOT_DELAY_MS,
+  saveRevisionSnapshot,
+  sortRevisions,
+  moveRevisions,
+  getRevisionRestore
+} from '../lib/revisions';
+import { createId } from '../lib/ids';
+import {
+  createSegment,
+  createSilence,
+  appendSegmentText,
+  reformatSegment,
+  averageConfidence,
+  renderContentForExport
+} from '../lib/transcript';
+import { formatDictation, endsSentence, isParagraphPause } from '../lib/dictationFormatting';
+import { getSpeakers } from '../lib/speakers';
 
-const STORAGE_KEY = 'voice-notes-data';
+// Delay before changed notes are written, so typing doesn't hit storage on every keystroke
+const SAVE_DEBOUNCE_MS = 300;
+const SAVE_RETRY_MS = 30000;
+const QUARANTINE_META_KEY = 'quarantinedNotes';
+const TRASH_RETENTION_META_KEY = 'trashRetentionDays';
+// Trashed notes older than this are purged automatically (0 keeps them forever)
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
 
-export const useNotes = () => {
+export const useNotes = ({ storage } = {}) => {
   const [notes, setNotes] = useState([]);
   const [currentNote, setCurrentNote] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
@@ -10,74 +54,442 @@ export const useNotes = () => {
   const [sortOrder, setSortOrder] = useState('desc'); // 'asc', 'desc'
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [selectedTags, setSelectedTags] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [quarantinedNotes, setQuarantinedNotes] = useState([]);
+  const [recordingLocks, setRecordingLocks] = useState({}); // noteId -> id of the tab recording it
+  const [historyState, setHistoryState] = useState({ undoLabel: null, redoLabel: null });
+  const [revisionsVersion, setRevisionsVersion] = useState(0); // bumps whenever a revision is saved
+  const [showTrash, setShowTrash] = useState(false);
+  const [trashRetentionDays, setTrashRetentionDaysState] = useState(DEFAULT_TRASH_RETENTION_DAYS);
+  const [saveStatus, setSaveStatus] = useState({ state: 'saved', lastSavedAt: null, error: null, isQuotaError: false });
 
-  // Load notes from localStorage on mount
+  const storageRef = useRef(storage || getDefaultStorage());
+  const persistedNotesRef = useRef(new Map()); // id -> note object last written to storage
+  const latestNotesRef = useRef(notes);
+  const saveQueueRef = useRef(Promise.resolve());
+  const syncChannelRef = useRef(null);
+  const recordingLocksRef = useRef(recordingLocks);
+  const lockReleasersRef = useRef(new Map()); // noteId -> releases this tab's recording lock
+  const recordingStartsRef = useRef(new Map()); // noteId -> when this tab's current recording began
+  const historyRef = useRef({ past: [], future: [] });
+  const pendingHistoryRef = useRef(null); // { label, coalesce } describing the next notes change
+  const previousNotesRef = useRef(notes);
+  const revisionTimersRef = useRef(new Map()); // noteId -> { timeout, reason } for a pending snapshot
+
+  latestNotesRef.current = notes;
+  recordingLocksRef.current = recordingLocks;
+
+  // Write only the notes whose object identity changed since the last save
+  const persistNotes = useCallback((nextNotes) => {
+    saveQueueRef.current = saveQueueRef.current.then(async () => {
+      const adapter = storageRef.current;
+      const persisted = persistedNotesRef.current;
+      const nextIds = new Set(nextNotes.map(note => note.id));
+      const changedNotes = nextNotes.filter(note => persisted.get(note.id) !== note);
+      const removedIds = [...persisted.keys()].filter(id => !nextIds.has(id));
+
+      if (changedNotes.length === 0 && removedIds.length === 0) return;
+
+      setSaveStatus(prev => (prev.state === 'saving' ? prev : { ...prev, state: 'saving' }));
+      try {
+        if (changedNotes.length > 0) {
+          await adapter.saveNotes(changedNotes);
+        }
+        if (removedIds.length > 0) {
+          await adapter.deleteNotes(removedIds);
+          await adapter.deleteNoteRevisions(removedIds);
+          await adapter.deleteNoteAudio(removedIds);
+        }
+        await adapter.setMeta('lastUpdated', new Date().toISOString());
+
+        changedNotes.forEach(note => persisted.set(note.id, note));
+        removedIds.forEach(id => persisted.delete(id));
+
+        // Let other tabs merge what was just written
+        syncChannelRef.current?.post({
+          type: 'notes-changed',
+          notes: changedNotes,
+          deletedIds: removedIds
+        });
+        setSaveStatus({ state: 'saved', lastSavedAt: new Date().toISOString(), error: null, isQuotaError: false });
+      } catch (error) {
+        // Unsaved notes stay out of `persisted`, so the next save retries them
+        console.error(`Error saving notes to ${adapter.name}:`, error);
+        setSaveStatus(prev => ({
+          ...prev,
+          state: 'error',
+          error: error?.message || String(error),
+          isQuotaError: isQuotaExceededError(error)
+        }));
+      }
+    });
+    return saveQueueRef.current;
+  }, []);
+
+  // Load notes from storage on mount, migrating the legacy localStorage payload first
+  useEffect(() => {
+    let cancelled = false;
+    const adapter = storageRef.current;
+
+    const loadNotes = async () => {
+      try {
+        await migrateLegacyStorage(adapter);
+        const storedNotes = await adapter.loadNotes();
+        if (cancelled) return;
+
+        // Upgrade old notes and set aside the ones that fail validation
+        const { notes: migratedNotes, quarantined } = migrateNotes(storedNotes);
+
+        // A note stored under both its old and new id (e.g. written by an older tab) is kept once
+        const notesById = new Map();
+        migratedNotes.forEach((note) => {
+          const existing = notesById.get(note.id);
+          if (!existing || new Date(note.updatedAt) > new Date(existing.updatedAt)) {
+            notesById.set(note.id, note);
+          }
+        });
+        const validNotes = [...notesById.values()];
+
+        // Notes that just moved to a new id take their revisions along
+        const storedIds = new Set(storedNotes.map(note => String(note?.id)));
+        for (const note of validNotes) {
+          if (note.legacyId && storedIds.has(note.legacyId)) {
+            await moveRevisions(adapter, note.legacyId, note.id);
+          }
+        }
+        if (cancelled) return;
+        const previouslyQuarantined = (await adapter.getMeta(QUARANTINE_META_KEY)) || [];
+        if (quarantined.length > 0) {
+          console.warn(`Quarantined ${quarantined.length} malformed note(s)`, quarantined);
+          await adapter.setMeta(QUARANTINE_META_KEY, [...previouslyQuarantined, ...quarantined]);
+        }
+        await adapter.setMeta('schemaVersion', CURRENT_SCHEMA_VERSION);
+        const storedRetentionDays = await adapter.getMeta(TRASH_RETENTION_META_KEY);
+        if (cancelled) return;
+        if (typeof storedRetentionDays === 'number') {
+          setTrashRetentionDaysState(storedRetentionDays);
+        }
+
+        // Clear recording flags left behind by tabs that closed mid-recording
+        const lockedNoteIds = await queryRecordingLocks();
+        if (cancelled) return;
+        if (lockedNoteIds) {
+          validNotes.forEach((note, index) => {
+            if (note.isRecording && !lockedNoteIds.has(note.id)) {
+              validNotes[index] = { ...note, isRecording: false, recordingTabId: null };
+            }
+          });
+        }
+
+        validNotes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        // Track the raw records so upgraded notes are rewritten and quarantined ones removed
+        persistedNotesRef.current = new Map(
+          storedNotes.filter(note => note && note.id !== undefined).map(note => [note.id, note])
+        );
+        setQuarantinedNotes([...previouslyQuarantined, ...quarantined]);
+
+        // Keep any note created while storage was still loading
+        setNotes(prev => {
+          const storedIds = new Set(validNotes.map(note => note.id));
+          return [...prev.filter(note => !storedIds.has(note.id)), ...validNotes];
+        });
+      } catch (error) {
+        console.error(`Error loading notes from ${adapter.name}:`, error);
+      } finally {
+        if (!cancelled) {
+          setIsLoaded(true);
+        }
+      }
+    };
+
+    loadNotes();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Save changed notes shortly after they change
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    const timeout = setTimeout(() => persistNotes(notes), SAVE_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [notes, isLoaded, persistNotes]);
+
+  // Keep retrying after a failed save, in case space was freed elsewhere
   useEffect(() => {
+    if (saveStatus.state !== 'error') return;
+
+    const timeout = setTimeout(() => persistNotes(notes), SAVE_RETRY_MS);
+    return () => clearTimeout(timeout);
+  }, [saveStatus, notes, persistNotes]);
+
+  // Keep notes and recording state in sync with other open tabs
+  useEffect(() => {
+    const handleMessage = (message) => {
+      switch (message.type) {
+        case 'notes-changed': {
+          const incomingNotes = message.notes || [];
+          const deletedIds = new Set(message.deletedIds || []);
+
+          setNotes(prev => {
+            const { notes: merged, adopted } = mergeNotesByUpdatedAt(prev, incomingNotes);
+            // Adopted notes are already in storage, so don't write them back
+            adopted.forEach(note => persistedNotesRef.current.set(note.id, note));
+            deletedIds.forEach(id => persistedNotesRef.current.delete(id));
+            return merged.filter(note => !deletedIds.has(note.id));
+          });
+          setCurrentNote(prev => {
+            if (!prev) return prev;
+            if (deletedIds.has(prev.id)) return null;
+            const incoming = incomingNotes.find(note => note.id === prev.id);
+            return incoming && new Date(incoming.updatedAt) >= new Date(prev.updatedAt) ? incoming : prev;
+          });
+          break;
+        }
+        case 'recording-started':
+          setRecordingLocks(prev => ({ ...prev, [message.noteId]: message.tabId }));
+          break;
+        case 'recording-stopped':
+          setRecordingLocks(prev => {
+            if (prev[message.noteId] !== message.tabId) return prev;
+            const { [message.noteId]: _released, ...rest } = prev;
+            return rest;
+          });
+          break;
+        case 'recording-state-request':
+          // A new tab wants to know which notes we are recording
+          lockReleasersRef.current.forEach((_release, noteId) => {
+            syncChannelRef.current?.post({ type: 'recording-started', noteId });
+          });
+          break;
+        default:
+          break;
+      }
+    };
+
+    const channel = createTabSyncChannel(handleMessage);
+    syncChannelRef.current = channel;
+    channel.post({ type: 'recording-state-request' });
+
+    // Release recording locks when this tab goes away
+    const releaseLocks = () => {
+      lockReleasersRef.current.forEach((release, noteId) => {
+        release();
+        channel.post({ type: 'recording-stopped', noteId });
+      });
+      lockReleasersRef.current.clear();
+    };
+    window.addEventListener('pagehide', releaseLocks);
+
+    return () => {
+      window.removeEventListener('pagehide', releaseLocks);
+      channel.close();
+      syncChannelRef.current = null;
+    };
+  }, []);
+
+  // Snapshot the latest version of a note into its revision history
+  const snapshotRevision = useCallback(async (noteId, reason) => {
+    const note = latestNotesRef.current.find(n => n.id === noteId);
+    if (!note) return null;
+
     try {
-      const savedData = localStorage.getItem(STORAGE_KEY);
-      if (savedData) {
-        const parsedData = JSON.parse(savedData);
-        setNotes(parsedData.notes || []);
+      const revision = await saveRevisionSnapshot(storageRef.current, note, reason);
+      if (revision) {
+        setRevisionsVersion(version => version + 1);
       }
+      return revision;
     } catch (error) {
-      console.error('Error loading notes from localStorage:', error);
+      console.error('Error saving note revision:', error);
+      return null;
     }
   }, []);
 
-  // Save notes to localStorage whenever notes change
-  useEffect(() => {
+  // Snapshot a note after a delay, restarting the wait if called again
+  const scheduleRevision = useCallback((noteId, reason, delay) => {
+    const timers = revisionTimersRef.current;
+    const pending = timers.get(noteId);
+    if (pending) {
+      clearTimeout(pending.timeout);
+    }
+
+    const timeout = setTimeout(() => {
+      timers.delete(noteId);
+      snapshotRevision(noteId, reason);
+    }, delay);
+    timers.set(noteId, { timeout, reason });
+  }, [snapshotRevision]);
+
+  // Take every pending snapshot right away
+  const flushRevisions = useCallback(() => {
+    const timers = revisionTimersRef.current;
+    timers.forEach(({ timeout, reason }, noteId) => {
+      clearTimeout(timeout);
+      snapshotRevision(noteId, reason);
+    });
+    timers.clear();
+  }, [snapshotRevision]);
+
+  // Load a note's revisions, newest first
+  const getRevisions = useCallback(async (noteId) => {
     try {
-      const dataToSave = {
-        notes,
-        lastUpdated: new Date().toISOString()
-      };
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(dataToSave));
+      return sortRevisions(await storageRef.current.loadRevisions(noteId));
     } catch (error) {
-      console.error('Error saving notes to localStorage:', error);
+      console.error('Error loading note revisions:', error);
+      return [];
     }
+  }, []);
+
+  // Flush pending changes when the tab is hidden or closed
+  useEffect(() => {
+    if (!isLoaded) return;
+
+    const flush = () => {
+      persistNotes(latestNotesRef.current);
+      flushRevisions();
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        flush();
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', flush);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', flush);
+    };
+  }, [isLoaded, persistNotes, flushRevisions]);
+
+  // Label the next change to the notes list as an undoable step
+  const recordHistory = useCallback((label, { coalesce = false } = {}) => {
+    pendingHistoryRef.current = { label, coalesce };
+  }, []);
+
+  const publishHistoryState = useCallback(() => {
+    const { past, future } = historyRef.current;
+    setHistoryState({
+      undoLabel: past.length > 0 ? past[past.length - 1].label : null,
+      redoLabel: future.length > 0 ? future[future.length - 1].label : null
+    });
+  }, []);
+
+  // Turn labelled changes into history entries. Changes without a label
+  // (loading, other tabs, undo/redo itself) only move the baseline.
+  useEffect(() => {
+    const previousNotes = previousNotesRef.current;
+    const pending = pendingHistoryRef.current;
+    previousNotesRef.current = notes;
+    pendingHistoryRef.current = null;
+
+    if (!pending || previousNotes === notes) return;
+
+    const changes = diffNotes(previousNotes, notes);
+    if (changes.length === 0) return;
+
+    const history = historyRef.current;
+    const lastEntry = history.past[history.past.length - 1];
+    const now = Date.now();
+    const canCoalesce = lastEntry &&
+      pending.coalesce &&
+      lastEntry.coalesce &&
+      lastEntry.label === pending.label &&
+      now - lastEntry.timestamp < HISTORY_COALESCE_MS &&
+      changes.every(change => lastEntry.changes.some(existing => existing.noteId === change.noteId));
+
+    if (canCoalesce) {
+      lastEntry.changes = mergeChanges(lastEntry.changes, changes);
+      lastEntry.timestamp = now;
+    } else {
+      history.past.push({ label: pending.label, coalesce: pending.coalesce, changes, timestamp: now });
+      if (history.past.length > MAX_HISTORY_ENTRIES) {
+        history.past.shift();
+      }
+    }
+    history.future = [];
+    publishHistoryState();
+  }, [notes, publishHistoryState]);
+
+  // Keep the selected note pointing at its latest version
+  useEffect(() => {
+    setCurrentNote(prev => {
+      if (!prev) return prev;
+      return notes.find(note => note.id === prev.id) || null;
+    });
   }, [notes]);
 
-  // Create a new note
-  const createNote = useCallback((title = '', category = 'general') => {
+  // Undo the most recent note change that still has something to put back
+  const undo = useCallback(() => {
+    const history = historyRef.current;
+    if (history.past.length === 0) return;
+
+    const notesBefore = latestNotesRef.current;
+    const restored = stepHistory(notesBefore, history.past, history.future, 'before');
+    pendingHistoryRef.current = null;
+    if (restored !== notesBefore) {
+      setNotes(restored);
+    }
+    publishHistoryState();
+  }, [publishHistoryState]);
+
+  // Redo the most recently undone note change that still has something to change
+  const redo = useCallback(() => {
+    const history = historyRef.current;
+    if (history.future.length === 0) return;
+
+    const notesBefore = latestNotesRef.current;
+    const restored = stepHistory(notesBefore, history.future, history.past, 'after');
+    pendingHistoryRef.current = null;
+    if (restored !== notesBefore) {
+      setNotes(restored);
+    }
+    publishHistoryState();
+  }, [publishHistoryState]);
+
+  // Create a new note, dictated in `language` unless it's changed later
+  const createNote = useCallback((title = '', category = 'general', language = null) => {
+    const defaults = createNoteDefaults();
     const newNote = {
-      id: Date.now().toString(),
+      ...defaults,
+      id: createId(),
       title: title || `Meeting ${new Date().toLocaleDateString()}`,
-      content: '',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      duration: 0,
-      wordCount: 0,
-      language: 'en-US',
-      isRecording: false,
       category: category,
-      tags: [],
-      priority: 'normal', // 'low', 'normal', 'high'
-      isStarred: false,
-      isArchived: false,
-      metadata: {
-        startTime: null,
-        endTime: null,
-        confidence: 0,
-        speakers: [],
-        location: '',
-        attendees: []
-      }
+      language: language || defaults.language
     };
     
+    recordHistory('Create note');
     setNotes(prev => [newNote, ...prev]);
     setCurrentNote(newNote);
     return newNote;
-  }, []);
+  }, [recordHistory]);
 
-  // Update a note
-  const updateNote = useCallback((noteId, updates) => {
+  // Update a note. `changes` may be an object or a function of the current note.
+  // Pass `historyLabel: null` for changes that shouldn't be undoable.
+  const updateNote = useCallback((noteId, changes, { historyLabel = 'Edit note', coalesce = true } = {}) => {
+    if (historyLabel) {
+      recordHistory(historyLabel, { coalesce });
+    }
+
+    // Typing starts an editing session: keep the pre-edit version, then snapshot once it goes idle.
+    // Editor updates while dictating belong to the recording, not to an editing session.
+    const noteBeforeEdit = latestNotesRef.current.find(note => note.id === noteId);
+    if (historyLabel === 'Edit note' && noteBeforeEdit && !noteBeforeEdit.isRecording) {
+      const pending = revisionTimersRef.current.get(noteId);
+      if (!pending || pending.reason !== 'edit') {
+        snapshotRevision(noteId, pending ? pending.reason : 'edit');
+      }
+      scheduleRevision(noteId, 'edit', EDIT_SESSION_IDLE_MS);
+    }
     setNotes(prev => prev.map(note => {
       if (note.id === noteId) {
+        const updates = typeof changes === 'function' ? changes(note) : changes;
         const updatedNote = {
           ...note,
           ...updates,
           updatedAt: new Date().toISOString(),
-          wordCount: updates.content ? updates.content.split(/\s+/).filter(word => word.length > 0).length : note.wordCount
+          wordCount: typeof updates.content === 'string' ? countWords(updates.content) : note.wordCount
         };
         
         // Update current note if it's the one being updated
@@ -89,23 +501,96 @@ export const useNotes = () => {
       }
       return note;
     }));
-  }, []);
+  }, [recordHistory, snapshotRevision, scheduleRevision]);
 
-  // Delete a note
+  // Move a note to the trash
   const deleteNote = useCallback((noteId) => {
-    setNotes(prev => prev.filter(note => note.id !== noteId));
+    updateNote(noteId, { deletedAt: new Date().toISOString() }, {
+      historyLabel: 'Move to trash',
+      coalesce: false
+    });
     
     // Clear current note if it's the one being deleted
     if (currentNote && currentNote.id === noteId) {
       setCurrentNote(null);
     }
-  }, [currentNote]);
+  }, [currentNote, updateNote]);
+
+  // Add imported notes and overwrite the ones the user chose to merge or replace.
+  // Updated notes get a fresh timestamp so other tabs adopt them.
+  const importNotes = useCallback(({ added = [], updated = [] }) => {
+    if (added.length === 0 && updated.length === 0) return;
+
+    const now = new Date().toISOString();
+    const updatedById = new Map(updated.map(note => [note.id, { ...note, updatedAt: now }]));
+    recordHistory('Import notes');
+    setNotes(prev => [
+      ...added,
+      ...prev.map(note => updatedById.get(note.id) || note)
+    ]);
+  }, [recordHistory]);
+
+  // Take a note back out of the trash
+  const restoreNote = useCallback((noteId) => {
+    updateNote(noteId, { deletedAt: null }, { historyLabel: 'Restore from trash', coalesce: false });
+  }, [updateNote]);
+
+  // Permanently delete notes. Their revisions and audio are deleted with them, so this isn't
+  // an undo step, and earlier steps for these notes are dropped so none can bring them back.
+  const purgeNotes = useCallback((noteIds) => {
+    const purgedIds = new Set(noteIds);
+    if (purgedIds.size === 0) return;
+
+    const history = historyRef.current;
+    history.past = forgetNotes(history.past, purgedIds);
+    history.future = forgetNotes(history.future, purgedIds);
+    publishHistoryState();
+
+    setNotes(prev => prev.filter(note => !purgedIds.has(note.id)));
+    setCurrentNote(prev => (prev && purgedIds.has(prev.id) ? null : prev));
+  }, [publishHistoryState]);
+
+  const purgeNote = useCallback((noteId) => purgeNotes([noteId]), [purgeNotes]);
+
+  // Permanently delete every note in the trash
+  const emptyTrash = useCallback(() => {
+    purgeNotes(latestNotesRef.current.filter(note => note.deletedAt).map(note => note.id));
+  }, [purgeNotes]);
+
+  // Change how long trashed notes are kept
+  const setTrashRetentionDays = useCallback(async (days) => {
+    setTrashRetentionDaysState(days);
+    try {
+      await storageRef.current.setMeta(TRASH_RETENTION_META_KEY, days);
+    } catch (error) {
+      console.error('Error saving trash retention setting:', error);
+    }
+  }, []);
+
+  // Purge trashed notes past the retention period, on load and then periodically
+  useEffect(() => {
+    if (!isLoaded || trashRetentionDays <= 0) return;
+
+    const purgeExpiredNotes = () => {
+      const cutoff = Date.now() - trashRetentionDays * 24 * 60 * 60 * 1000;
+      purgeNotes(latestNotesRef.current
+        .filter(note => note.deletedAt && new Date(note.deletedAt).getTime() <= cutoff)
+        .map(note => note.id));
+    };
+
+    purgeExpiredNotes();
+    const interval = setInterval(purgeExpiredNotes, TRASH_PURGE_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isLoaded, trashRetentionDays, purgeNotes]);
 
   // Archive/unarchive a note
   const toggleArchiveNote = useCallback((noteId) => {
     const note = notes.find(n => n.id === noteId);
     if (note) {
-      updateNote(noteId, { isArchived: !note.isArchived });
+      updateNote(noteId, { isArchived: !note.isArchived }, {
+        historyLabel: note.isArchived ? 'Unarchive note' : 'Archive note',
+        coalesce: false
+      });
     }
   }, [notes, updateNote]);
 
@@ -113,68 +598,135 @@ export const useNotes = () => {
   const toggleStarNote = useCallback((noteId) => {
     const note = notes.find(n => n.id === noteId);
     if (note) {
-      updateNote(noteId, { isStarred: !note.isStarred });
+      updateNote(noteId, { isStarred: !note.isStarred }, {
+        historyLabel: note.isStarred ? 'Unstar note' : 'Star note',
+        coalesce: false
+      });
     }
   }, [notes, updateNote]);
 
-  // Add tag to a note
+  // Add tag to a note. Looks at the latest notes so it also works on a note created
+  // moments ago, e.g. by a voice command.
   const addTagToNote = useCallback((noteId, tag) => {
-    const note = notes.find(n => n.id === noteId);
+    const note = latestNotesRef.current.find(n => n.id === noteId);
     if (note && !note.tags.includes(tag)) {
-      updateNote(noteId, { tags: [...note.tags, tag] });
+      updateNote(noteId, current => ({ tags: [...current.tags, tag] }), { historyLabel: 'Add tag', coalesce: false });
     }
-  }, [notes, updateNote]);
+  }, [updateNote]);
 
   // Remove tag from a note
   const removeTagFromNote = useCallback((noteId, tag) => {
     const note = notes.find(n => n.id === noteId);
     if (note) {
-      updateNote(noteId, { tags: note.tags.filter(t => t !== tag) });
+      updateNote(noteId, { tags: note.tags.filter(t => t !== tag) }, { historyLabel: 'Remove tag', coalesce: false });
     }
   }, [notes, updateNote]);
 
-  // Start recording for a note
-  const startRecording = useCallback((noteId) => {
-    updateNote(noteId, {
+  // Start recording for a note. Resolves to false when another tab is already recording it.
+  const startRecording = useCallback(async (noteId) => {
+    const lockOwner = recordingLocksRef.current[noteId];
+    if (lockOwner && lockOwner !== TAB_ID) return false;
+
+    if (!lockReleasersRef.current.has(noteId)) {
+      const release = await acquireRecordingLock(noteId);
+      if (!release) return false;
+      lockReleasersRef.current.set(noteId, release);
+    }
+
+    setRecordingLocks(prev => ({ ...prev, [noteId]: TAB_ID }));
+    syncChannelRef.current?.post({ type: 'recording-started', noteId });
+
+    const now = new Date();
+    recordingStartsRef.current.set(noteId, now.getTime());
+    // startTime stays at the first recording, since segment times are measured from it
+    updateNote(noteId, note => ({
       isRecording: true,
+      recordingTabId: TAB_ID,
       metadata: {
-        ...notes.find(n => n.id === noteId)?.metadata,
-        startTime: new Date().toISOString()
+        ...note.metadata,
+        startTime: note.metadata.startTime || now.toISOString()
       }
-    });
-  }, [updateNote, notes]);
+    }), { historyLabel: null });
+    return true;
+  }, [updateNote]);
 
-  // Stop recording for a note
+  // Stop recording for a note and release its recording lock
   const stopRecording = useCallback((noteId) => {
-    const note = notes.find(n => n.id === noteId);
-    if (note && note.metadata.startTime) {
-      const startTime = new Date(note.metadata.startTime);
+    const release = lockReleasersRef.current.get(noteId);
+    if (release) {
+      release();
+      lockReleasersRef.current.delete(noteId);
+      setRecordingLocks(prev => {
+        const { [noteId]: _released, ...rest } = prev;
+        return rest;
+      });
+      syncChannelRef.current?.post({ type: 'recording-stopped', noteId });
+    }
+
+    const startedAt = recordingStartsRef.current.get(noteId);
+    recordingStartsRef.current.delete(noteId);
+
+    updateNote(noteId, (note) => {
+      if (!startedAt) {
+        return { isRecording: false, recordingTabId: null };
+      }
       const endTime = new Date();
-      const duration = Math.floor((endTime - startTime) / 1000); // in seconds
-      
-      updateNote(noteId, {
+      const duration = Math.floor((endTime - startedAt) / 1000); // in seconds
+
+      return {
         isRecording: false,
+        recordingTabId: null,
         duration: note.duration + duration,
         metadata: {
           ...note.metadata,
           endTime: endTime.toISOString()
         }
-      });
-    }
-  }, [updateNote, notes]);
+      };
+    }, { historyLabel: null });
+
+    // Keep the machine transcript as a revision before any clean-up edits
+    scheduleRevision(noteId, 'recording', RECORDING_SNAPSHOT_DELAY_MS);
+  }, [updateNote, scheduleRevision]);
 
-  // Append text to a note's content
-  const appendToNote = useCallback((noteId, text) => {
-    if (!text) return;
+  // Whether a note is being recorded in a different tab
+  const isRecordingInOtherTab = useCallback((noteId) => {
+    const lockOwner = recordingLocks[noteId];
+    return Boolean(lockOwner && lockOwner !== TAB_ID);
+  }, [recordingLocks]);
+
+  // Add a recognition result ({ text, confidence, startedAt, endedAt, language, engine })
+  // to a note's transcript and content. With `formatting` settings (see lib/dictationFormatting.js)
+  // the text is punctuated and capitalized to follow on from the note's content.
+  const appendSegment = useCallback((noteId, result, { formatting = null } = {}) => {
+    if (!result?.text?.trim()) return;
     
+    recordHistory('Dictation', { coalesce: true });
     setNotes(prev => prev.map(note => {
       if (note.id === noteId) {
-        const newContent = (note.content ? note.content + ' ' : '') + text;
+        let segment = createSegment(note, result);
+        let paragraphBreak = false;
+        if (formatting) {
+          paragraphBreak = Boolean(note.content) &&
+            isParagraphPause(note.segments[note.segments.length - 1], segment.start, formatting);
+          const startsSentence = paragraphBreak || endsSentence(note.content);
+          segment = reformatSegment(segment, text =>
+            formatDictation(text, { language: segment.language, settings: formatting, startsSentence }));
+        }
+        const segments = [...note.segments, segment];
+        const newContent = appendSegmentText(note.content, segment, {
+          paragraphBreak,
+          language: segment.language !== note.language ? segment.language : null
+        });
         const updatedNote = {
           ...note,
           content: newContent,
+          segments,
           updatedAt: new Date().toISOString(),
-          wordCount: newContent.split(/\s+/).filter(Boolean).length
+          wordCount: countWords(newContent),
+          metadata: {
+            ...note.metadata,
+            confidence: averageConfidence(segments)
+          }
         };
 
         setCurrentNote(prevCurrentNote => 
@@ -185,23 +737,56 @@ export const useNotes = () => {
       }
       return note;
     }));
+  }, [recordHistory]);
+
+  // Add what voice activity detection heard while recording a note. `speech` and `silence`
+  // are { startedAt, endedAt } in ms since the epoch: speech adds to the speaking time and
+  // silences are marked on the transcript timeline.
+  const recordVoiceActivity = useCallback((noteId, { speech = null, silence = null }) => {
+    updateNote(noteId, note => ({
+      ...(speech ? { speakingTime: note.speakingTime + (speech.endedAt - speech.startedAt) / 1000 } : {}),
+      ...(silence ? { silences: [...note.silences, createSilence(note, silence)] } : {})
+    }), { historyLabel: null });
+  }, [updateNote]);
+
+  // Replace a note's title and content with a saved revision, keeping the current version first
+  const restoreRevision = useCallback(async (revision) => {
+    await snapshotRevision(revision.noteId, 'restore');
+    updateNote(revision.noteId, note => getRevisionRestore(revision, note), {
+      historyLabel: 'Restore revision',
+      coalesce: false
+    });
+  }, [snapshotRevision, updateNote]);
+
+  // Permanently drop notes that failed validation on load
+  const discardQuarantinedNotes = useCallback(async () => {
+    setQuarantinedNotes([]);
+    try {
+      await storageRef.current.setMeta(QUARANTINE_META_KEY, []);
+    } catch (error) {
+      console.error('Error clearing quarantined notes:', error);
+    }
   }, []);
 
+  // Notes that aren't in the trash
+  const activeNotes = useMemo(() => notes.filter(note => !note.deletedAt), [notes]);
+  const trashedNotes = useMemo(() => notes.filter(note => note.deletedAt), [notes]);
+
   // Get all unique categories
   const getCategories = useCallback(() => {
-    const categories = [...new Set(notes.map(note => note.category))];
+    const categories = [...new Set(activeNotes.map(note => note.category))];
     return ['all', ...categories.sort()];
-  }, [notes]);
+  }, [activeNotes]);
 
   // Get all unique tags
   const getAllTags = useCallback(() => {
-    const allTags = notes.flatMap(note => note.tags || []);
+    const allTags = activeNotes.flatMap(note => note.tags || []);
     return [...new Set(allTags)].sort();
-  }, [notes]);
+  }, [activeNotes]);
 
   // Filter and sort notes
   const filteredAndSortedNotes = useCallback(() => {
-    let filtered = notes;
+    let filtered = showTrash ? trashedNotes : activeNotes;
     
     // Apply search filter
     if (searchTerm) {
@@ -225,7 +810,7 @@ export const useNotes = () => {
     }
     
     // Apply sorting
-    filtered.sort((a, b) => {
+    filtered = [...filtered].sort((a, b) => {
       let aValue, bValue;
       
       switch (sortBy) {
@@ -241,11 +826,12 @@ export const useNotes = () => {
           aValue = a.wordCount;
           bValue = b.wordCount;
           break;
-        case 'priority':
+        case 'priority': {
           const priorityOrder = { 'high': 3, 'normal': 2, 'low': 1 };
           aValue = priorityOrder[a.priority] || 2;
           bValue = priorityOrder[b.priority] || 2;
           break;
+        }
         case 'date':
         default:
           aValue = new Date(a.updatedAt);
@@ -265,15 +851,19 @@ export const useNotes = () => {
     });
     
     return filtered;
-  }, [notes, searchTerm, sortBy, sortOrder, selectedCategory, selectedTags]);
+  }, [activeNotes, trashedNotes, showTrash, searchTerm, sortBy, sortOrder, selectedCategory, selectedTags]);
 
-  // Export notes
-  const exportNotes = useCallback((format = 'json') => {
+  // Export notes, optionally limited to `noteIds`
+  const exportNotes = useCallback((format = 'json', noteIds = null) => {
+    const selectedIds = noteIds ? new Set(noteIds) : null;
+    const notesToExport = selectedIds ? notes.filter(note => selectedIds.has(note.id)) : notes;
+    const textNotes = notesToExport.filter(note => selectedIds || !note.deletedAt);
     const dataToExport = {
-      notes,
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      notes: notesToExport,
       exportedAt: new Date().toISOString(),
-      totalNotes: notes.length,
-      totalWords: notes.reduce((sum, note) => sum + note.wordCount, 0),
+      totalNotes: notesToExport.length,
+      totalWords: notesToExport.reduce((sum, note) => sum + note.wordCount, 0),
       categories: getCategories(),
       tags: getAllTags()
     };
@@ -282,23 +872,30 @@ export const useNotes = () => {
       case 'json':
         return JSON.stringify(dataToExport, null, 2);
       case 'markdown':
-        return notes.map(note => 
+        return textNotes.map(note => 
           `# ${note.title}\n\n` +
           `**Created:** ${new Date(note.createdAt).toLocaleString()}\n` +
           `**Category:** ${note.category}\n` +
           `**Tags:** ${note.tags.join(', ')}\n` +
           `**Duration:** ${Math.floor(note.duration / 60)}:${(note.duration % 60).toString().padStart(2, '0')}\n` +
           `**Words:** ${note.wordCount}\n` +
-          `**Priority:** ${note.priority}\n\n` +
-          `${note.content}\n\n---\n\n`
+          `**Priority:** ${note.priority}\n` +
+          (getSpeakers(note).length ? `**Speakers:** ${getSpeakers(note).map(speaker => speaker.name).join(', ')}\n` : '') +
+          `\n${renderContentForExport(note, {
+            speakerLabel: speaker => `\n\n**${speaker.name}:** `,
+            actionItemLabel: '**Action item:** '
+          })}\n\n---\n\n`
         ).join('');
       case 'txt':
-        return notes.map(note => 
+        return textNotes.map(note => 
           `${note.title}\n` +
           `${new Date(note.createdAt).toLocaleString()}\n` +
           `Category: ${note.category} | Tags: ${note.tags.join(', ')}\n` +
           `${'-'.repeat(50)}\n` +
-          `${note.content}\n\n`
+          `${renderContentForExport(note, {
+            speakerLabel: speaker => `\n\n${speaker.name}: `,
+            actionItemLabel: 'Action item: '
+          })}\n\n`
         ).join('');
       default:
         return JSON.stringify(dataToExport, null, 2);
@@ -307,13 +904,13 @@ export const useNotes = () => {
 
   // Get statistics
   const getStats = useCallback(() => {
-    const totalNotes = notes.length;
-    const totalWords = notes.reduce((sum, note) => sum + note.wordCount, 0);
-    const totalDuration = notes.reduce((sum, note) => sum + note.duration, 0);
+    const totalNotes = activeNotes.length;
+    const totalWords = activeNotes.reduce((sum, note) => sum + note.wordCount, 0);
+    const totalDuration = activeNotes.reduce((sum, note) => sum + note.duration, 0);
     const averageWordsPerNote = totalNotes > 0 ? Math.round(totalWords / totalNotes) : 0;
     const averageDurationPerNote = totalNotes > 0 ? Math.round(totalDuration / totalNotes) : 0;
-    const starredNotes = notes.filter(note => note.isStarred).length;
-    const archivedNotes = notes.filter(note => note.isArchived).length;
+    const starredNotes = activeNotes.filter(note => note.isStarred).length;
+    const archivedNotes = activeNotes.filter(note => note.isArchived).length;
     
     return {
       totalNotes,
@@ -323,15 +920,21 @@ export const useNotes = () => {
       averageDurationPerNote,
       starredNotes,
       archivedNotes,
+      trashedNotes: trashedNotes.length,
       categories: getCategories().length - 1, // exclude 'all'
       totalTags: getAllTags().length,
-      lastUpdated: notes.length > 0 ? notes[0].updatedAt : null
+      lastUpdated: activeNotes.length > 0 ? activeNotes[0].updatedAt : null
     };
-  }, [notes, getCategories, getAllTags]);
+  }, [activeNotes, trashedNotes, getCategories, getAllTags]);
 
   return {
     notes: filteredAndSortedNotes(),
     allNotes: notes,
+    isLoaded,
+    storageType: storageRef.current.name,
+    saveStatus,
+    quarantinedNotes,
+    discardQuarantinedNotes,
     currentNote,
     searchTerm,
     sortBy,
@@ -341,13 +944,33 @@ export const useNotes = () => {
     createNote,
     updateNote,
     deleteNote,
+    restoreNote,
+    purgeNote,
+    purgeNotes,
+    emptyTrash,
+    importNotes,
+    showTrash,
+    setShowTrash,
+    trashRetentionDays,
+    setTrashRetentionDays,
     toggleArchiveNote,
     toggleStarNote,
     addTagToNote,
     removeTagFromNote,
     startRecording,
     stopRecording,
-    appendToNote,
+    recordVoiceActivity,
+    isRecordingInOtherTab,
+    appendSegment,
+    getRevisions,
+    restoreRevision,
+    revisionsVersion,
+    undo,
+    redo,
+    canUndo: historyState.undoLabel !== null,
+    canRedo: historyState.redoLabel !== null,
+    undoLabel: historyState.undoLabel,
+    redoLabel: historyState.redoLabel,
     setCurrentNote,
     setSearchTerm,
     setSortBy,
@@ -0,0 +1,132 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  MAX_SPEAKER_HOTKEYS,
+  getAttendees,
+  getSpeakers,
+  ensureSpeaker,
+  addAttendee as addAttendeeChanges,
+  removeAttendee as removeAttendeeChanges,
+  assignSegmentsSpeaker,
+  speakerAt
+} from '../lib/speakers';
+
+// Who is talking in the current note. Switches made while recording are timestamped, so a
+// result that started before the switch still goes to the previous speaker.
+// Alt+1–9 picks an attendee while recording and Alt+0 clears the speaker.
+export const useSpeakers = ({ note, updateNote, isRecording }) => {
+  const [activeSpeakerId, setActiveSpeakerId] = useState(null);
+
+  const noteRef = useRef(note);
+  const activeSpeakerIdRef = useRef(null);
+  const changesRef = useRef([]); // [{ at, speakerId }] for the current recording
+  noteRef.current = note;
+
+  const setActiveSpeaker = useCallback((speakerId) => {
+    activeSpeakerIdRef.current = speakerId;
+    setActiveSpeakerId(speakerId);
+    changesRef.current = [...changesRef.current, { at: Date.now(), speakerId }];
+  }, []);
+
+  // A different note starts without a speaker
+  const noteId = note?.id;
+  useEffect(() => {
+    activeSpeakerIdRef.current = null;
+    setActiveSpeakerId(null);
+    changesRef.current = [];
+  }, [noteId]);
+
+  // Each recording carries on with whoever spoke last
+  useEffect(() => {
+    if (isRecording) {
+      changesRef.current = [{ at: 0, speakerId: activeSpeakerIdRef.current }];
+    }
+  }, [isRecording]);
+
+  // Make `name` the current speaker, or nobody when it's null
+  const markSpeaker = useCallback((name) => {
+    const current = noteRef.current;
+    if (!current) return;
+    if (!name) {
+      setActiveSpeaker(null);
+      return;
+    }
+
+    const { speaker, changes } = ensureSpeaker(current, name);
+    if (changes) {
+      updateNote(current.id, changes, { historyLabel: null });
+    }
+    setActiveSpeaker(speaker.id);
+  }, [updateNote, setActiveSpeaker]);
+
+  const speakerForTime = useCallback((time) => speakerAt(changesRef.current, time), []);
+
+  const addAttendee = useCallback((name) => {
+    const current = noteRef.current;
+    const changes = current && addAttendeeChanges(current, name);
+    if (changes) {
+      updateNote(current.id, changes, { historyLabel: 'Edit attendees', coalesce: false });
+    }
+    return Boolean(changes);
+  }, [updateNote]);
+
+  const removeAttendee = useCallback((name) => {
+    const current = noteRef.current;
+    if (!current) return;
+    updateNote(current.id, removeAttendeeChanges(current, name), { historyLabel: 'Edit attendees', coalesce: false });
+  }, [updateNote]);
+
+  // Give segments to the speaker called `name` (null for nobody) after the fact
+  const assignSegments = useCallback((segmentIds, name) => {
+    const current = noteRef.current;
+    if (!current) return;
+
+    let noteWithSpeaker = current;
+    let speakerId = null;
+    if (name) {
+      const { speaker, changes } = ensureSpeaker(current, name);
+      if (changes) noteWithSpeaker = { ...current, ...changes };
+      speakerId = speaker.id;
+    }
+    updateNote(current.id, {
+      metadata: noteWithSpeaker.metadata,
+      ...assignSegmentsSpeaker(noteWithSpeaker, segmentIds, speakerId)
+    }, { historyLabel: 'Reassign speaker', coalesce: false });
+  }, [updateNote]);
+
+  // Speaker hotkeys while recording
+  useEffect(() => {
+    if (!isRecording) return;
+
+    const handleKeyDown = (e) => {
+      if (!e.altKey || e.ctrlKey || e.metaKey) return;
+      const match = e.code.match(/^(?:Digit|Numpad)(\d)$/);
+      if (!match) return;
+
+      const index = Number(match[1]);
+      if (index === 0) {
+        e.preventDefault();
+        markSpeaker(null);
+        return;
+      }
+      const name = getAttendees(noteRef.current)[index - 1];
+      if (name && index <= MAX_SPEAKER_HOTKEYS) {
+        e.preventDefault();
+        markSpeaker(name);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isRecording, markSpeaker]);
+
+  return {
+    attendees: getAttendees(note),
+    speakers: getSpeakers(note),
+    activeSpeakerId,
+    markSpeaker,
+    speakerForTime,
+    addAttendee,
+    removeAttendee,
+    assignSegments
+  };
+};
@@ -1,343 +1,436 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  TRANSCRIPTION_ERRORS,
+  getTranscriptionEngine,
+  getTranscriptionEngines,
+  resolveEngineId,
+  resolveEngineSettings
+} from '../lib/transcription';
+import { DEFAULT_LOCALE } from '../lib/locales';
 
-// Check for browser support
-const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+const ENGINE_STORAGE_KEY = 'transcription-engine';
+const PREVIOUS_LANGUAGE_STORAGE_KEY = 'previous-recognition-language';
+const engineSettingsKey = (engineId) => `transcription-engine-settings:${engineId}`;
 
-export const useSpeechRecognition = () => {
+const loadEngineSettings = (engineId) => {
+  try {
+    return JSON.parse(localStorage.getItem(engineSettingsKey(engineId))) || {};
+  } catch {
+    return {};
+  }
+};
+
+// ?engine=replay&scenario=network-down picks an engine and overrides its settings
+const getUrlParams = () => new URLSearchParams(window.location.search);
+
+const getUrlEngineSettings = (engine) => {
+  const params = getUrlParams();
+  return Object.fromEntries(
+    (engine?.settings || []).filter(({ key }) => params.has(key)).map(({ key }) => [key, params.get(key)])
+  );
+};
+
+const MAX_CONSECUTIVE_ERRORS = 5;
+// The first retry after a failure waits this long, doubling after each further consecutive
+// failure until results arrive again. A network that just dropped needs longer to come back.
+const INITIAL_RESTART_DELAY_MS = 1000;
+const NETWORK_RESTART_DELAY_MS = 2000;
+const MAX_RESTART_DELAY_MS = 10000;
+const RESTART_DELAY_MS = 100; // let an aborted session wind down before starting the next
+const STALL_TIMEOUT_MS = 30000; // force a restart when no results arrive for this long
+const INTERIM_AUTO_PUSH_LENGTH = 150;
+const LANGUAGE_SWITCH_TIMEOUT_MS = 3000; // give up waiting for the old session's last results
+
+// How long to wait before retrying after `failures` consecutive failures
+const getRetryDelay = (failures, initialDelay = INITIAL_RESTART_DELAY_MS) =>
+  Math.min(initialDelay * 2 ** (failures - 1), MAX_RESTART_DELAY_MS);
+
+// Errors that restarting can't fix
+const FATAL_ERRORS = ['audio-capture', 'not-allowed', 'service-not-allowed', 'language-not-supported'];
+
+// `audioConstraints` choose the microphone for engines that open it themselves; changes
+// apply from the next session
+export const useSpeechRecognition = ({ engineId: requestedEngineId, audioConstraints = {} } = {}) => {
   const [isListening, setIsListening] = useState(false);
   const [transcript, setTranscript] = useState('');
   const [interimTranscript, setInterimTranscript] = useState('');
   const [latestFinalSegment, setLatestFinalSegment] = useState('');
   const [error, setError] = useState(null);
-  const [isSupported, setIsSupported] = useState(false);
   const [confidence, setConfidence] = useState(0);
-  const [language, setLanguage] = useState('en-US');
-  
-  const recognitionRef = useRef(null);
+  const [language, setLanguage] = useState(DEFAULT_LOCALE);
+  const [previousLanguage, setPreviousLanguage] = useState(() => localStorage.getItem(PREVIOUS_LANGUAGE_STORAGE_KEY));
+  const [engineId, setEngineId] = useState(() =>
+    resolveEngineId(requestedEngineId || getUrlParams().get('engine') || localStorage.getItem(ENGINE_STORAGE_KEY))
+  );
+
+  const [storedEngineSettings, setStoredEngineSettings] = useState(() => ({
+    ...loadEngineSettings(engineId),
+    ...getUrlEngineSettings(getTranscriptionEngine(engineId))
+  }));
+
+  const engine = getTranscriptionEngine(engineId);
+  const isSupported = Boolean(engine?.isSupported());
+  const engineSettings = resolveEngineSettings(engine, storedEngineSettings);
+
+  const sessionRef = useRef(null); // { instance, active } for the running engine session
+  const isListeningRef = useRef(false);
+  const languageRef = useRef(language);
+  const engineRef = useRef(engine);
+  const engineSettingsRef = useRef(engineSettings);
   const finalTranscriptRef = useRef('');
   const autoPushCallbackRef = useRef(null);
+  const utteranceStartRef = useRef(null); // when the words of the pending result started arriving
   const restartTimeoutRef = useRef(null);
   const isRestartingRef = useRef(false);
   const lastResultTimeRef = useRef(Date.now());
+  const voiceActivityRef = useRef({ isDetecting: false, lastSpeechAt: null });
+  const audioConstraintsRef = useRef(audioConstraints);
+  audioConstraintsRef.current = audioConstraints;
   const consecutiveErrorsRef = useRef(0);
-  const maxConsecutiveErrors = 5;
-  const restartDelayRef = useRef(1000); // Start with 1 second, exponential backoff
-  const sessionStartTimeRef = useRef(null);
-  const forceRestartIntervalRef = useRef(null);
+  const handlersRef = useRef({});
+
+  engineRef.current = engine;
+  engineSettingsRef.current = engineSettings;
 
-  // Set auto-push callback
+  // Set auto-push callback. It receives every result that should be added to the note as
+  // { text, confidence, alternatives, isFinal, startedAt, endedAt, language, engine }; confidence
+  // is null when the engine didn't score it. Interim text pushed early has isFinal false.
   const setAutoPushCallback = useCallback((callback) => {
     autoPushCallbackRef.current = callback;
   }, []);
 
-  // Robust restart mechanism with exponential backoff
-  const restartRecognition = useCallback(() => {
-    if (isRestartingRef.current || !isListening) return;
-    
-    isRestartingRef.current = true;
-    
-    // Stop current recognition
-    if (recognitionRef.current) {
-      try {
-        recognitionRef.current.abort();
-      } catch (e) {
-        console.warn('Error aborting recognition:', e);
-      }
-    }
+  const setListening = useCallback((listening) => {
+    isListeningRef.current = listening;
+    setIsListening(listening);
+  }, []);
 
-    // Clear any existing restart timeout
-    if (restartTimeoutRef.current) {
-      clearTimeout(restartTimeoutRef.current);
+  // Drop the running session without waiting for its pending results
+  const abortSession = useCallback(() => {
+    const session = sessionRef.current;
+    sessionRef.current = null;
+    if (!session) return;
+    session.active = false;
+    try {
+      session.instance.abort();
+    } catch (e) {
+      console.warn('Error aborting recognition:', e);
     }
+  }, []);
+
+  // Create a session on the current engine and start it. Events from a session
+  // that has since been aborted are ignored. Results are tagged with the language the
+  // session was started in, since the language can change while it's winding down.
+  const startSession = useCallback(() => {
+    const session = { instance: null, active: true, language: languageRef.current, interim: '' };
+    const guard = (name) => (...args) => {
+      if (session.active) handlersRef.current[name](session, ...args);
+    };
+
+    session.instance = engineRef.current.create({
+      language: languageRef.current,
+      settings: engineSettingsRef.current,
+      audio: audioConstraintsRef.current,
+      onStart: guard('onStart'),
+      onSegment: guard('onSegment'),
+      onInterim: guard('onInterim'),
+      onError: guard('onError'),
+      onEnd: guard('onEnd')
+    });
+    sessionRef.current = session;
+    lastResultTimeRef.current = Date.now();
+    session.instance.start();
+  }, []);
+
+  const failPermanently = useCallback((message) => {
+    setError(message);
+    setListening(false);
+    abortSession();
+  }, [abortSession, setListening]);
+
+  // Restart the session after `delay` ms
+  const restartRecognition = useCallback((delay = RESTART_DELAY_MS) => {
+    if (isRestartingRef.current || !isListeningRef.current) return;
+
+    isRestartingRef.current = true;
+    abortSession();
+    clearTimeout(restartTimeoutRef.current);
 
-    // Calculate delay with exponential backoff
-    const delay = Math.min(restartDelayRef.current, 10000); // Max 10 seconds
-    
     restartTimeoutRef.current = setTimeout(() => {
-      if (isListening) {
-        try {
-          initializeRecognition();
-          recognitionRef.current?.start();
-          consecutiveErrorsRef.current = 0;
-          restartDelayRef.current = 1000; // Reset delay on success
-        } catch (e) {
-          console.error('Error restarting recognition:', e);
-          consecutiveErrorsRef.current++;
-          restartDelayRef.current *= 2; // Exponential backoff
-          
-          if (consecutiveErrorsRef.current < maxConsecutiveErrors) {
-            restartRecognition(); // Try again
-          } else {
-            setError('Speech recognition failed after multiple attempts');
-            setIsListening(false);
-          }
+      isRestartingRef.current = false;
+      if (!isListeningRef.current) return;
+
+      try {
+        startSession();
+      } catch (e) {
+        console.error('Error restarting recognition:', e);
+        consecutiveErrorsRef.current++;
+
+        if (consecutiveErrorsRef.current < MAX_CONSECUTIVE_ERRORS) {
+          restartRecognition(getRetryDelay(consecutiveErrorsRef.current)); // Try again
+        } else {
+          failPermanently('Speech recognition failed after multiple attempts');
         }
       }
-      isRestartingRef.current = false;
     }, delay);
-  }, [isListening]);
-
-  // Initialize speech recognition with robust error handling
-  const initializeRecognition = useCallback(() => {
-    if (!SpeechRecognition) {
-      setIsSupported(false);
-      setError('Speech recognition not supported in this browser');
-      return null;
-    }
+  }, [abortSession, startSession, failPermanently]);
+
+  // Hand a result over to the auto-push callback with its timing
+  const pushResult = (session, { text, confidence: resultConfidence = null, alternatives = [], isFinal = true, language: resultLanguage }) => {
+    const endedAt = Date.now();
+    const startedAt = utteranceStartRef.current ?? endedAt;
+    utteranceStartRef.current = null;
+    autoPushCallbackRef.current?.({
+      text,
+      confidence: resultConfidence,
+      alternatives,
+      isFinal,
+      startedAt,
+      endedAt,
+      language: resultLanguage || session.language,
+      engine: engineRef.current?.id || null
+    });
+  };
+
+  // Results mean the engine is healthy again
+  const markProgress = () => {
+    lastResultTimeRef.current = Date.now();
+    consecutiveErrorsRef.current = 0;
+  };
 
-    const recognition = new SpeechRecognition();
-    
-    // Optimal settings for continuous recording
-    recognition.continuous = true;
-    recognition.interimResults = true;
-    recognition.lang = language;
-    recognition.maxAlternatives = 1;
-    
-    // Handle results with chunked processing
-    recognition.onresult = (event) => {
+  handlersRef.current = {
+    onStart: () => {
+      setError(null);
       lastResultTimeRef.current = Date.now();
-      let newInterimTranscript = '';
-      let finalSegment = '';
-
-      // Process all results from the last processed index
-      for (let i = event.resultIndex; i < event.results.length; i++) {
-        const result = event.results[i];
-        const transcriptPart = result[0].transcript;
-
-        if (result.isFinal) {
-          finalSegment += transcriptPart + ' ';
-          setConfidence(result[0].confidence || 0.8);
-          
-          // Auto-push final segments immediately
-          if (autoPushCallbackRef.current && transcriptPart.trim()) {
-            autoPushCallbackRef.current(transcriptPart.trim());
-          }
-        } else {
-          newInterimTranscript += transcriptPart;
-        }
+    },
+
+    onSegment: (session, { text, confidence: segmentConfidence = null, alternatives = [], language: segmentLanguage }) => {
+      const segment = text.trim();
+      session.interim = '';
+      if (!segment) return;
+      markProgress();
+      if (typeof segmentConfidence === 'number') {
+        setConfidence(segmentConfidence);
       }
 
-      // Update state
-      if (finalSegment.trim()) {
-        const cleanSegment = finalSegment.trim();
-        setLatestFinalSegment(cleanSegment);
-        finalTranscriptRef.current += cleanSegment + ' ';
-        setTranscript(finalTranscriptRef.current.trim());
+      // Auto-push final segments immediately
+      pushResult(session, { text: segment, confidence: segmentConfidence, alternatives, language: segmentLanguage });
+
+      setLatestFinalSegment(segment);
+      finalTranscriptRef.current += segment + ' ';
+      setTranscript(finalTranscriptRef.current.trim());
+    },
+
+    onInterim: (session, text) => {
+      session.interim = text;
+      if (text) {
+        markProgress();
+        if (utteranceStartRef.current === null) utteranceStartRef.current = Date.now();
       }
-      
-      setInterimTranscript(newInterimTranscript);
 
       // Auto-push long interim transcripts
-      if (newInterimTranscript.length > 150 && autoPushCallbackRef.current) {
-        autoPushCallbackRef.current(newInterimTranscript);
+      if (text.length > INTERIM_AUTO_PUSH_LENGTH && autoPushCallbackRef.current) {
+        pushResult(session, { text, isFinal: false });
+        session.interim = '';
         setInterimTranscript(''); // Clear after pushing
+      } else {
+        setInterimTranscript(text);
+      }
+    },
+
+    onError: (session, { code, message }) => {
+      console.error('Speech recognition error:', code, message);
+      // Ignore a stopped session that is still winding down
+      if (!isListeningRef.current || sessionRef.current !== session) return;
+
+      // The scheduled restart replaces this session, so ignore its remaining events
+      session.active = false;
+
+      if (FATAL_ERRORS.includes(code)) {
+        failPermanently(code === 'language-not-supported'
+          ? `Language ${languageRef.current} not supported`
+          : TRANSCRIPTION_ERRORS[code]);
+        return;
+      }
+
+      // Silence isn't a failure, just listen again
+      if (code === 'no-speech') {
+        restartRecognition(500);
+        return;
       }
-    };
 
-    // Comprehensive error handling
-    recognition.onerror = (event) => {
-      console.error("Speech recognition error:", event.error, event);
-      
-      const errorType = event.error;
       consecutiveErrorsRef.current++;
-      
-      switch (errorType) {
-        case 'no-speech':
-          // Don't treat no-speech as a real error, just restart
-          if (isListening) {
-            setTimeout(() => restartRecognition(), 500);
-          }
-          break;
-          
-        case 'audio-capture':
-          setError('Microphone access denied or unavailable');
-          setIsListening(false);
-          break;
-          
-        case 'not-allowed':
-          setError('Microphone permission denied');
-          setIsListening(false);
-          break;
-          
-        case 'network':
-          setError('Network error - check your connection');
-          if (consecutiveErrorsRef.current < maxConsecutiveErrors) {
-            setTimeout(() => restartRecognition(), 2000);
-          } else {
-            setIsListening(false);
-          }
-          break;
-          
-        case 'service-not-allowed':
-          setError('Speech recognition service not allowed');
-          setIsListening(false);
-          break;
-          
-        case 'language-not-supported':
-          setError(`Language ${language} not supported`);
-          setIsListening(false);
-          break;
-          
-        default:
-          if (consecutiveErrorsRef.current < maxConsecutiveErrors && isListening) {
-            setTimeout(() => restartRecognition(), 1000);
-          } else {
-            setError(`Speech recognition error: ${errorType}`);
-            setIsListening(false);
-          }
+
+      if (consecutiveErrorsRef.current >= MAX_CONSECUTIVE_ERRORS) {
+        failPermanently(TRANSCRIPTION_ERRORS[code] || `Speech recognition error: ${message || code}`);
+        return;
       }
-    };
-    
-    // Handle end event with immediate restart
-    recognition.onend = () => {
-      if (isListening && !isRestartingRef.current) {
-        // Immediate restart for seamless recording
-        setTimeout(() => {
-          if (isListening) {
-            restartRecognition();
-          }
-        }, 100);
+      if (code === 'network') {
+        setError(TRANSCRIPTION_ERRORS.network);
       }
-    };
-    
-    // Handle start event
-    recognition.onstart = () => {
-      setError(null);
-      consecutiveErrorsRef.current = 0;
-      lastResultTimeRef.current = Date.now();
-    };
-    
-    recognitionRef.current = recognition;
-    return recognition;
-  }, [language, isListening, restartRecognition]);
+      restartRecognition(getRetryDelay(
+        consecutiveErrorsRef.current,
+        code === 'network' ? NETWORK_RESTART_DELAY_MS : INITIAL_RESTART_DELAY_MS
+      ));
+    },
 
-  // Monitor for stalled recognition and force restart
-  useEffect(() => {
-    if (isListening) {
-      const monitorInterval = setInterval(() => {
-        const timeSinceLastResult = Date.now() - lastResultTimeRef.current;
-        
-        // Force restart if no results for 30 seconds
-        if (timeSinceLastResult > 30000 && !isRestartingRef.current) {
-          console.warn('No speech results for 30 seconds, forcing restart');
-          restartRecognition();
-        }
-      }, 5000);
+    // Sessions end on their own (silence, time limits); keep listening seamlessly
+    onEnd: (session) => {
+      session.active = false;
+      if (sessionRef.current !== session) return;
 
-      return () => clearInterval(monitorInterval);
+      // Keep words that were still being recognized when the language was switched
+      if (session.language !== languageRef.current && session.interim.trim()) {
+        pushResult(session, { text: session.interim.trim(), isFinal: false });
+        setInterimTranscript('');
+      }
+
+      sessionRef.current = null;
+      if (isListeningRef.current && !isRestartingRef.current) {
+        restartRecognition();
+      }
     }
-  }, [isListening, restartRecognition]);
+  };
 
-  // Force restart every 4 minutes to prevent browser timeouts
+  // Monitor for stalled recognition and force restart
   useEffect(() => {
-    if (isListening) {
-      sessionStartTimeRef.current = Date.now();
-      
-      forceRestartIntervalRef.current = setInterval(() => {
-        if (isListening && !isRestartingRef.current) {
-          console.log('Preventive restart after 4 minutes');
-          restartRecognition();
-        }
-      }, 240000); // 4 minutes
+    if (!isListening) return;
 
-      return () => {
-        if (forceRestartIntervalRef.current) {
-          clearInterval(forceRestartIntervalRef.current);
-        }
-      };
-    }
+    const monitorInterval = setInterval(() => {
+      const timeSinceLastResult = Date.now() - lastResultTimeRef.current;
+      // There's nothing to recognize in silence, so with voice activity detection running
+      // the recognizer has only stalled if it missed speech
+      const { isDetecting, lastSpeechAt } = voiceActivityRef.current;
+      const missedSpeech = !isDetecting || lastSpeechAt > lastResultTimeRef.current;
+      if (timeSinceLastResult > STALL_TIMEOUT_MS && missedSpeech && !isRestartingRef.current) {
+        console.warn(`No speech results for ${STALL_TIMEOUT_MS / 1000} seconds, forcing restart`);
+        restartRecognition();
+      }
+    }, 5000);
+
+    return () => clearInterval(monitorInterval);
   }, [isListening, restartRecognition]);
 
-  // Initialize on mount
+  // Restart before the engine's session limit to prevent timeouts
   useEffect(() => {
-    setIsSupported(!!SpeechRecognition);
-    if (SpeechRecognition) {
-      initializeRecognition();
-    }
-    
-    return () => {
-      if (recognitionRef.current) {
-        recognitionRef.current.abort();
-      }
-      if (restartTimeoutRef.current) {
-        clearTimeout(restartTimeoutRef.current);
-      }
-      if (forceRestartIntervalRef.current) {
-        clearInterval(forceRestartIntervalRef.current);
+    const maxSessionMs = engine?.maxSessionMs;
+    if (!isListening || !maxSessionMs) return;
+
+    const forceRestartInterval = setInterval(() => {
+      if (isListeningRef.current && !isRestartingRef.current) {
+        console.log(`Preventive restart after ${Math.round(maxSessionMs / 60000)} minutes`);
+        restartRecognition();
       }
-    };
-  }, [initializeRecognition]);
+    }, maxSessionMs);
+
+    return () => clearInterval(forceRestartInterval);
+  }, [isListening, engine, restartRecognition]);
+
+  // Clean up on unmount
+  useEffect(() => () => {
+    isListeningRef.current = false;
+    clearTimeout(restartTimeoutRef.current);
+    abortSession();
+  }, [abortSession]);
 
   const startListening = useCallback(() => {
-    if (!isSupported) {
-      setError('Speech recognition not supported');
+    if (!engineRef.current?.isSupported()) {
+      setError(`${engineRef.current?.name || 'Speech recognition'} is not supported in this browser`);
       return;
     }
-    
-    if (!isListening) {
-      setIsListening(true);
-      setError(null);
-      consecutiveErrorsRef.current = 0;
-      restartDelayRef.current = 1000;
-      
-      try {
-        if (!recognitionRef.current) {
-          initializeRecognition();
-        }
-        recognitionRef.current?.start();
-      } catch (err) {
-        console.error('Error starting recognition:', err);
-        setError('Failed to start speech recognition');
-        setIsListening(false);
-      }
+    if (isListeningRef.current) return;
+
+    setListening(true);
+    setError(null);
+    consecutiveErrorsRef.current = 0;
+
+    try {
+      startSession();
+    } catch (err) {
+      console.error('Error starting recognition:', err);
+      setError('Failed to start speech recognition');
+      setListening(false);
     }
-  }, [isSupported, isListening, initializeRecognition]);
+  }, [setListening, startSession]);
 
   const stopListening = useCallback(() => {
-    setIsListening(false);
+    setListening(false);
     isRestartingRef.current = false;
-    
-    if (restartTimeoutRef.current) {
-      clearTimeout(restartTimeoutRef.current);
-    }
-    
-    if (forceRestartIntervalRef.current) {
-      clearInterval(forceRestartIntervalRef.current);
-    }
-    
-    if (recognitionRef.current) {
+    clearTimeout(restartTimeoutRef.current);
+
+    // Stop (rather than abort) so the last words still come through
+    const session = sessionRef.current;
+    if (session) {
       try {
-        recognitionRef.current.stop();
+        session.instance.stop();
       } catch (e) {
         console.warn('Error stopping recognition:', e);
       }
     }
-  }, []);
+  }, [setListening]);
 
   const resetTranscript = useCallback(() => {
     setTranscript('');
     setInterimTranscript('');
     setLatestFinalSegment('');
     finalTranscriptRef.current = '';
+    utteranceStartRef.current = null;
     setConfidence(0);
   }, []);
 
+  // Switch the recognition language. While listening, the running session is stopped so its
+  // pending results still arrive (in the old language); the session that replaces it when
+  // it ends listens in the new one.
   const changeLanguage = useCallback((newLanguage) => {
-    const wasListening = isListening;
-    if (wasListening) {
-      stopListening();
-    }
-    
+    if (!newLanguage || newLanguage === languageRef.current) return;
+    const oldLanguage = languageRef.current;
+    languageRef.current = newLanguage;
     setLanguage(newLanguage);
-    
-    // Reinitialize with new language
+    setPreviousLanguage(oldLanguage);
+    localStorage.setItem(PREVIOUS_LANGUAGE_STORAGE_KEY, oldLanguage);
+
+    const session = sessionRef.current;
+    if (!isListeningRef.current || !session) return;
+    try {
+      session.instance.stop({ restarting: true });
+    } catch (e) {
+      console.warn('Error stopping recognition:', e);
+    }
+
+    // Some engines never confirm the stop; don't keep listening in the old language
     setTimeout(() => {
-      initializeRecognition();
-      if (wasListening) {
-        startListening();
+      if (sessionRef.current !== session || !isListeningRef.current) return;
+      abortSession();
+      try {
+        startSession();
+      } catch (e) {
+        console.error('Error restarting recognition:', e);
+        restartRecognition();
       }
-    }, 100);
-  }, [isListening, stopListening, startListening, initializeRecognition]);
+    }, LANGUAGE_SWITCH_TIMEOUT_MS);
+  }, [abortSession, startSession, restartRecognition]);
+
+  // Switch engines; only allowed while not listening
+  const changeEngine = useCallback((newEngineId) => {
+    if (isListeningRef.current || !getTranscriptionEngine(newEngineId)) return;
+    setEngineId(newEngineId);
+    setStoredEngineSettings(loadEngineSettings(newEngineId));
+    setError(null);
+    localStorage.setItem(ENGINE_STORAGE_KEY, newEngineId);
+  }, []);
+
+  // What voice activity detection last heard: { isDetecting, lastSpeechAt }
+  const reportVoiceActivity = useCallback((voiceActivity) => {
+    voiceActivityRef.current = voiceActivity;
+  }, []);
+
+  // Change settings of the current engine; they apply from the next session
+  const updateEngineSettings = useCallback((changes) => {
+    setStoredEngineSettings((prev) => {
+      const next = { ...prev, ...changes };
+      localStorage.setItem(engineSettingsKey(engineRef.current.id), JSON.stringify(next));
+      return next;
+    });
+  }, []);
 
   return {
     isListening,
@@ -348,13 +441,25 @@ export const useSpeechRecognition = () => {
     isSupported,
     confidence,
     language,
+    previousLanguage,
+    engineId,
+    engineSettings,
+    engines: getTranscriptionEngines().map(({ id, name, description, settings = [], isSupported: supported }) => ({
+      id,
+      name,
+      description,
+      settings,
+      isSupported: supported()
+    })),
     startListening,
     stopListening,
     resetTranscript,
     changeLanguage,
+    changeEngine,
+    updateEngineSettings,
     setAutoPushCallback,
+    reportVoiceActivity,
     // Combined transcript for display
     fullTranscript: transcript + (interimTranscript ? ' ' + interimTranscript : '')
   };
 };
-
@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useSpeechRecognition } from './useSpeechRecognition';
+import { TRANSCRIPTION_ERRORS, replayEngine } from '../lib/transcription';
+import { rewindReplay } from '../lib/transcription/replayEngine';
+
+// Retries after consecutive network errors wait 2 seconds, then twice as long each time up to 10
+const BACKOFF_GAPS_MS = [2000, 4000, 8000, 10000];
+
+// When the replay engine created each session, and when sessions reported errors
+let sessionStarts;
+let errorTimes;
+
+const startScenario = (scenario) => {
+  localStorage.setItem('transcription-engine-settings:replay', JSON.stringify({ scenario }));
+  const hook = renderHook(() => useSpeechRecognition({ engineId: 'replay' }));
+  act(() => hook.result.current.startListening());
+  return hook;
+};
+
+const advance = (ms) => act(() => {
+  vi.advanceTimersByTime(ms);
+});
+
+// How long after each error the next session was created
+const restartGaps = errors =>
+  errors.map(errorTime => sessionStarts.find(start => start > errorTime) - errorTime);
+
+describe('useSpeechRecognition restarts', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    sessionStarts = [];
+    errorTimes = [];
+    const create = replayEngine.create;
+    vi.spyOn(replayEngine, 'create').mockImplementation((options) => {
+      sessionStarts.push(Date.now());
+      return create({
+        ...options,
+        onError: (error) => {
+          errorTimes.push(Date.now());
+          options.onError(error);
+        }
+      });
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+    localStorage.clear();
+    rewindReplay();
+  });
+
+  it('backs off longer after each consecutive network error', () => {
+    const { unmount } = startScenario('network-down');
+    advance(60000);
+
+    // The fifth error gives up rather than restarting
+    expect(restartGaps(errorTimes.slice(0, 4))).toEqual(BACKOFF_GAPS_MS);
+    unmount();
+  });
+
+  it('stops listening once the consecutive error limit is reached', () => {
+    const { result, unmount } = startScenario('network-down');
+    advance(60000);
+
+    expect(result.current.isListening).toBe(false);
+    expect(result.current.error).toBe(TRANSCRIPTION_ERRORS.network);
+    // The fifth error gives up, so the scenario's sixth session is never started
+    expect(sessionStarts).toHaveLength(5);
+
+    advance(60000);
+    expect(sessionStarts).toHaveLength(5);
+    unmount();
+  });
+
+  it('resets the backoff and error count once results arrive', () => {
+    const { result, unmount } = startScenario('network-recovers');
+    advance(120000);
+
+    // Four errors, a session with results, then four more errors backing off from the start
+    expect(errorTimes).toHaveLength(8);
+    expect(restartGaps(errorTimes.slice(0, 4))).toEqual(BACKOFF_GAPS_MS);
+    expect(restartGaps(errorTimes.slice(4))).toEqual(BACKOFF_GAPS_MS);
+    // Never five in a row, so recording carries on
+    expect(result.current.isListening).toBe(true);
+    expect(result.current.error).toBeNull();
+
+    act(() => result.current.stopListening());
+    unmount();
+  });
+});
@@ -0,0 +1,94 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { toast } from 'sonner';
+import { estimateStorageUsage, getStorageLevel, formatBytes } from '../lib/storage/quota';
+
+const USAGE_POLL_INTERVAL_MS = 60 * 1000;
+// Saves happen every few hundred ms while dictating, so don't re-estimate on each one
+const USAGE_REFRESH_THROTTLE_MS = 5000;
+const SAVE_ERROR_TOAST_ID = 'save-error';
+const STORAGE_LEVEL_TOAST_ID = 'storage-level';
+
+// Watch storage usage and save failures, and tell the user before notes are lost
+export const useStorageHealth = ({ storageType, saveStatus, onFreeUpSpace }) => {
+  const [usage, setUsage] = useState(null);
+  const [level, setLevel] = useState('ok');
+
+  const previousLevelRef = useRef('ok');
+  const saveFailedRef = useRef(false);
+  const lastRefreshRef = useRef(0);
+  const onFreeUpSpaceRef = useRef(onFreeUpSpace);
+  onFreeUpSpaceRef.current = onFreeUpSpace;
+
+  const refreshUsage = useCallback(async () => {
+    lastRefreshRef.current = Date.now();
+    try {
+      const estimate = await estimateStorageUsage(storageType);
+      setUsage(estimate);
+      setLevel(estimate ? getStorageLevel(estimate.ratio) : 'ok');
+    } catch (error) {
+      console.error('Error estimating storage usage:', error);
+    }
+  }, [storageType]);
+
+  // Poll usage periodically
+  useEffect(() => {
+    refreshUsage();
+    const interval = setInterval(refreshUsage, USAGE_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [refreshUsage]);
+
+  // Warn once each time usage crosses into a higher level
+  useEffect(() => {
+    const previousLevel = previousLevelRef.current;
+    previousLevelRef.current = level;
+    if (level === previousLevel || level === 'ok' || !usage) return;
+    if (previousLevel === 'critical') return;
+
+    const message = `Storage is ${Math.round(usage.ratio * 100)}% full (${formatBytes(usage.usage)} of ${formatBytes(usage.quota)})`;
+    const options = {
+      id: STORAGE_LEVEL_TOAST_ID,
+      description: 'Archive old notes to a file to keep room for new recordings.',
+      action: {
+        label: 'Free up space',
+        onClick: () => onFreeUpSpaceRef.current?.()
+      }
+    };
+    if (level === 'critical') {
+      toast.error(message, options);
+    } else {
+      toast.warning(message, options);
+    }
+  }, [level, usage]);
+
+  // Surface save failures, and confirm once saving works again
+  useEffect(() => {
+    if (saveStatus.state === 'error') {
+      saveFailedRef.current = true;
+      toast.error(saveStatus.isQuotaError ? 'Storage is full — changes are not being saved' : 'Changes could not be saved', {
+        id: SAVE_ERROR_TOAST_ID,
+        description: saveStatus.isQuotaError
+          ? 'Free up space to keep your notes. Saving is retried automatically.'
+          : saveStatus.error,
+        duration: Infinity,
+        action: {
+          label: 'Free up space',
+          onClick: () => onFreeUpSpaceRef.current?.()
+        }
+      });
+      refreshUsage();
+    } else if (saveStatus.state === 'saved' && saveFailedRef.current) {
+      saveFailedRef.current = false;
+      toast.dismiss(SAVE_ERROR_TOAST_ID);
+      toast.success('All changes saved');
+      refreshUsage();
+    } else if (saveStatus.state === 'saved' && Date.now() - lastRefreshRef.current > USAGE_REFRESH_THROTTLE_MS) {
+      refreshUsage();
+    }
+  }, [saveStatus, refreshUsage]);
+
+  return {
+    usage,
+    level,
+    refreshUsage
+  };
+};
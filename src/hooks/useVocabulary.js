@@ -0,0 +1,126 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { toast } from 'sonner';
+import { getDefaultStorage } from '../lib/storage';
+import { getSegmentTexts } from '../lib/transcript';
+import {
+  createRule,
+  applyVocabulary,
+  findRule,
+  mergeRules,
+  findCorrections
+} from '../lib/vocabulary';
+
+const VOCABULARY_META_KEY = 'vocabulary';
+const LEARN_DELAY_MS = 2000; // wait for typing to settle before offering to learn a correction
+
+// The custom vocabulary applied to final results, and offers to learn from corrections
+// typed over dictated text in `note`
+export const useVocabulary = ({ note, isRecording, storage } = {}) => {
+  const [rules, setRules] = useState([]);
+  const storageRef = useRef(storage || getDefaultStorage());
+  const rulesRef = useRef(rules);
+  const noteRef = useRef(note);
+  const seenTextsRef = useRef(new Map()); // segment id -> text at the last check
+  const offeredRef = useRef(new Set()); // corrections already offered this session
+  rulesRef.current = rules;
+  noteRef.current = note;
+
+  useEffect(() => {
+    let cancelled = false;
+    storageRef.current.getMeta(VOCABULARY_META_KEY)
+      .then((storedRules) => {
+        if (!cancelled && Array.isArray(storedRules)) setRules(storedRules);
+      })
+      .catch(error => console.error('Error loading vocabulary:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const saveRules = useCallback(async (nextRules) => {
+    rulesRef.current = nextRules;
+    setRules(nextRules);
+    try {
+      await storageRef.current.setMeta(VOCABULARY_META_KEY, nextRules);
+    } catch (error) {
+      console.error('Error saving vocabulary:', error);
+    }
+  }, []);
+
+  // Add a rule, or change the replacement of the existing rule for the phrase
+  const addRule = useCallback((fields) => {
+    const rule = createRule(fields);
+    if (!rule.phrase || !rule.replacement) return null;
+    saveRules(mergeRules(rulesRef.current, [rule]));
+    return rule;
+  }, [saveRules]);
+
+  const updateRule = useCallback((ruleId, changes) => {
+    saveRules(rulesRef.current.map(rule => (rule.id === ruleId ? { ...rule, ...changes } : rule)));
+  }, [saveRules]);
+
+  const removeRule = useCallback((ruleId) => {
+    saveRules(rulesRef.current.filter(rule => rule.id !== ruleId));
+  }, [saveRules]);
+
+  const importRules = useCallback((importedRules) => {
+    saveRules(mergeRules(rulesRef.current, importedRules));
+  }, [saveRules]);
+
+  // A recognition result with the vocabulary applied to its text and alternatives
+  const applyToResult = useCallback((result) => ({
+    ...result,
+    text: applyVocabulary(result.text, rules),
+    alternatives: (result.alternatives || []).map(alternative => ({
+      ...alternative,
+      text: applyVocabulary(alternative.text, rules)
+    }))
+  }), [rules]);
+
+  // Offer to learn words changed in dictated segments since the last check
+  const noteId = note?.id;
+  const content = note?.content;
+  useEffect(() => {
+    seenTextsRef.current = new Map();
+  }, [noteId]);
+
+  useEffect(() => {
+    if (!noteId || isRecording) return;
+    const timeout = setTimeout(() => {
+      const currentNote = noteRef.current;
+      const texts = getSegmentTexts(currentNote.content);
+      const seenTexts = seenTextsRef.current;
+      currentNote.segments.forEach((segment) => {
+        const text = texts.get(segment.id);
+        const seenText = seenTexts.get(segment.id);
+        seenTexts.set(segment.id, text);
+        // Only edits made while the note is open, not corrections made in earlier visits
+        if (text === undefined || seenText === undefined || text === seenText) return;
+
+        findCorrections(segment.text, text).forEach(({ phrase, replacement }) => {
+          const key = `${phrase.toLowerCase()}\n${replacement}`;
+          if (offeredRef.current.has(key) || findRule(rulesRef.current, phrase)?.replacement === replacement) return;
+          offeredRef.current.add(key);
+          toast(`Always write "${replacement}" for "${phrase}"?`, {
+            description: 'Adds it to your custom vocabulary',
+            duration: 10000,
+            action: {
+              label: 'Learn',
+              onClick: () => addRule({ phrase, replacement })
+            }
+          });
+        });
+      });
+    }, LEARN_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [noteId, content, isRecording, addRule]);
+
+  return {
+    rules,
+    addRule,
+    updateRule,
+    removeRule,
+    importRules,
+    applyToResult
+  };
+};
@@ -0,0 +1,94 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createVoiceActivityDetector } from '../lib/voiceActivity';
+
+const AUTO_PAUSE_STORAGE_KEY = 'auto-pause-silence-seconds';
+const MIN_SILENCE_MS = 3000; // shorter pauses are just people breathing between sentences
+const AUTO_PAUSE_CHECK_MS = 1000;
+
+const loadAutoPauseSeconds = () => Number(localStorage.getItem(AUTO_PAUSE_STORAGE_KEY)) || 0;
+
+// Detect speech and silence in the microphone `stream` while `noteId` is being recorded.
+// Reports each stretch of speech to `onSpeech(noteId, { startedAt, endedAt })` and each
+// silence of a few seconds or more to `onSilence(noteId, ...)`, and calls
+// `onAutoPause(seconds)` once silence lasts as long as the auto-pause setting (0 is off).
+export const useVoiceActivity = ({ stream, noteId, onSpeech, onSilence, onAutoPause }) => {
+  const [isSpeaking, setIsSpeaking] = useState(false);
+  const [lastSpeechAt, setLastSpeechAt] = useState(null);
+  const [autoPauseSeconds, setAutoPauseSecondsState] = useState(loadAutoPauseSeconds);
+  const callbacksRef = useRef({ onSpeech, onSilence, onAutoPause });
+  const autoPauseSecondsRef = useRef(autoPauseSeconds);
+  callbacksRef.current = { onSpeech, onSilence, onAutoPause };
+  autoPauseSecondsRef.current = autoPauseSeconds;
+
+  useEffect(() => {
+    if (!stream || !noteId) return;
+    let speechStartedAt = null;
+    let silenceStartedAt = Date.now();
+    let autoPaused = false;
+
+    const endSpeech = (at) => {
+      if (speechStartedAt !== null) {
+        callbacksRef.current.onSpeech?.(noteId, { startedAt: speechStartedAt, endedAt: at });
+      }
+      speechStartedAt = null;
+    };
+    const endSilence = (at) => {
+      if (silenceStartedAt !== null && at - silenceStartedAt >= MIN_SILENCE_MS) {
+        callbacksRef.current.onSilence?.(noteId, { startedAt: silenceStartedAt, endedAt: at });
+      }
+      silenceStartedAt = null;
+    };
+
+    let detector;
+    try {
+      detector = createVoiceActivityDetector(stream, {
+        onChange: (speaking, at) => {
+          setIsSpeaking(speaking);
+          if (speaking) {
+            endSilence(at);
+            speechStartedAt = at;
+            autoPaused = false;
+            setLastSpeechAt(at);
+          } else {
+            endSpeech(at);
+            silenceStartedAt = at;
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Voice activity detection is unavailable:', error);
+      return;
+    }
+
+    const interval = setInterval(() => {
+      const seconds = autoPauseSecondsRef.current;
+      if (seconds > 0 && !autoPaused && silenceStartedAt !== null &&
+          Date.now() - silenceStartedAt >= seconds * 1000) {
+        autoPaused = true;
+        callbacksRef.current.onAutoPause?.(seconds);
+      }
+    }, AUTO_PAUSE_CHECK_MS);
+
+    return () => {
+      clearInterval(interval);
+      detector.stop();
+      const now = Date.now();
+      endSpeech(now);
+      endSilence(now);
+      setIsSpeaking(false);
+    };
+  }, [stream, noteId]);
+
+  const setAutoPauseSeconds = useCallback((seconds) => {
+    setAutoPauseSecondsState(seconds);
+    localStorage.setItem(AUTO_PAUSE_STORAGE_KEY, String(seconds));
+  }, []);
+
+  return {
+    isDetecting: Boolean(stream && noteId),
+    isSpeaking,
+    lastSpeechAt,
+    autoPauseSeconds,
+    setAutoPauseSeconds
+  };
+};
@@ -0,0 +1,71 @@
+import { useState, useCallback, useMemo } from 'react';
+import { DEFAULT_VOICE_VOCABULARIES, getLanguageCode, parseVoiceCommands } from '../lib/voiceCommands';
+
+const STORAGE_KEY = 'voice-commands';
+const DEFAULT_SETTINGS = { enabled: true, vocabularies: {} };
+
+const loadSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+// Voice commands for the recognition language. `vocabularies` in the stored settings holds
+// only the phrases someone changed, by language code and command.
+export const useVoiceCommands = ({ language = 'en-US' } = {}) => {
+  const [settings, setSettings] = useState(loadSettings);
+  const languageCode = getLanguageCode(language);
+
+  const saveSettings = useCallback((update) => {
+    setSettings((prev) => {
+      const next = update(prev);
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
+  const vocabulary = useMemo(() => ({
+    ...DEFAULT_VOICE_VOCABULARIES[languageCode],
+    ...settings.vocabularies[languageCode]
+  }), [languageCode, settings.vocabularies]);
+
+  // Text and commands in a final result, or just the text when commands are off
+  const parseResult = useCallback((text) => (settings.enabled
+    ? parseVoiceCommands(text, vocabulary)
+    : [{ type: 'text', text }]), [settings.enabled, vocabulary]);
+
+  const setEnabled = useCallback((enabled) => {
+    saveSettings(prev => ({ ...prev, enabled }));
+  }, [saveSettings]);
+
+  const updatePhrases = useCallback((commandId, phrases) => {
+    saveSettings(prev => ({
+      ...prev,
+      vocabularies: {
+        ...prev.vocabularies,
+        [languageCode]: { ...prev.vocabularies[languageCode], [commandId]: phrases }
+      }
+    }));
+  }, [saveSettings, languageCode]);
+
+  const resetPhrases = useCallback(() => {
+    saveSettings((prev) => {
+      const { [languageCode]: _reset, ...vocabularies } = prev.vocabularies;
+      return { ...prev, vocabularies };
+    });
+  }, [saveSettings, languageCode]);
+
+  return {
+    enabled: settings.enabled,
+    languageCode,
+    vocabulary,
+    hasDefaults: Boolean(DEFAULT_VOICE_VOCABULARIES[languageCode]),
+    isCustomized: Boolean(settings.vocabularies[languageCode]),
+    parseResult,
+    setEnabled,
+    updatePhrases,
+    resetPhrases
+  };
+};
@@ -0,0 +1,59 @@
+// Sounds that let dictation be used without looking at the screen: short tones (earcons)
+// when recording starts, pauses, resumes and stops, and spoken confirmations.
+
+// Rising when listening starts, falling when it stops
+const EARCONS = {
+  start: [660, 880],
+  resume: [880],
+  pause: [660],
+  stop: [880, 660]
+};
+const TONE_SECONDS = 0.09;
+const TONE_GAP_SECONDS = 0.03;
+const EARCON_VOLUME = 0.15;
+
+let audioContext = null;
+
+const getAudioContext = () => {
+  if (!audioContext) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    audioContext = new AudioContextClass();
+  }
+  if (audioContext.state === 'suspended') audioContext.resume();
+  return audioContext;
+};
+
+export const playEarcon = (name) => {
+  try {
+    const context = getAudioContext();
+    if (!context) return;
+    EARCONS[name].forEach((frequency, index) => {
+      const startAt = context.currentTime + index * (TONE_SECONDS + TONE_GAP_SECONDS);
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.frequency.value = frequency;
+      // Fade in and out so the tone doesn't click
+      gain.gain.setValueAtTime(0, startAt);
+      gain.gain.linearRampToValueAtTime(EARCON_VOLUME, startAt + 0.01);
+      gain.gain.exponentialRampToValueAtTime(0.0001, startAt + TONE_SECONDS);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(startAt);
+      oscillator.stop(startAt + TONE_SECONDS);
+    });
+  } catch (error) {
+    console.error('Error playing sound:', error);
+  }
+};
+
+export const isSpeechSynthesisSupported = () =>
+  typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+// Read out a short confirmation; a newer one replaces one still being read
+export const speak = (text) => {
+  if (!isSpeechSynthesisSupported()) return;
+  window.speechSynthesis.cancel();
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.rate = 1.2;
+  window.speechSynthesis.speak(utterance);
+};
@@ -0,0 +1,65 @@
+// Raw audio kept next to the transcript. MediaRecorder hands over a chunk every
+// AUDIO_CHUNK_MS, and each chunk is stored as soon as it arrives so closing the tab loses
+// only the last few seconds:
+//
+//   { id, noteId, sessionId, index, startedAt, endedAt, mimeType, size, blob }
+//
+// A session is one continuous capture, from record or resume until pause or stop.
+// `startedAt` is when the session began and `endedAt` when the chunk was handed over (ms
+// since the epoch; chunks saved before it was added don't have it). Only all of a session's
+// chunks joined in `index` order make a playable file.
+
+export const AUDIO_CHUNK_MS = 5000;
+
+// Most compact first; Safari only records mp4
+const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm', 'audio/mp4'];
+
+export const isAudioRecordingSupported = () =>
+  typeof MediaRecorder !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+
+// The format to record in, or '' to let the browser pick
+export const getRecordingMimeType = () =>
+  MIME_TYPES.find(type => MediaRecorder.isTypeSupported?.(type)) || '';
+
+export const stopStream = (stream) => {
+  stream?.getTracks().forEach(track => track.stop());
+};
+
+// Join stored chunks into one recording per session, oldest first:
+// [{ sessionId, startedAt, endedAt, mimeType, size, blob }], `endedAt` null when unknown
+export const groupAudioChunks = (chunks) => {
+  const sessions = new Map();
+  [...chunks]
+    .sort((a, b) => a.startedAt - b.startedAt || a.index - b.index)
+    .forEach((chunk) => {
+      const session = sessions.get(chunk.sessionId) || {
+        sessionId: chunk.sessionId,
+        startedAt: chunk.startedAt,
+        endedAt: null,
+        mimeType: chunk.mimeType,
+        blobs: []
+      };
+      session.blobs.push(chunk.blob);
+      if (chunk.endedAt) {
+        session.endedAt = Math.max(session.endedAt || 0, chunk.endedAt);
+      }
+      sessions.set(chunk.sessionId, session);
+    });
+
+  return [...sessions.values()].map(({ blobs, ...session }) => {
+    const blob = new Blob(blobs, { type: session.mimeType });
+    return { ...session, size: blob.size, blob };
+  });
+};
+
+// Place recordings on the note's transcript timeline: `offset` is how many ms after the
+// note's first recording started each one begins, the same clock as segment start/end.
+// `length` is how many ms it runs as far as its chunks tell, or null when they don't.
+export const placeRecordings = (recordings, note) => {
+  const origin = Date.parse(note.metadata.startTime) || recordings[0]?.startedAt || 0;
+  return recordings.map(recording => ({
+    ...recording,
+    offset: Math.max(0, recording.startedAt - origin),
+    length: recording.endedAt ? Math.max(0, recording.endedAt - recording.startedAt) : null
+  }));
+};
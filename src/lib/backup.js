@@ -0,0 +1,91 @@
+import { downloadFile } from './download';
+
+export const BACKUP_FILE_PREFIX = 'voice-notes-backup-';
+const BACKUP_LOCK_NAME = 'voice-notes-backup';
+
+export const BACKUP_INTERVALS = [
+  { minutes: 15, label: 'Every 15 minutes' },
+  { minutes: 60, label: 'Every hour' },
+  { minutes: 6 * 60, label: 'Every 6 hours' },
+  { minutes: 24 * 60, label: 'Every day' }
+];
+
+export const DEFAULT_BACKUP_SETTINGS = {
+  enabled: false,
+  intervalMinutes: 60,
+  keepCount: 10
+};
+
+export const isFileSystemAccessSupported = () =>
+  typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+
+// Sortable, filesystem-safe name such as voice-notes-backup-2024-05-01T09-30-00.json
+export const createBackupFileName = (date = new Date()) =>
+  `${BACKUP_FILE_PREFIX}${date.toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+
+// Ask the user for a folder to write backups into
+export const pickBackupDirectory = () => window.showDirectoryPicker({
+  id: 'voice-notes-backups',
+  mode: 'readwrite',
+  startIn: 'documents'
+});
+
+// Check (and optionally request) write access to a stored folder handle.
+// Requesting only works during a user gesture such as a click.
+export const ensureDirectoryPermission = async (directoryHandle, request = false) => {
+  const options = { mode: 'readwrite' };
+  if ((await directoryHandle.queryPermission(options)) === 'granted') return true;
+  if (!request) return false;
+  return (await directoryHandle.requestPermission(options)) === 'granted';
+};
+
+// Delete the oldest backups beyond `keepCount`. Resolves to the names removed.
+const rotateBackups = async (directoryHandle, keepCount) => {
+  const backupNames = [];
+  for await (const [name, handle] of directoryHandle.entries()) {
+    if (handle.kind === 'file' && name.startsWith(BACKUP_FILE_PREFIX) && name.endsWith('.json')) {
+      backupNames.push(name);
+    }
+  }
+
+  // Names embed the timestamp, so newest sorts last
+  const expired = backupNames.sort().slice(0, Math.max(0, backupNames.length - keepCount));
+  await Promise.all(expired.map(name => directoryHandle.removeEntry(name)));
+  return expired;
+};
+
+// Write a backup file into the folder, then prune old ones
+export const writeBackupToDirectory = async (directoryHandle, content, keepCount) => {
+  const fileName = createBackupFileName();
+  const fileHandle = await directoryHandle.getFileHandle(fileName, { create: true });
+  const writable = await fileHandle.createWritable();
+  try {
+    await writable.write(content);
+  } finally {
+    await writable.close();
+  }
+  await rotateBackups(directoryHandle, keepCount);
+  return fileName;
+};
+
+// Fallback for browsers without folder access: the browser's download folder gets the file
+// and rotation is left to the user
+export const downloadBackup = (content) => {
+  const fileName = createBackupFileName();
+  downloadFile(content, fileName, 'application/json');
+  return fileName;
+};
+
+// Run `task` in at most one tab at a time; other tabs skip it and resolve to null
+export const runExclusiveBackup = (task) => {
+  if (typeof navigator === 'undefined' || !navigator.locks?.request) {
+    return task();
+  }
+  return navigator.locks.request(BACKUP_LOCK_NAME, { ifAvailable: true }, lock => (lock ? task() : null));
+};
+
+// Cheap summary of the notes, so unchanged notes aren't backed up again
+export const getNotesFingerprint = (notes) => {
+  const latestUpdate = notes.reduce((latest, note) => (note.updatedAt > latest ? note.updatedAt : latest), '');
+  return `${notes.length}:${latestUpdate}`;
+};
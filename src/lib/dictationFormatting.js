@@ -0,0 +1,143 @@
+// Clean-up applied to dictated text before it's added to a note: spoken punctuation
+// ("comma", "question mark") becomes the mark itself, sentences start with a capital letter,
+// and a long pause between results starts a new paragraph.
+//
+// Rules are per language (the part of the code before the region). Which steps run is a
+// setting per language code, so en-US and en-GB can differ.
+
+export const DEFAULT_FORMATTING = {
+  spokenPunctuation: true,
+  capitalize: true,
+  paragraphPauseSeconds: 5 // 0 never breaks
+};
+
+const SENTENCE_END = '.?!';
+
+// `marks` maps spoken words to punctuation. `endMarks` are words that are also everyday
+// words ("the trial period"), so they only count at the end of a result, where the speaker
+// paused. `spaceBefore` lists marks that take a (non-breaking) space before them, as in French.
+const LANGUAGE_RULES = {
+  en: {
+    marks: {
+      'comma': ',',
+      'full stop': '.',
+      'question mark': '?',
+      'exclamation mark': '!',
+      'exclamation point': '!',
+      'colon': ':',
+      'semicolon': ';'
+    },
+    endMarks: { 'period': '.' },
+    // "i", "i'm", "i'll"...
+    fixWords: (text) => text.replace(/\bi\b(?!\.)/g, 'I')
+  },
+  es: {
+    marks: {
+      'coma': ',',
+      'punto final': '.',
+      'signo de interrogación': '?',
+      'signo de exclamación': '!',
+      'dos puntos': ':',
+      'punto y coma': ';'
+    },
+    endMarks: { 'punto': '.' }
+  },
+  fr: {
+    marks: {
+      'virgule': ',',
+      "point d'interrogation": '?',
+      "point d'exclamation": '!',
+      'deux points': ':',
+      'point-virgule': ';',
+      'point virgule': ';'
+    },
+    endMarks: { 'point': '.' },
+    spaceBefore: '?!:;'
+  },
+  de: {
+    marks: {
+      'komma': ',',
+      'fragezeichen': '?',
+      'ausrufezeichen': '!',
+      'doppelpunkt': ':',
+      'semikolon': ';'
+    },
+    endMarks: { 'punkt': '.' }
+  },
+  it: {
+    marks: {
+      'virgola': ',',
+      'punto fermo': '.',
+      'punto interrogativo': '?',
+      'punto esclamativo': '!',
+      'due punti': ':',
+      'punto e virgola': ';'
+    },
+    endMarks: { 'punto': '.' }
+  },
+  pt: {
+    marks: {
+      'vírgula': ',',
+      'ponto final': '.',
+      'ponto de interrogação': '?',
+      'ponto de exclamação': '!',
+      'dois pontos': ':',
+      'ponto e vírgula': ';'
+    }
+  }
+};
+
+const getRules = (language = 'en-US') => LANGUAGE_RULES[language.split('-')[0].toLowerCase()] || { marks: {} };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Replace spoken `marks` followed by `until` (a lookahead pattern)
+const replaceMarks = (text, marks, until, spaceBefore = '') => {
+  const phrases = Object.keys(marks).sort((a, b) => b.length - a.length);
+  if (phrases.length === 0) return text;
+  const pattern = new RegExp(`(^|\\s+)(${phrases.map(escapeRegExp).join('|')})(?=${until})`, 'giu');
+  return text.replace(pattern, (match, space, phrase) => {
+    const mark = marks[phrase.toLowerCase()];
+    return (spaceBefore.includes(mark) ? '\u00a0' : '') + mark;
+  });
+};
+
+// Spoken marks attach to the word before them: "ok comma thanks" -> "ok, thanks"
+const replaceSpokenPunctuation = (text, rules) => {
+  const replaced = replaceMarks(text, rules.marks, '[\\s.,!?;:]|$', rules.spaceBefore);
+  return replaceMarks(replaced, rules.endMarks || {}, '[\\s.,!?;:]*$', rules.spaceBefore);
+};
+
+const capitalizeSentences = (text, language, startsSentence) => {
+  const upper = (letter) => letter.toLocaleUpperCase(language);
+  const capitalized = text.replace(/([.?!]\s+)(\p{Ll})/gu, (match, end, letter) => end + upper(letter));
+  return startsSentence ? capitalized.replace(/^(\P{L}*)(\p{Ll})/u, (match, lead, letter) => lead + upper(letter)) : capitalized;
+};
+
+// Whether dictation added to the end of this HTML content starts a new sentence
+export const endsSentence = (content) => {
+  const tail = (content || '').replace(/(?:\s|&nbsp;|<\/(?:span|b|i|u|strong|em|a)>)+$/i, '');
+  if (!tail || /<(?:br|\/?(?:p|div|li|ul|ol|h[1-6]|blockquote|pre))\b[^>]*>$/i.test(tail)) return true;
+  const text = tail.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim();
+  return !text || SENTENCE_END.includes(text.replace(/["')\]]+$/, '').slice(-1));
+};
+
+// Format one piece of dictated text. `startsSentence` says whether it follows the end of a
+// sentence (or starts the note or a paragraph).
+export const formatDictation = (text, { language, settings = DEFAULT_FORMATTING, startsSentence = false }) => {
+  const rules = getRules(language);
+  let formatted = text.trim();
+  if (settings.spokenPunctuation) {
+    formatted = replaceSpokenPunctuation(formatted, rules);
+  }
+  if (settings.capitalize) {
+    formatted = capitalizeSentences(rules.fixWords ? rules.fixWords(formatted) : formatted, language, startsSentence);
+  }
+  return formatted;
+};
+
+// Whether a result starting `start` ms into the note comes after a long enough pause
+// since the previous segment to start a new paragraph
+export const isParagraphPause = (previousSegment, start, settings = DEFAULT_FORMATTING) =>
+  Boolean(previousSegment && settings.paragraphPauseSeconds > 0 &&
+    start - previousSegment.end >= settings.paragraphPauseSeconds * 1000);
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { formatDictation } from './dictationFormatting';
+
+const format = (text, language) => formatDictation(text, { language, startsSentence: true });
+
+describe('formatDictation', () => {
+  it('turns spoken punctuation into marks', () => {
+    expect(format('ok comma thanks full stop see you', 'en-US')).toBe('Ok, thanks. See you');
+    expect(format('hola coma qué tal punto final adiós', 'es-ES')).toBe('Hola, qué tal. Adiós');
+  });
+
+  it.each([
+    ['en-US', 'the trial period ends on Friday'],
+    ['es-ES', 'estamos de acuerdo en este punto de la agenda'],
+    ['it-IT', 'il punto principale è il budget'],
+    ['fr-FR', 'le point principal est le budget'],
+    ['de-DE', 'der wichtigste punkt ist das budget']
+  ])('keeps the word for a full stop in an ordinary %s sentence', (language, text) => {
+    expect(format(text, language)).toBe(text[0].toUpperCase() + text.slice(1));
+  });
+
+  it.each([
+    ['en-US', 'the budget is done period', 'The budget is done.'],
+    ['es-ES', 'el presupuesto está listo punto', 'El presupuesto está listo.'],
+    ['it-IT', 'il budget è pronto punto', 'Il budget è pronto.'],
+    ['fr-FR', 'le budget est prêt point', 'Le budget est prêt.'],
+    ['de-DE', 'das budget ist fertig punkt', 'Das budget ist fertig.']
+  ])('takes the word for a full stop at the end of a %s result', (language, text, formatted) => {
+    expect(format(text, language)).toBe(formatted);
+  });
+});
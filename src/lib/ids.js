@@ -0,0 +1,35 @@
+import { hashString128 } from './hash';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const isUuid = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+// Format 16 bytes as a UUID string with the given version nibble (RFC 9562 variant)
+const formatUuid = (bytes, version) => {
+  bytes[6] = (bytes[6] & 0x0f) | (version << 4);
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// Random v4 UUID for notes, revisions and notebooks
+export const createId = () => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return formatUuid(crypto.getRandomValues(new Uint8Array(16)), 4);
+};
+
+// Stable v8 UUID derived from an old timestamp id, so migrating the same note twice
+// (in two tabs, or from an old export file) always gives it the same new id
+export const legacyIdToUuid = (legacyId) => {
+  const words = hashString128(`voice-notes:${legacyId}`);
+  const bytes = new Uint8Array(16);
+  words.forEach((word, index) => {
+    bytes[index * 4] = word >>> 24;
+    bytes[index * 4 + 1] = (word >>> 16) & 0xff;
+    bytes[index * 4 + 2] = (word >>> 8) & 0xff;
+    bytes[index * 4 + 3] = word & 0xff;
+  });
+  return formatUuid(bytes, 8);
+};
@@ -0,0 +1,33 @@
+// Languages offered for recognition. `code` is the BCP 47 tag handed to the engines;
+// `nativeName` is how speakers of the language write its name.
+
+export const DEFAULT_LOCALE = 'en-US';
+
+export const LOCALES = [
+  { code: 'en-US', name: 'English (US)', nativeName: 'English (US)' },
+  { code: 'en-GB', name: 'English (UK)', nativeName: 'English (UK)' },
+  { code: 'en-IN', name: 'English (India)', nativeName: 'English (India)' },
+  { code: 'es-ES', name: 'Spanish', nativeName: 'Español' },
+  { code: 'fr-FR', name: 'French', nativeName: 'Français' },
+  { code: 'de-DE', name: 'German', nativeName: 'Deutsch' },
+  { code: 'it-IT', name: 'Italian', nativeName: 'Italiano' },
+  { code: 'pt-BR', name: 'Portuguese', nativeName: 'Português' },
+  { code: 'ja-JP', name: 'Japanese', nativeName: '日本語' },
+  { code: 'ko-KR', name: 'Korean', nativeName: '한국어' },
+  { code: 'zh-CN', name: 'Chinese', nativeName: '中文' },
+  { code: 'hi-IN', name: 'Hindi', nativeName: 'हिन्दी' },
+  { code: 'kn-IN', name: 'Kannada', nativeName: 'ಕನ್ನಡ' },
+  { code: 'ta-IN', name: 'Tamil', nativeName: 'தமிழ்' },
+  { code: 'te-IN', name: 'Telugu', nativeName: 'తెలుగు' }
+];
+
+export const getLocale = (code) => LOCALES.find(locale => locale.code === code) || null;
+
+// 'Kannada (ಕನ್ನಡ)', or the code itself for languages not in the list
+export const getLocaleLabel = (code) => {
+  const locale = getLocale(code);
+  if (!locale) return code;
+  return locale.nativeName === locale.name ? locale.name : `${locale.name} (${locale.nativeName})`;
+};
+
+export const getLocaleName = (code) => getLocale(code)?.name || code;
@@ -0,0 +1,71 @@
+// Which microphone to record from and how the browser should process it. An empty
+// `deviceId` means the system default input.
+
+export const DEFAULT_INPUT_SETTINGS = {
+  deviceId: '',
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true
+};
+
+export const PROCESSING_OPTIONS = [
+  { key: 'echoCancellation', label: 'Echo cancellation', hint: 'Removes sound from your speakers' },
+  { key: 'noiseSuppression', label: 'Noise suppression', hint: 'Filters steady background noise' },
+  { key: 'autoGainControl', label: 'Automatic gain', hint: 'Evens out loud and quiet voices' }
+];
+
+const CLIPPING_PEAK = 0.99;
+
+// getUserMedia audio constraints for the settings. A chosen device that's gone (unplugged)
+// falls back to the default instead of failing.
+export const buildAudioConstraints = ({ deviceId, echoCancellation, noiseSuppression, autoGainControl }, devices = null) => {
+  const isAvailable = !devices || devices.some(device => device.deviceId === deviceId);
+  return {
+    ...(deviceId && isAvailable ? { deviceId: { exact: deviceId } } : {}),
+    echoCancellation,
+    noiseSuppression,
+    autoGainControl
+  };
+};
+
+// Audio inputs, [{ deviceId, label }]. Browsers only give labels once the page has been
+// allowed to use the microphone, so unnamed inputs are numbered.
+export const listMicrophones = async () => {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(device => device.kind === 'audioinput' && device.deviceId &&
+      device.deviceId !== 'default' && device.deviceId !== 'communications')
+    .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Microphone ${index + 1}` }));
+};
+
+// Level (dBFS) and peak (0–1) of the analyser's latest samples, and whether they clip
+export const measureInput = (analyser, samples) => {
+  analyser.getFloatTimeDomainData(samples);
+  let sum = 0;
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  const rms = Math.sqrt(sum / samples.length);
+  return {
+    level: rms > 0 ? 20 * Math.log10(rms) : -Infinity,
+    peak,
+    isClipping: peak >= CLIPPING_PEAK
+  };
+};
+
+// What the browser actually opened, which may differ from what was asked for
+export const describeTrack = (stream) => {
+  const track = stream.getAudioTracks()[0];
+  const settings = track?.getSettings?.() || {};
+  return {
+    label: track?.label || 'Microphone',
+    sampleRate: settings.sampleRate || null,
+    channelCount: settings.channelCount || null,
+    echoCancellation: settings.echoCancellation,
+    noiseSuppression: settings.noiseSuppression,
+    autoGainControl: settings.autoGainControl
+  };
+};
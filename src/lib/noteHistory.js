@@ -0,0 +1,159 @@
+// Maximum number of undo steps kept in memory
+export const MAX_HISTORY_ENTRIES = 100;
+// Consecutive edits of the same kind to the same note within this window form one undo step
+export const HISTORY_COALESCE_MS = 1500;
+
+// Bookkeeping rather than content: the save time, and recording state, which is live
+const UNTRACKED_FIELDS = new Set(['updatedAt', 'isRecording', 'recordingTabId']);
+const isTrackedField = field => !UNTRACKED_FIELDS.has(field);
+
+// Objects whose keys are written separately (dictation sets the confidence, stopping the
+// recorder the end time), so they're compared and restored key by key
+const NESTED_FIELDS = new Set(['metadata']);
+
+// Edits replace arrays and objects, so equal copies count as changed unless compared by value
+const isSameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// The keys that differ between two objects, as { before, after } holding only those keys,
+// or null when none do
+const diffKeys = (before, after, isTracked, isSame = Object.is) => {
+  const changedBefore = {};
+  const changedAfter = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+    if (!isTracked(key) || isSame(before[key], after[key])) return;
+    if (NESTED_FIELDS.has(key) && before[key] && after[key]) {
+      const nested = diffKeys(before[key], after[key], () => true, isSame);
+      if (!nested) return;
+      changedBefore[key] = nested.before;
+      changedAfter[key] = nested.after;
+    } else {
+      changedBefore[key] = before[key];
+      changedAfter[key] = after[key];
+    }
+  });
+  return Object.keys(changedAfter).length > 0 ? { before: changedBefore, after: changedAfter } : null;
+};
+
+// Lay `fields` over `note`, key by key inside nested fields
+const mergeFields = (note, fields) => {
+  const merged = { ...note, ...fields };
+  NESTED_FIELDS.forEach((field) => {
+    if (note[field] && fields[field]) {
+      merged[field] = { ...note[field], ...fields[field] };
+    }
+  });
+  return merged;
+};
+
+// Work out which notes changed between two versions of the notes list.
+// A created or deleted note keeps its whole version on the other side (null on its own)
+// plus its old position so deleted notes can be put back where they were. An edited note
+// keeps only the fields that changed, so undoing it leaves later changes to other fields be.
+export const diffNotes = (previousNotes, nextNotes) => {
+  const previousById = new Map(previousNotes.map((note, index) => [note.id, { note, index }]));
+  const nextById = new Map(nextNotes.map((note, index) => [note.id, { note, index }]));
+  const changes = [];
+
+  previousById.forEach(({ note, index }, id) => {
+    const next = nextById.get(id);
+    if (!next) {
+      changes.push({ noteId: id, before: note, after: null, index });
+    } else if (next.note !== note) {
+      const fields = diffKeys(note, next.note, isTrackedField);
+      if (fields) changes.push({ noteId: id, ...fields, index });
+    }
+  });
+
+  nextById.forEach(({ note, index }, id) => {
+    if (!previousById.has(id)) {
+      changes.push({ noteId: id, before: null, after: note, index });
+    }
+  });
+
+  return changes;
+};
+
+// Fold a new set of changes into an existing history entry, keeping the
+// oldest `before` and newest `after` of every field
+export const mergeChanges = (existingChanges, newChanges) => {
+  const merged = new Map(existingChanges.map(change => [change.noteId, change]));
+  newChanges.forEach((change) => {
+    const existing = merged.get(change.noteId);
+    if (!existing) {
+      merged.set(change.noteId, change);
+      return;
+    }
+    merged.set(change.noteId, {
+      ...existing,
+      before: existing.before && change.before ? mergeFields(change.before, existing.before) : existing.before,
+      after: existing.after && change.after ? mergeFields(existing.after, change.after) : change.after
+    });
+  });
+  return [...merged.values()];
+};
+
+// Drop every change to the notes in `noteIds` (a Set) from history entries, and the entries
+// left with none
+export const forgetNotes = (entries, noteIds) => entries
+  .map(entry => ({ ...entry, changes: entry.changes.filter(change => !noteIds.has(change.noteId)) }))
+  .filter(entry => entry.changes.length > 0);
+
+// Apply one side ('before' for undo, 'after' for redo) of a history entry to a notes list.
+// Edits only put back the fields they touched, on top of the note as it is now, so
+// unlabelled changes since (recording stats, edits from other tabs) are kept.
+export const applyChanges = (notes, changes, side) => {
+  const restoredAt = new Date().toISOString();
+  let result = [...notes];
+
+  changes.forEach((change) => {
+    const target = change[side];
+    const currentIndex = result.findIndex(note => note.id === change.noteId);
+    const current = result[currentIndex];
+
+    if (!target) {
+      if (currentIndex !== -1) {
+        result.splice(currentIndex, 1);
+      }
+      return;
+    }
+
+    const isEdit = Boolean(change.before && change.after);
+    if (isEdit) {
+      // Gone since, e.g. purged in another tab: there's nothing left to edit
+      if (!current) return;
+      const restored = mergeFields(current, target);
+      // Nothing to put back leaves the note and its save time alone; otherwise it's a new
+      // edit to the latest version, so it's stamped like any other
+      if (!diffKeys(current, restored, isTrackedField, isSameValue)) return;
+      result[currentIndex] = { ...restored, updatedAt: restoredAt };
+    } else if (!current) {
+      // Touch updatedAt so the restored note wins over the deletion when other tabs merge it
+      result.splice(Math.min(change.index, result.length), 0, {
+        ...target,
+        isRecording: false,
+        recordingTabId: null,
+        updatedAt: restoredAt
+      });
+    }
+    // A deleted note that's back already (from another tab) is newer than this copy
+  });
+
+  return result;
+};
+
+// Move entries from `from` to `to` (past to future with 'before' for undo, the other way with
+// 'after' for redo) until one actually changes the notes, e.g. passing over an edit that a
+// later unlabelled change already put back. Returns the notes after that entry, or `notes`
+// itself when no entry has anything left to change.
+export const stepHistory = (notes, from, to, side) => {
+  while (from.length > 0) {
+    const entry = from.pop();
+    to.push(entry);
+    const changes = side === 'before' ? [...entry.changes].reverse() : entry.changes;
+    const result = applyChanges(notes, changes, side);
+    if (result.length !== notes.length || result.some((note, index) => note !== notes[index])) {
+      return result;
+    }
+  }
+  return notes;
+};
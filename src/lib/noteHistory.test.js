@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { applyChanges, diffNotes, forgetNotes, mergeChanges, stepHistory } from './noteHistory';
+
+const note = {
+  id: 'a',
+  content: 'Budget',
+  wordCount: 1,
+  speakingTime: 0,
+  tags: [],
+  metadata: { startTime: '2026-01-01T09:00:00.000Z', confidence: 0.9 },
+  updatedAt: '2026-01-01T09:00:00.000Z',
+  isRecording: true
+};
+
+const edit = (base, changes) => ({ ...base, ...changes, updatedAt: '2026-01-01T09:05:00.000Z' });
+
+describe('note history', () => {
+  it('keeps only the fields an edit changed', () => {
+    const after = edit(note, { content: 'Budget review', wordCount: 2, isRecording: false });
+    expect(diffNotes([note], [after])).toEqual([{
+      noteId: 'a',
+      before: { content: 'Budget', wordCount: 1 },
+      after: { content: 'Budget review', wordCount: 2 },
+      index: 0
+    }]);
+  });
+
+  it('undoes an edit without rolling back later unlabelled changes', () => {
+    const dictated = edit(note, {
+      content: 'Budget review',
+      wordCount: 2,
+      metadata: { ...note.metadata, confidence: 0.7 }
+    });
+    const changes = diffNotes([note], [dictated]);
+    // The recorder and voice activity detection write after the dictation step
+    const later = {
+      ...dictated,
+      speakingTime: 12,
+      isRecording: false,
+      metadata: { ...dictated.metadata, endTime: '2026-01-01T09:10:00.000Z' }
+    };
+
+    const [undone] = applyChanges([later], changes, 'before');
+    expect(undone.content).toBe('Budget');
+    expect(undone.wordCount).toBe(1);
+    expect(undone.speakingTime).toBe(12);
+    expect(undone.isRecording).toBe(false);
+    expect(undone.metadata).toEqual({ ...later.metadata, confidence: 0.9 });
+
+    const [redone] = applyChanges([undone], changes, 'after');
+    expect(redone.content).toBe('Budget review');
+    expect(redone.speakingTime).toBe(12);
+  });
+
+  it('leaves a note alone when there is nothing to put back', () => {
+    const tagged = edit(note, { tags: ['budget'] });
+    const changes = diffNotes([note], [tagged]);
+    const untagged = { ...tagged, tags: [], updatedAt: '2026-01-01T09:07:00.000Z' };
+    expect(applyChanges([untagged], changes, 'before')[0]).toBe(untagged);
+  });
+
+  it('passes over undo steps with nothing to put back', () => {
+    const renamed = edit(note, { content: 'Budget review', wordCount: 2 });
+    const tagged = edit(renamed, { tags: ['budget'] });
+    const past = [
+      { label: 'Edit note', changes: diffNotes([note], [renamed]) },
+      { label: 'Add tag', changes: diffNotes([renamed], [tagged]) }
+    ];
+    const future = [];
+    // Another tab took the tag off since
+    const untagged = { ...tagged, tags: [] };
+
+    const [undone] = stepHistory([untagged], past, future, 'before');
+    expect(undone.content).toBe('Budget');
+    expect(past).toEqual([]);
+    expect(future.map(entry => entry.label)).toEqual(['Add tag', 'Edit note']);
+  });
+
+  it('changes nothing when no step has anything left to put back', () => {
+    const tagged = edit(note, { tags: ['budget'] });
+    const past = [{ label: 'Add tag', changes: diffNotes([note], [tagged]) }];
+    const notes = [{ ...tagged, tags: [] }];
+    expect(stepHistory(notes, past, [], 'before')).toBe(notes);
+  });
+
+  it('merges coalesced edits field by field', () => {
+    const first = edit(note, { content: 'Budget review' });
+    const second = edit(first, { tags: ['budget'] });
+    const merged = mergeChanges(diffNotes([note], [first]), diffNotes([first], [second]));
+    expect(merged).toEqual([{
+      noteId: 'a',
+      before: { content: 'Budget', tags: [] },
+      after: { content: 'Budget review', tags: ['budget'] },
+      index: 0
+    }]);
+  });
+
+  it('puts a deleted note back whole', () => {
+    const changes = diffNotes([note], []);
+    const [restored] = applyChanges([], changes, 'before');
+    expect(restored).toMatchObject({ id: 'a', content: 'Budget', isRecording: false });
+  });
+
+  it('forgets changes to notes', () => {
+    const entries = [
+      { label: 'Create note', changes: [{ noteId: 'a', before: null, after: note, index: 0 }] },
+      { label: 'Edit note', changes: [{ noteId: 'b', before: { content: '' }, after: { content: 'x' }, index: 1 }] }
+    ];
+    expect(forgetNotes(entries, new Set(['a']))).toEqual([entries[1]]);
+  });
+});
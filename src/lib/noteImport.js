@@ -0,0 +1,260 @@
+import { countWords, createNoteDefaults, migrateNote, migratePayload, toIsoDate } from './noteSchema';
+import { hashString } from './hash';
+import { createId } from './ids';
+
+// How to resolve an incoming note that clashes with an existing one
+export const IMPORT_RESOLUTIONS = {
+  merge: 'Merge',
+  replace: 'Replace',
+  skip: 'Skip'
+};
+
+const TXT_DIVIDER = '-'.repeat(50);
+
+// Hash of the visible text, so formatting and whitespace changes still count as duplicates
+export const contentHash = (note) => {
+  const text = note.content.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+  return text ? hashString(text) : null;
+};
+
+// Turn fields recovered from a text export into a full note
+const buildNote = (fields) => {
+  const now = Date.now();
+  const content = fields.content || '';
+  return {
+    ...createNoteDefaults(),
+    ...fields,
+    id: createId(),
+    content,
+    wordCount: countWords(content),
+    createdAt: fields.createdAt || new Date(now).toISOString(),
+    updatedAt: fields.createdAt || new Date(now).toISOString()
+  };
+};
+
+const parseTagList = (value = '') => value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+// Parse the `exportNotes('markdown')` format: one `# Title` block per note, followed by
+// `**Field:** value` lines, the content and a `---` separator
+const parseMarkdown = (text) => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const starts = [];
+  lines.forEach((line, index) => {
+    if (line.startsWith('# ') && (lines[index + 2] || '').startsWith('**Created:**')) {
+      starts.push(index);
+    }
+  });
+
+  return starts.map((start, entryIndex) => {
+    const end = entryIndex + 1 < starts.length ? starts[entryIndex + 1] : lines.length;
+    const block = lines.slice(start + 1, end);
+    const fields = { title: lines[start].slice(2).trim() };
+
+    // Field lines run up to the first blank line; content may start with a `**Speaker:**` label
+    let cursor = 0;
+    while (cursor < block.length && block[cursor] === '') cursor++;
+    while (cursor < block.length && block[cursor].startsWith('**')) {
+      const match = block[cursor].match(/^\*\*(\w+):\*\*\s*(.*)$/);
+      if (match) {
+        const [, key, value] = match;
+        switch (key) {
+          case 'Created':
+            fields.createdAt = toIsoDate(value, null);
+            break;
+          case 'Category':
+            fields.category = value.trim() || 'general';
+            break;
+          case 'Tags':
+            fields.tags = parseTagList(value);
+            break;
+          case 'Duration': {
+            const [minutes, seconds] = value.split(':').map(Number);
+            fields.duration = (minutes || 0) * 60 + (seconds || 0);
+            break;
+          }
+          case 'Priority':
+            fields.priority = ['low', 'normal', 'high'].includes(value.trim()) ? value.trim() : 'normal';
+            break;
+          case 'Speakers':
+            fields.metadata = { ...createNoteDefaults().metadata, attendees: parseTagList(value) };
+            break;
+          default:
+            break;
+        }
+      }
+      cursor++;
+    }
+    while (cursor < block.length && block[cursor] === '') cursor++;
+
+    // Drop the trailing `---` separator and surrounding blank lines
+    const contentLines = block.slice(cursor);
+    while (contentLines.length && contentLines[contentLines.length - 1].trim() === '') contentLines.pop();
+    if (contentLines[contentLines.length - 1] === '---') contentLines.pop();
+    while (contentLines.length && contentLines[contentLines.length - 1].trim() === '') contentLines.pop();
+    fields.content = contentLines.join('\n');
+
+    return fields;
+  });
+};
+
+// Parse the `exportNotes('txt')` format: title, date, `Category: x | Tags: y`, a dashed
+// divider and then the content
+const parseText = (text) => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const dividers = [];
+  lines.forEach((line, index) => {
+    if (line === TXT_DIVIDER && index >= 3 && lines[index - 1].startsWith('Category: ')) {
+      dividers.push(index);
+    }
+  });
+
+  return dividers.map((divider, entryIndex) => {
+    const end = entryIndex + 1 < dividers.length ? dividers[entryIndex + 1] - 3 : lines.length;
+    const [categoryPart, tagsPart = ''] = lines[divider - 1].split(' | ');
+    const contentLines = lines.slice(divider + 1, end);
+    while (contentLines.length && contentLines[contentLines.length - 1].trim() === '') contentLines.pop();
+
+    return {
+      title: lines[divider - 3].trim(),
+      createdAt: toIsoDate(lines[divider - 2], null),
+      category: categoryPart.replace('Category: ', '').trim() || 'general',
+      tags: parseTagList(tagsPart.replace('Tags: ', '')),
+      content: contentLines.join('\n')
+    };
+  });
+};
+
+const detectFormat = (text, fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'json') return 'json';
+  if (extension === 'md' || extension === 'markdown') return 'markdown';
+  if (extension === 'txt') return 'txt';
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+  return trimmed.startsWith('# ') ? 'markdown' : 'txt';
+};
+
+// Read an exported file back into notes.
+// Returns { format, notes, invalid } where `invalid` lists entries that couldn't be used.
+export const parseImportFile = (text, fileName) => {
+  const format = detectFormat(text, fileName);
+
+  if (format === 'json') {
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      return { format, notes: [], invalid: [], error: `Not valid JSON: ${error.message}` };
+    }
+    const { notes, quarantined, error } = migratePayload(payload);
+    return { format, notes, invalid: quarantined, error };
+  }
+
+  const entries = format === 'markdown' ? parseMarkdown(text) : parseText(text);
+  if (entries.length === 0) {
+    return { format, notes: [], invalid: [], error: 'No notes found in file' };
+  }
+
+  const notes = [];
+  const invalid = [];
+  entries.forEach((fields) => {
+    const { note, error } = migrateNote(buildNote(fields));
+    if (note) {
+      notes.push(note);
+    } else {
+      invalid.push({ note: fields, error });
+    }
+  });
+  return { format, notes, invalid };
+};
+
+// Compare incoming notes with the existing ones. Each item is
+// { note, status: 'new' | 'conflict' | 'duplicate', existing, reason }:
+// a conflict shares an id but differs, a duplicate has the same content as an existing note.
+export const analyzeImport = (incomingNotes, existingNotes) => {
+  const existingById = new Map(existingNotes.map(note => [note.id, note]));
+  const existingByHash = new Map();
+  existingNotes.forEach((note) => {
+    const hash = contentHash(note);
+    if (hash && !existingByHash.has(hash)) existingByHash.set(hash, note);
+  });
+
+  const seenHashes = new Set();
+  const seenIds = new Set();
+  const items = [];
+  let skippedInFile = 0;
+
+  incomingNotes.forEach((incoming) => {
+    // Notes recorded elsewhere can't still be recording here
+    const note = { ...incoming, isRecording: false, recordingTabId: null };
+    const hash = contentHash(note);
+
+    // The same note twice in one file only needs importing once
+    if (seenIds.has(note.id) || (hash && seenHashes.has(hash))) {
+      skippedInFile++;
+      return;
+    }
+    seenIds.add(note.id);
+    if (hash) seenHashes.add(hash);
+
+    const sameId = existingById.get(note.id);
+    const sameContent = hash ? existingByHash.get(hash) : null;
+
+    if (sameId && contentHash(sameId) === hash && sameId.title === note.title) {
+      items.push({ note, status: 'duplicate', existing: sameId, reason: 'Already imported' });
+    } else if (sameId) {
+      items.push({ note, status: 'conflict', existing: sameId, reason: 'Same id, different content' });
+    } else if (sameContent) {
+      items.push({ note, status: 'duplicate', existing: sameContent, reason: 'Same content' });
+    } else {
+      items.push({ note, status: 'new', existing: null, reason: null });
+    }
+  });
+
+  return { items, skippedInFile };
+};
+
+// Combine two versions of a note: the most recently updated one wins, tags are combined
+export const mergeImportedNote = (existing, incoming) => {
+  const newer = new Date(incoming.updatedAt) > new Date(existing.updatedAt) ? incoming : existing;
+  return {
+    ...existing,
+    ...newer,
+    id: existing.id,
+    tags: [...new Set([...existing.tags, ...incoming.tags])],
+    isStarred: existing.isStarred || incoming.isStarred,
+    deletedAt: existing.deletedAt && incoming.deletedAt ? newer.deletedAt : null,
+    isRecording: existing.isRecording,
+    recordingTabId: existing.recordingTabId,
+    metadata: { ...existing.metadata, ...newer.metadata }
+  };
+};
+
+// Apply the chosen resolution to every item.
+// `resolutions` maps an incoming note id to 'merge', 'replace' or 'skip'.
+// Returns { added, updated } ready for `importNotes`.
+export const resolveImport = (items, resolutions) => {
+  const added = [];
+  const updated = [];
+
+  items.forEach(({ note, status, existing }) => {
+    if (status === 'new') {
+      added.push(note);
+      return;
+    }
+
+    const resolution = resolutions[note.id] || 'skip';
+    if (resolution === 'merge') {
+      updated.push(mergeImportedNote(existing, note));
+    } else if (resolution === 'replace') {
+      updated.push({
+        ...note,
+        id: existing.id,
+        isRecording: existing.isRecording,
+        recordingTabId: existing.recordingTabId
+      });
+    }
+  });
+
+  return { added, updated };
+};
@@ -0,0 +1,251 @@
+import { z } from 'zod';
+import { isUuid, legacyIdToUuid } from './ids';
+import { DEFAULT_LOCALE } from './locales';
+
+// Bump this and add a step to `migrations` whenever the note shape changes
+export const CURRENT_SCHEMA_VERSION = 6;
+
+const isValidDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+export const countWords = (text) => text.replace(/<[^>]*>/g, ' ').split(/\s+/).filter(Boolean).length;
+
+// ISO string for a date-like value, or `fallback` when it isn't one
+export const toIsoDate = (value, fallback) => {
+  const date = value !== undefined && value !== null ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : fallback;
+};
+
+const toNumber = (value, fallback = 0) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+const toTagList = (tags) => {
+  if (typeof tags === 'string') {
+    tags = tags.split(',');
+  }
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.filter(tag => typeof tag === 'string').map(tag => tag.trim()).filter(Boolean))];
+};
+
+const defaultMetadata = () => ({
+  startTime: null,
+  endTime: null,
+  confidence: 0,
+  speakers: [],
+  location: '',
+  attendees: []
+});
+
+// Fields every new note starts with
+export const createNoteDefaults = () => {
+  const now = new Date().toISOString();
+  return {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    title: '',
+    content: '',
+    createdAt: now,
+    updatedAt: now,
+    duration: 0, // seconds of recording
+    speakingTime: 0, // seconds of it with someone speaking
+    wordCount: 0,
+    language: DEFAULT_LOCALE, // the note's default; segments record what was actually spoken
+    isRecording: false,
+    recordingTabId: null,
+    category: 'general',
+    tags: [],
+    priority: 'normal', // 'low', 'normal', 'high'
+    isStarred: false,
+    isArchived: false,
+    deletedAt: null, // set while the note is in the trash
+    segments: [], // dictated transcript, see lib/transcript.js
+    silences: [], // { start, end } of long silences on the segments' timeline
+    metadata: defaultMetadata()
+  };
+};
+
+const metadataSchema = z.object({
+  startTime: z.string().refine(isValidDate).nullable(),
+  endTime: z.string().refine(isValidDate).nullable(),
+  confidence: z.number().min(0).max(1),
+  speakers: z.array(z.any()),
+  location: z.string(),
+  attendees: z.array(z.any())
+}).passthrough();
+
+const segmentSchema = z.object({
+  id: z.string(),
+  start: z.number().nonnegative(),
+  end: z.number().nonnegative(),
+  text: z.string(),
+  confidence: z.number().min(0).max(1).nullable(),
+  alternatives: z.array(z.object({ text: z.string(), confidence: z.number().nullable() })).optional(),
+  reviewed: z.boolean().optional(),
+  language: z.string(),
+  engine: z.string().nullable(),
+  speakerId: z.string().nullable().optional()
+}).passthrough();
+
+export const noteSchema = z.object({
+  schemaVersion: z.literal(CURRENT_SCHEMA_VERSION),
+  id: z.string().uuid(),
+  legacyId: z.string().optional(), // timestamp id the note had before schema 4
+  title: z.string(),
+  content: z.string(),
+  createdAt: z.string().refine(isValidDate, 'Invalid date'),
+  updatedAt: z.string().refine(isValidDate, 'Invalid date'),
+  duration: z.number().nonnegative(),
+  speakingTime: z.number().nonnegative(),
+  wordCount: z.number().int().nonnegative(),
+  language: z.string(),
+  isRecording: z.boolean(),
+  recordingTabId: z.string().nullable().optional(),
+  category: z.string(),
+  tags: z.array(z.string()),
+  priority: z.enum(['low', 'normal', 'high']),
+  isStarred: z.boolean(),
+  isArchived: z.boolean(),
+  deletedAt: z.string().refine(isValidDate, 'Invalid date').nullable(),
+  segments: z.array(segmentSchema),
+  silences: z.array(z.object({ start: z.number().nonnegative(), end: z.number().nonnegative() })),
+  metadata: metadataSchema
+}).passthrough();
+
+// Each step upgrades a note from version N to N + 1.
+// Version 1 is the unversioned shape written before schemaVersion existed.
+const migrations = {
+  1: (note) => {
+    const defaults = createNoteDefaults();
+    const content = typeof note.content === 'string' ? note.content : '';
+    const createdAt = toIsoDate(note.createdAt, toIsoDate(Number(note.id), defaults.createdAt));
+    const metadata = note.metadata && typeof note.metadata === 'object' ? note.metadata : {};
+
+    return {
+      ...note,
+      id: typeof note.id === 'number' ? String(note.id) : note.id,
+      title: typeof note.title === 'string' ? note.title : String(note.title ?? ''),
+      content,
+      createdAt,
+      updatedAt: toIsoDate(note.updatedAt, createdAt),
+      duration: toNumber(note.duration),
+      wordCount: countWords(content),
+      language: typeof note.language === 'string' ? note.language : defaults.language,
+      isRecording: false,
+      category: typeof note.category === 'string' && note.category ? note.category : defaults.category,
+      tags: toTagList(note.tags),
+      priority: ['low', 'normal', 'high'].includes(note.priority) ? note.priority : defaults.priority,
+      isStarred: Boolean(note.isStarred),
+      isArchived: Boolean(note.isArchived),
+      metadata: {
+        ...defaultMetadata(),
+        ...metadata,
+        startTime: toIsoDate(metadata.startTime, null),
+        endTime: toIsoDate(metadata.endTime, null),
+        confidence: Math.min(toNumber(metadata.confidence), 1),
+        speakers: Array.isArray(metadata.speakers) ? metadata.speakers : [],
+        location: typeof metadata.location === 'string' ? metadata.location : '',
+        attendees: Array.isArray(metadata.attendees) ? metadata.attendees : []
+      },
+      schemaVersion: 2
+    };
+  },
+
+  // 2 -> 3: soft delete moves notes to the trash instead of removing them
+  2: (note) => ({
+    ...note,
+    deletedAt: toIsoDate(note.deletedAt, null),
+    schemaVersion: 3
+  }),
+
+  // 3 -> 4: timestamp ids collide, so switch to UUIDs derived from the old id.
+  // Missing ids are left alone so validation still rejects them.
+  3: (note) => {
+    const needsNewId = typeof note.id === 'string' && note.id !== '' && !isUuid(note.id);
+    return {
+      ...note,
+      ...(needsNewId ? { id: legacyIdToUuid(note.id), legacyId: note.id } : {}),
+      schemaVersion: 4
+    };
+  },
+
+  // 4 -> 5: dictation is kept as timed segments. Older transcripts have no timing,
+  // so they start without any.
+  4: (note) => ({
+    ...note,
+    segments: Array.isArray(note.segments) ? note.segments : [],
+    schemaVersion: 5
+  }),
+
+  // 5 -> 6: voice activity detection separates speaking time from recording time.
+  // Earlier recordings weren't measured, so nothing is known about their silences.
+  5: (note) => ({
+    ...note,
+    speakingTime: toNumber(note.speakingTime),
+    silences: Array.isArray(note.silences) ? note.silences : [],
+    schemaVersion: 6
+  })
+};
+
+// Bring a single stored note up to the current schema.
+// Returns { note } on success or { error } when it can't be upgraded or validated.
+export const migrateNote = (rawNote) => {
+  if (!rawNote || typeof rawNote !== 'object' || Array.isArray(rawNote)) {
+    return { error: 'Note is not an object' };
+  }
+
+  let note = rawNote;
+  let version = Number.isInteger(note.schemaVersion) ? note.schemaVersion : 1;
+
+  if (version > CURRENT_SCHEMA_VERSION) {
+    return { error: `Note was saved by a newer version of the app (schema ${version})` };
+  }
+
+  try {
+    while (version < CURRENT_SCHEMA_VERSION) {
+      note = migrations[version](note);
+      version = note.schemaVersion;
+    }
+  } catch (error) {
+    return { error: `Migration from schema ${version} failed: ${error.message}` };
+  }
+
+  const result = noteSchema.safeParse(note);
+  if (!result.success) {
+    return {
+      error: result.error.issues
+        .map(issue => `${issue.path.join('.') || 'note'}: ${issue.message}`)
+        .join('; ')
+    };
+  }
+  return { note };
+};
+
+// Upgrade a batch of notes, separating out the ones that can't be repaired
+export const migrateNotes = (rawNotes = []) => {
+  const notes = [];
+  const quarantined = [];
+
+  rawNotes.forEach((rawNote) => {
+    const { note, error } = migrateNote(rawNote);
+    if (note) {
+      notes.push(note);
+    } else {
+      quarantined.push({
+        note: rawNote,
+        error,
+        quarantinedAt: new Date().toISOString()
+      });
+    }
+  });
+
+  return { notes, quarantined };
+};
+
+// Accept either a bare array of notes or a `{ notes }` payload (storage dump or export file)
+export const migratePayload = (payload) => {
+  const rawNotes = Array.isArray(payload) ? payload : payload?.notes;
+  if (!Array.isArray(rawNotes)) {
+    return { notes: [], quarantined: [], error: 'No notes found in payload' };
+  }
+  return migrateNotes(rawNotes);
+};
@@ -0,0 +1,85 @@
+import { createId } from './ids';
+import { getSegmentTexts } from './transcript';
+
+// Oldest revisions beyond this are pruned, except the very first snapshot of a note
+export const MAX_REVISIONS_PER_NOTE = 50;
+// An editing session ends after this long without edits to the note
+export const EDIT_SESSION_IDLE_MS = 30000;
+// Wait for the last final transcript segment before snapshotting a finished recording
+export const RECORDING_SNAPSHOT_DELAY_MS = 1500;
+
+export const REVISION_REASONS = {
+  recording: 'Recording finished',
+  edit: 'Editing session',
+  restore: 'Before restore'
+};
+
+export const sortRevisions = (revisions) =>
+  [...revisions].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+// Store a snapshot of a note unless its content matches the latest revision.
+// Resolves to the saved revision, or null when nothing was written.
+export const saveRevisionSnapshot = async (adapter, note, reason) => {
+  const revisions = sortRevisions(await adapter.loadRevisions(note.id));
+  const latest = revisions[0];
+  if (latest && latest.content === note.content && latest.title === note.title) {
+    return null;
+  }
+  if (!latest && !note.content) {
+    return null;
+  }
+
+  const createdAt = new Date().toISOString();
+  const revision = {
+    id: createId(),
+    noteId: note.id,
+    createdAt,
+    reason,
+    title: note.title,
+    content: note.content,
+    wordCount: note.wordCount,
+    // The timed segments behind the content's segment spans, so a restore keeps them in step
+    segments: note.segments || [],
+    silences: note.silences || []
+  };
+  await adapter.saveRevision(revision);
+
+  // Prune the oldest revisions but always keep the first one (usually the raw transcript)
+  const all = [revision, ...revisions];
+  if (all.length > MAX_REVISIONS_PER_NOTE) {
+    const excess = all.slice(MAX_REVISIONS_PER_NOTE - 1, -1);
+    await adapter.deleteRevisions(note.id, excess.map(entry => entry.id));
+  }
+
+  return revision;
+};
+
+// The note fields that put a revision back. Revisions saved before segments were stored
+// keep whichever of the note's current segments still have a span in the restored content.
+export const getRevisionRestore = (revision, note) => {
+  if (revision.segments) {
+    return {
+      title: revision.title,
+      content: revision.content,
+      segments: revision.segments,
+      silences: revision.silences || []
+    };
+  }
+  const segmentIds = getSegmentTexts(revision.content);
+  return {
+    title: revision.title,
+    content: revision.content,
+    segments: (note.segments || []).filter(segment => segmentIds.has(segment.id))
+  };
+};
+
+// Re-file a note's revisions under a new note id
+export const moveRevisions = async (adapter, fromNoteId, toNoteId) => {
+  const revisions = await adapter.loadRevisions(fromNoteId);
+  for (const revision of revisions) {
+    await adapter.saveRevision({ ...revision, noteId: toNoteId });
+  }
+  // Revision ids are unchanged, so only drop what is still filed under the old note
+  await adapter.deleteNoteRevisions([fromNoteId]);
+  return revisions.length;
+};
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { createMemoryAdapter } from './storage';
+import { getRevisionRestore, saveRevisionSnapshot } from './revisions';
+import { appendSegmentText, createSegment, getSegmentTexts } from './transcript';
+
+const startTime = Date.parse('2026-01-01T09:00:00.000Z');
+
+const dictate = (note, text, offset) => {
+  const segment = createSegment(note, { text, startedAt: startTime + offset, endedAt: startTime + offset + 1000 });
+  return {
+    ...note,
+    content: appendSegmentText(note.content, segment),
+    segments: [...note.segments, segment],
+    silences: [...note.silences, { start: offset - 500, end: offset }]
+  };
+};
+
+const emptyNote = {
+  id: 'a',
+  title: 'Standup',
+  content: '',
+  wordCount: 0,
+  segments: [],
+  silences: [],
+  language: 'en-US',
+  metadata: { startTime: new Date(startTime).toISOString() }
+};
+
+describe('revisions', () => {
+  it('restores the segments that go with the revision content', async () => {
+    const adapter = createMemoryAdapter();
+    const first = dictate(dictate(emptyNote, 'Budget review', 1000), 'is on Friday', 3000);
+    const revision = await saveRevisionSnapshot(adapter, first, 'recording');
+    // A later recording replaces the text and its segments
+    const later = dictate({ ...first, content: '', segments: [], silences: [] }, 'Slides are done', 9000);
+
+    const restored = getRevisionRestore(revision, later);
+    expect(restored.content).toBe(first.content);
+    expect(restored.segments.map(segment => segment.id)).toEqual([...getSegmentTexts(restored.content).keys()]);
+    expect(restored.silences).toEqual(first.silences);
+  });
+
+  it('keeps the current segments still in the content of an older revision', () => {
+    const first = dictate(emptyNote, 'Budget review', 1000);
+    const second = dictate(first, 'is on Friday', 3000);
+    // Saved before revisions had segments
+    const revision = { noteId: 'a', title: first.title, content: first.content, wordCount: 2 };
+
+    const restored = getRevisionRestore(revision, second);
+    expect(restored.segments).toEqual(first.segments);
+    expect(restored).not.toHaveProperty('silences');
+  });
+});
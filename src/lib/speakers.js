@@ -0,0 +1,108 @@
+import { createId } from './ids';
+
+// Speakers are kept in note.metadata.speakers as { id, name, color } and referenced from
+// transcript segments by `speakerId`. metadata.attendees lists the names that can be picked.
+
+const SPEAKER_COLORS = ['#2563eb', '#db2777', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#dc2626', '#4d7c0f'];
+
+export const MAX_SPEAKER_HOTKEYS = 9;
+
+const SAFE_COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+const SAFE_ID_PATTERN = /^[\w-]+$/;
+
+const normalizeName = (name) => name.trim().replace(/\s+/g, ' ');
+
+// Both lists were reserved long before anything filled them, so skip malformed entries
+export const getSpeakers = (note) =>
+  (note?.metadata.speakers || []).filter(speaker => typeof speaker?.id === 'string' && typeof speaker.name === 'string');
+
+export const getAttendees = (note) =>
+  (note?.metadata.attendees || []).filter(name => typeof name === 'string' && name.trim());
+
+export const getSpeaker = (note, speakerId) =>
+  (speakerId && getSpeakers(note).find(speaker => speaker.id === speakerId)) || null;
+
+export const findSpeakerByName = (note, name) => {
+  const key = normalizeName(name).toLowerCase();
+  return getSpeakers(note).find(speaker => speaker.name.toLowerCase() === key) || null;
+};
+
+// Note changes that add a name to the attendees
+export const addAttendee = (note, name) => {
+  const cleanName = normalizeName(name);
+  const attendees = getAttendees(note);
+  if (!cleanName || attendees.some(attendee => attendee.toLowerCase() === cleanName.toLowerCase())) {
+    return null;
+  }
+  return { metadata: { ...note.metadata, attendees: [...attendees, cleanName] } };
+};
+
+// Note changes that remove an attendee. Segments keep their speaker.
+export const removeAttendee = (note, name) => ({
+  metadata: { ...note.metadata, attendees: getAttendees(note).filter(attendee => attendee !== name) }
+});
+
+// The speaker for a name, and the note changes needed when it doesn't exist yet
+export const ensureSpeaker = (note, name) => {
+  const existing = findSpeakerByName(note, name);
+  if (existing) return { speaker: existing, changes: null };
+
+  const speakers = getSpeakers(note);
+  const speaker = {
+    id: createId(),
+    name: normalizeName(name),
+    color: SPEAKER_COLORS[speakers.length % SPEAKER_COLORS.length]
+  };
+  return { speaker, changes: { metadata: { ...note.metadata, speakers: [...speakers, speaker] } } };
+};
+
+// Note changes that move segments over to another speaker (null for nobody)
+export const assignSegmentsSpeaker = (note, segmentIds, speakerId) => {
+  const ids = new Set(segmentIds);
+  return {
+    segments: note.segments.map(segment => (ids.has(segment.id) ? { ...segment, speakerId } : segment))
+  };
+};
+
+// `changes` is a time-ordered list of { at, speakerId } marks made while recording.
+// Returns who was speaking at timestamp `time`.
+export const speakerAt = (changes, time) => {
+  let speakerId = null;
+  for (const change of changes) {
+    if (change.at > time) break;
+    speakerId = change.speakerId;
+  }
+  return speakerId;
+};
+
+// Ids of the segments that start a new speaker turn
+export const getTurnStarts = (segments) => {
+  const starts = new Set();
+  let previous;
+  segments.forEach((segment) => {
+    const speakerId = segment.speakerId || null;
+    if (speakerId && speakerId !== previous) starts.add(segment.id);
+    previous = speakerId;
+  });
+  return starts;
+};
+
+// CSS that colours each segment in the editor by speaker and labels the start of every turn.
+// `scope` is a selector for the editor element.
+export const buildSpeakerStyles = (note, scope) => {
+  if (!note) return '';
+  const speakersById = new Map(getSpeakers(note).map(speaker => [speaker.id, speaker]));
+  const turnStarts = getTurnStarts(note.segments);
+
+  // Imported notes can carry anything, so only trusted-looking values reach the stylesheet
+  return note.segments.map((segment) => {
+    const speaker = speakersById.get(segment.speakerId);
+    if (!speaker || !SAFE_ID_PATTERN.test(segment.id)) return '';
+    const color = SAFE_COLOR_PATTERN.test(speaker.color) ? speaker.color : 'inherit';
+    const selector = `${scope} [data-segment-id="${segment.id}"]`;
+    const rule = `${selector} { color: ${color}; }`;
+    return turnStarts.has(segment.id)
+      ? `${rule}\n${selector}::before { content: ${JSON.stringify(`${speaker.name}: `)}; font-weight: 600; }`
+      : rule;
+  }).filter(Boolean).join('\n');
+};
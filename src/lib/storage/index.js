@@ -0,0 +1,110 @@
+import { createIndexedDbAdapter, isIndexedDbAvailable } from './indexedDbAdapter';
+import { createLocalStorageAdapter, isLocalStorageAvailable } from './localStorageAdapter';
+import { createMemoryAdapter } from './memoryAdapter';
+
+export { createIndexedDbAdapter, createLocalStorageAdapter, createMemoryAdapter };
+
+// Single-key payload written by earlier versions of the app
+export const LEGACY_STORAGE_KEY = 'voice-notes-data';
+const LEGACY_MIGRATED_META_KEY = 'legacyMigratedAt';
+
+// Create a storage adapter, falling back to the next best backend
+// when the requested one is not available in this browser
+export const createStorageAdapter = (type = 'indexeddb') => {
+  if (type === 'indexeddb' && isIndexedDbAvailable()) {
+    return createIndexedDbAdapter();
+  }
+  if (type !== 'memory' && isLocalStorageAvailable()) {
+    return createLocalStorageAdapter();
+  }
+  return createMemoryAdapter();
+};
+
+let defaultStorage = null;
+
+// Shared adapter used by useNotes when none is passed in
+export const getDefaultStorage = () => {
+  if (!defaultStorage) {
+    defaultStorage = createStorageAdapter();
+  }
+  return defaultStorage;
+};
+
+// Where an unreadable legacy payload is set aside, so it's neither lost nor retried forever
+export const LEGACY_QUARANTINE_KEY = 'voice-notes-data-quarantined';
+
+// The notes array of a legacy payload; throws if it isn't one
+const parseLegacyNotes = (savedData) => {
+  const parsedData = JSON.parse(savedData);
+  if (!Array.isArray(parsedData?.notes)) {
+    throw new TypeError('Legacy payload has no notes array');
+  }
+  return parsedData.notes;
+};
+
+// Move the raw payload out of the legacy key. If there's no room for a second copy it stays
+// where it is, and the migration is marked done so it isn't parsed again.
+const quarantineLegacyPayload = async (adapter, savedData) => {
+  try {
+    localStorage.setItem(LEGACY_QUARANTINE_KEY, savedData);
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error quarantining legacy notes:', error);
+  }
+  try {
+    await adapter.setMeta(LEGACY_MIGRATED_META_KEY, new Date().toISOString());
+  } catch (error) {
+    console.error('Error marking legacy notes migrated:', error);
+  }
+};
+
+// Move notes from the old single-key localStorage payload into the adapter.
+// Runs once per adapter; the legacy key is removed only after the copy succeeds. Never
+// throws, so a bad payload or a full store can't keep the stored notes from loading.
+export const migrateLegacyStorage = async (adapter) => {
+  if (adapter.name === 'memory' || !isLocalStorageAvailable()) return 0;
+  try {
+    if (await adapter.getMeta(LEGACY_MIGRATED_META_KEY)) return 0;
+  } catch (error) {
+    console.error('Error checking legacy notes migration:', error);
+    return 0;
+  }
+
+  const savedData = localStorage.getItem(LEGACY_STORAGE_KEY);
+  let legacyNotes = [];
+  if (savedData) {
+    try {
+      legacyNotes = parseLegacyNotes(savedData);
+    } catch (error) {
+      console.warn('Setting aside unreadable legacy notes:', error);
+      await quarantineLegacyPayload(adapter, savedData);
+      return 0;
+    }
+  }
+
+  // Notes created in the same millisecond share an id; keep both by renaming the later ones
+  const seenIds = new Set();
+  legacyNotes = legacyNotes.map((note) => {
+    if (!note || note.id === undefined) return note;
+    let id = String(note.id);
+    for (let suffix = 2; seenIds.has(id); suffix++) {
+      id = `${note.id}-${suffix}`;
+    }
+    seenIds.add(id);
+    return id === String(note.id) ? note : { ...note, id };
+  });
+
+  try {
+    if (legacyNotes.length > 0) {
+      await adapter.saveNotes(legacyNotes);
+    }
+    await adapter.setMeta(LEGACY_MIGRATED_META_KEY, new Date().toISOString());
+  } catch (error) {
+    // Kept under the legacy key, the notes are copied again on the next start
+    console.error('Error migrating legacy notes:', error);
+    return 0;
+  }
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+
+  return legacyNotes.length;
+};
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  LEGACY_QUARANTINE_KEY,
+  LEGACY_STORAGE_KEY,
+  createMemoryAdapter,
+  migrateLegacyStorage
+} from './index';
+
+// The memory adapter skips the migration, so pose as a persistent one
+const createAdapter = (overrides = {}) => ({ ...createMemoryAdapter(), name: 'test', ...overrides });
+
+describe('migrateLegacyStorage', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    localStorage.clear();
+  });
+
+  it('moves legacy notes into the adapter and removes the legacy key', async () => {
+    localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify({ notes: [{ id: 1 }, { id: 1 }] }));
+    const adapter = createAdapter();
+
+    expect(await migrateLegacyStorage(adapter)).toBe(2);
+    expect((await adapter.loadNotes()).map(note => note.id)).toEqual([1, '1-2']);
+    expect(localStorage.getItem(LEGACY_STORAGE_KEY)).toBeNull();
+  });
+
+  it.each(['null', '{"notes":', '{"notes":5}'])('quarantines an unreadable payload (%s)', async (payload) => {
+    localStorage.setItem(LEGACY_STORAGE_KEY, payload);
+    const adapter = createAdapter();
+
+    expect(await migrateLegacyStorage(adapter)).toBe(0);
+    expect(localStorage.getItem(LEGACY_STORAGE_KEY)).toBeNull();
+    expect(localStorage.getItem(LEGACY_QUARANTINE_KEY)).toBe(payload);
+    // Not parsed again on the next start
+    localStorage.setItem(LEGACY_STORAGE_KEY, payload);
+    expect(await migrateLegacyStorage(adapter)).toBe(0);
+    expect(localStorage.getItem(LEGACY_STORAGE_KEY)).toBe(payload);
+  });
+
+  it('keeps the legacy notes for another try when they cannot be saved', async () => {
+    const payload = JSON.stringify({ notes: [{ id: 1 }] });
+    localStorage.setItem(LEGACY_STORAGE_KEY, payload);
+    const adapter = createAdapter({
+      saveNotes: async () => {
+        throw new DOMException('Full', 'QuotaExceededError');
+      }
+    });
+
+    await expect(migrateLegacyStorage(adapter)).resolves.toBe(0);
+    expect(localStorage.getItem(LEGACY_STORAGE_KEY)).toBe(payload);
+  });
+});
@@ -0,0 +1,165 @@
+const DB_NAME = 'voice-notes';
+const DB_VERSION = 3;
+const NOTES_STORE = 'notes';
+const META_STORE = 'meta';
+const REVISIONS_STORE = 'revisions';
+const AUDIO_STORE = 'audio';
+
+// Wrap an IDBRequest in a promise
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Resolve once a transaction has been committed
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+  // Upgrade step by step so databases created by older versions gain every new store
+  request.onupgradeneeded = (event) => {
+    const db = request.result;
+    if (event.oldVersion < 1) {
+      db.createObjectStore(NOTES_STORE, { keyPath: 'id' });
+      db.createObjectStore(META_STORE);
+    }
+    if (event.oldVersion < 2) {
+      const revisions = db.createObjectStore(REVISIONS_STORE, { keyPath: 'id' });
+      revisions.createIndex('noteId', 'noteId');
+    }
+    if (event.oldVersion < 3) {
+      const audio = db.createObjectStore(AUDIO_STORE, { keyPath: 'id' });
+      audio.createIndex('noteId', 'noteId');
+    }
+  };
+
+  request.onblocked = () => {
+    console.warn('IndexedDB upgrade is waiting for another tab to close the database');
+  };
+  request.onsuccess = () => {
+    const db = request.result;
+    // Let a newer version in another tab upgrade the schema
+    db.onversionchange = () => db.close();
+    resolve(db);
+  };
+  request.onerror = () => reject(request.error);
+});
+
+export const isIndexedDbAvailable = () => {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch {
+    return false;
+  }
+};
+
+// Notes are stored one record per note, keyed by id
+export const createIndexedDbAdapter = () => {
+  let dbPromise = null;
+
+  const getDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase().catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  const read = async (storeName, operation) => {
+    const db = await getDatabase();
+    const transaction = db.transaction(storeName, 'readonly');
+    return promisifyRequest(operation(transaction.objectStore(storeName)));
+  };
+
+  const write = async (storeName, operation) => {
+    const db = await getDatabase();
+    const transaction = db.transaction(storeName, 'readwrite');
+    operation(transaction.objectStore(storeName));
+    await transactionDone(transaction);
+  };
+
+  // Delete every record in a store that belongs to one of the notes
+  const deleteByNote = async (storeName, noteIds) => {
+    const db = await getDatabase();
+    const transaction = db.transaction(storeName, 'readwrite');
+    const index = transaction.objectStore(storeName).index('noteId');
+    noteIds.forEach((noteId) => {
+      index.openKeyCursor(IDBKeyRange.only(noteId)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          transaction.objectStore(storeName).delete(cursor.primaryKey);
+          cursor.continue();
+        }
+      };
+    });
+    await transactionDone(transaction);
+  };
+
+  return {
+    name: 'indexeddb',
+    storesAudio: true,
+
+    loadNotes: () => read(NOTES_STORE, store => store.getAll()),
+
+    getNote: async (noteId) => (await read(NOTES_STORE, store => store.get(noteId))) || null,
+
+    saveNotes: (notes) => write(NOTES_STORE, (store) => {
+      notes.forEach(note => store.put(note));
+    }),
+
+    deleteNotes: (noteIds) => write(NOTES_STORE, (store) => {
+      noteIds.forEach(noteId => store.delete(noteId));
+    }),
+
+    clearNotes: () => write(NOTES_STORE, store => store.clear()),
+
+    getMeta: async (key) => {
+      const value = await read(META_STORE, store => store.get(key));
+      return value === undefined ? null : value;
+    },
+
+    setMeta: (key, value) => write(META_STORE, store => store.put(value, key)),
+
+    loadRevisions: (noteId) => read(REVISIONS_STORE, store => store.index('noteId').getAll(noteId)),
+
+    saveRevision: (revision) => write(REVISIONS_STORE, store => store.put(revision)),
+
+    deleteRevisions: (noteId, revisionIds) => write(REVISIONS_STORE, (store) => {
+      revisionIds.forEach(revisionId => store.delete(revisionId));
+    }),
+
+    deleteNoteRevisions: noteIds => deleteByNote(REVISIONS_STORE, noteIds),
+
+    // Recorded audio, one record per chunk (see lib/audioRecording.js)
+    loadAudioChunks: noteId => read(AUDIO_STORE, store => store.index('noteId').getAll(noteId)),
+
+    saveAudioChunk: chunk => write(AUDIO_STORE, store => store.put(chunk)),
+
+    // { noteId: bytes } summed from each chunk's `size`, so no blob is read. useAudioRecorder
+    // hands these to the storage dialog and to the player as its reload signal.
+    loadAudioSizes: async () => {
+      const db = await getDatabase();
+      const transaction = db.transaction(AUDIO_STORE, 'readonly');
+      const sizes = {};
+      transaction.objectStore(AUDIO_STORE).openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          const { noteId, size } = cursor.value;
+          sizes[noteId] = (sizes[noteId] || 0) + size;
+          cursor.continue();
+        }
+      };
+      await transactionDone(transaction);
+      return sizes;
+    },
+
+    deleteNoteAudio: noteIds => deleteByNote(AUDIO_STORE, noteIds)
+  };
+};
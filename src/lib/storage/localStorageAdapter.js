@@ -0,0 +1,142 @@
+const KEY_PREFIX = 'voice-notes';
+const INDEX_KEY = `${KEY_PREFIX}:index`;
+
+const noteKey = (noteId) => `${KEY_PREFIX}:note:${noteId}`;
+const metaKey = (key) => `${KEY_PREFIX}:meta:${key}`;
+const revisionsKey = (noteId) => `${KEY_PREFIX}:revisions:${noteId}`;
+// Where an unreadable value is set aside, so one bad record can't hide the others
+const quarantineKey = (key) => `${key}:quarantined`;
+
+export const isLocalStorageAvailable = () => {
+  try {
+    const probeKey = `${KEY_PREFIX}:probe`;
+    localStorage.setItem(probeKey, probeKey);
+    localStorage.removeItem(probeKey);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Notes are stored one key per note plus an index of ids, so a save only
+// serializes the notes that actually changed
+export const createLocalStorageAdapter = () => {
+  // The parsed value under `key`; `fallback` if there's none or it can't be parsed, in which
+  // case the raw value is moved aside
+  const readJson = (key, fallback) => {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return fallback;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn(`Quarantined unreadable ${key}:`, error);
+      try {
+        localStorage.setItem(quarantineKey(key), raw);
+        localStorage.removeItem(key);
+      } catch (quarantineError) {
+        console.error(`Error quarantining ${key}:`, quarantineError);
+      }
+      return fallback;
+    }
+  };
+
+  // Without a readable index, find the notes by their keys
+  const findNoteIds = () => {
+    const prefix = noteKey('');
+    const noteIds = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(prefix) && !key.endsWith(quarantineKey(''))) {
+        noteIds.push(key.slice(prefix.length));
+      }
+    }
+    return noteIds;
+  };
+
+  const readIndex = () => {
+    const index = readJson(INDEX_KEY, null);
+    return Array.isArray(index) ? index : findNoteIds();
+  };
+
+  const writeIndex = (noteIds) => {
+    localStorage.setItem(INDEX_KEY, JSON.stringify(noteIds));
+  };
+
+  const getNote = (noteId) => readJson(noteKey(noteId), null);
+
+  const readRevisions = (noteId) => {
+    const revisions = readJson(revisionsKey(noteId), []);
+    return Array.isArray(revisions) ? revisions : [];
+  };
+
+  const writeRevisions = (noteId, revisions) => {
+    if (revisions.length > 0) {
+      localStorage.setItem(revisionsKey(noteId), JSON.stringify(revisions));
+    } else {
+      localStorage.removeItem(revisionsKey(noteId));
+    }
+  };
+
+  return {
+    name: 'localstorage',
+    // Audio is far too big for localStorage's few megabytes, so none is kept
+    storesAudio: false,
+
+    loadNotes: async () => readIndex().map(getNote).filter(Boolean),
+
+    getNote: async (noteId) => getNote(noteId),
+
+    saveNotes: async (notes) => {
+      const index = new Set(readIndex());
+      notes.forEach((note) => {
+        localStorage.setItem(noteKey(note.id), JSON.stringify(note));
+        index.add(note.id);
+      });
+      writeIndex([...index]);
+    },
+
+    deleteNotes: async (noteIds) => {
+      const removed = new Set(noteIds);
+      noteIds.forEach(noteId => localStorage.removeItem(noteKey(noteId)));
+      writeIndex(readIndex().filter(noteId => !removed.has(noteId)));
+    },
+
+    clearNotes: async () => {
+      readIndex().forEach(noteId => localStorage.removeItem(noteKey(noteId)));
+      writeIndex([]);
+    },
+
+    getMeta: async (key) => readJson(metaKey(key), null),
+
+    setMeta: async (key, value) => {
+      localStorage.setItem(metaKey(key), JSON.stringify(value));
+    },
+
+    // Revisions are grouped under one key per note
+    loadRevisions: async (noteId) => readRevisions(noteId),
+
+    saveRevision: async (revision) => {
+      const revisions = readRevisions(revision.noteId).filter(existing => existing.id !== revision.id);
+      writeRevisions(revision.noteId, [...revisions, revision]);
+    },
+
+    deleteRevisions: async (noteId, revisionIds) => {
+      const removed = new Set(revisionIds);
+      writeRevisions(noteId, readRevisions(noteId).filter(revision => !removed.has(revision.id)));
+    },
+
+    deleteNoteRevisions: async (noteIds) => {
+      noteIds.forEach(noteId => localStorage.removeItem(revisionsKey(noteId)));
+    },
+
+    loadAudioChunks: async () => [],
+
+    saveAudioChunk: async () => {
+      throw new Error('Recorded audio can only be kept in IndexedDB');
+    },
+
+    loadAudioSizes: async () => ({}),
+
+    deleteNoteAudio: async () => {}
+  };
+};
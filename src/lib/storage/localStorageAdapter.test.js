@@ -0,0 +1,40 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createLocalStorageAdapter } from './localStorageAdapter';
+
+describe('localStorage adapter', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    localStorage.clear();
+  });
+
+  it('loads the readable notes and quarantines a corrupt one', async () => {
+    const adapter = createLocalStorageAdapter();
+    await adapter.saveNotes([{ id: 'a', title: 'First' }, { id: 'b', title: 'Second' }, { id: 'c', title: 'Third' }]);
+    localStorage.setItem('voice-notes:note:b', '{"id":"b","tit');
+
+    expect((await adapter.loadNotes()).map(note => note.id)).toEqual(['a', 'c']);
+    expect(localStorage.getItem('voice-notes:note:b')).toBeNull();
+    expect(localStorage.getItem('voice-notes:note:b:quarantined')).toBe('{"id":"b","tit');
+  });
+
+  it('finds the notes by key when the index is unreadable', async () => {
+    const adapter = createLocalStorageAdapter();
+    await adapter.saveNotes([{ id: 'a' }, { id: 'b' }]);
+    localStorage.setItem('voice-notes:index', 'not json');
+
+    expect((await adapter.loadNotes()).map(note => note.id).sort()).toEqual(['a', 'b']);
+  });
+
+  it('treats unreadable revisions and settings as missing', async () => {
+    const adapter = createLocalStorageAdapter();
+    localStorage.setItem('voice-notes:revisions:a', '[{');
+    localStorage.setItem('voice-notes:meta:theme', '{');
+
+    expect(await adapter.loadRevisions('a')).toEqual([]);
+    expect(await adapter.getMeta('theme')).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+// Non-persistent adapter, used when no browser storage is available
+export const createMemoryAdapter = (initialNotes = []) => {
+  const notes = new Map(initialNotes.map(note => [note.id, note]));
+  const meta = new Map();
+  const revisions = new Map();
+  const audioChunks = new Map();
+
+  return {
+    name: 'memory',
+    storesAudio: true,
+
+    loadNotes: async () => [...notes.values()],
+
+    getNote: async (noteId) => notes.get(noteId) || null,
+
+    saveNotes: async (notesToSave) => {
+      notesToSave.forEach(note => notes.set(note.id, note));
+    },
+
+    deleteNotes: async (noteIds) => {
+      noteIds.forEach(noteId => notes.delete(noteId));
+    },
+
+    clearNotes: async () => {
+      notes.clear();
+    },
+
+    getMeta: async (key) => (meta.has(key) ? meta.get(key) : null),
+
+    setMeta: async (key, value) => {
+      meta.set(key, value);
+    },
+
+    loadRevisions: async (noteId) => [...revisions.values()].filter(revision => revision.noteId === noteId),
+
+    saveRevision: async (revision) => {
+      revisions.set(revision.id, revision);
+    },
+
+    deleteRevisions: async (noteId, revisionIds) => {
+      revisionIds.forEach(revisionId => revisions.delete(revisionId));
+    },
+
+    deleteNoteRevisions: async (noteIds) => {
+      const removed = new Set(noteIds);
+      revisions.forEach((revision, revisionId) => {
+        if (removed.has(revision.noteId)) {
+          revisions.delete(revisionId);
+        }
+      });
+    },
+
+    loadAudioChunks: async (noteId) => [...audioChunks.values()].filter(chunk => chunk.noteId === noteId),
+
+    saveAudioChunk: async (chunk) => {
+      audioChunks.set(chunk.id, chunk);
+    },
+
+    loadAudioSizes: async () => {
+      const sizes = {};
+      audioChunks.forEach(({ noteId, size }) => {
+        sizes[noteId] = (sizes[noteId] || 0) + size;
+      });
+      return sizes;
+    },
+
+    deleteNoteAudio: async (noteIds) => {
+      const removed = new Set(noteIds);
+      audioChunks.forEach((chunk, chunkId) => {
+        if (removed.has(chunk.noteId)) {
+          audioChunks.delete(chunkId);
+        }
+      });
+    }
+  };
+};
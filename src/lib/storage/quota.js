@@ -0,0 +1,54 @@
+// Browsers give localStorage roughly 5MB per origin, counted in UTF-16 code units
+const LOCAL_STORAGE_QUOTA_BYTES = 5 * 1024 * 1024;
+
+// Usage ratios at which the app starts warning
+export const STORAGE_WARNING_RATIO = 0.8;
+export const STORAGE_CRITICAL_RATIO = 0.95;
+
+export const isQuotaExceededError = (error) => Boolean(error) && (
+  error.name === 'QuotaExceededError' ||
+  error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+  error.code === 22 ||
+  error.code === 1014
+);
+
+// Approximate bytes a note takes up once serialized
+export const estimateNoteSize = (note) => JSON.stringify(note).length * 2;
+
+const estimateLocalStorage = () => {
+  let usage = 0;
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    usage += (key.length + (localStorage.getItem(key) || '').length) * 2;
+  }
+  return { usage, quota: LOCAL_STORAGE_QUOTA_BYTES };
+};
+
+// Estimate usage for the given storage backend. Resolves to
+// { usage, quota, ratio } in bytes, or null when the browser can't tell.
+export const estimateStorageUsage = async (storageType) => {
+  let estimate = null;
+
+  if (storageType === 'localstorage') {
+    estimate = estimateLocalStorage();
+  } else if (storageType === 'indexeddb' && navigator.storage?.estimate) {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    estimate = { usage, quota };
+  }
+
+  if (!estimate || !estimate.quota) return null;
+  return { ...estimate, ratio: estimate.usage / estimate.quota };
+};
+
+export const getStorageLevel = (ratio) => {
+  if (ratio >= STORAGE_CRITICAL_RATIO) return 'critical';
+  if (ratio >= STORAGE_WARNING_RATIO) return 'warning';
+  return 'ok';
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+};
@@ -0,0 +1,109 @@
+const CHANNEL_NAME = 'voice-notes-sync';
+const STORAGE_EVENT_KEY = 'voice-notes:sync';
+const RECORDING_LOCK_PREFIX = 'voice-notes-recording:';
+
+// Identifies this tab in sync messages and recording locks
+export const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Open a channel to the other tabs of the app. Uses BroadcastChannel where
+// available and falls back to localStorage `storage` events.
+export const createTabSyncChannel = (onMessage) => {
+  const handleMessage = (message) => {
+    if (message && message.tabId !== TAB_ID) {
+      onMessage(message);
+    }
+  };
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => handleMessage(event.data);
+
+    return {
+      post: (message) => channel.postMessage({ ...message, tabId: TAB_ID }),
+      close: () => channel.close()
+    };
+  }
+
+  const handleStorage = (event) => {
+    if (event.key !== STORAGE_EVENT_KEY || !event.newValue) return;
+    try {
+      handleMessage(JSON.parse(event.newValue).message);
+    } catch (error) {
+      console.warn('Ignoring malformed sync message:', error);
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    post: (message) => {
+      try {
+        // The nonce makes repeated identical messages still fire a storage event
+        localStorage.setItem(STORAGE_EVENT_KEY, JSON.stringify({
+          message: { ...message, tabId: TAB_ID },
+          nonce: Math.random()
+        }));
+        localStorage.removeItem(STORAGE_EVENT_KEY);
+      } catch (error) {
+        console.warn('Unable to broadcast sync message:', error);
+      }
+    },
+    close: () => window.removeEventListener('storage', handleStorage)
+  };
+};
+
+// Merge notes received from another tab into the local list, keeping
+// whichever copy of each note was updated most recently
+export const mergeNotesByUpdatedAt = (localNotes, incomingNotes) => {
+  const incomingById = new Map(incomingNotes.map(note => [note.id, note]));
+  const adopted = [];
+
+  const merged = localNotes.map((note) => {
+    const incoming = incomingById.get(note.id);
+    if (!incoming) return note;
+    incomingById.delete(note.id);
+    if (new Date(incoming.updatedAt) >= new Date(note.updatedAt)) {
+      adopted.push(incoming);
+      return incoming;
+    }
+    return note;
+  });
+
+  const added = [...incomingById.values()];
+  adopted.push(...added);
+
+  return { notes: [...added, ...merged], adopted };
+};
+
+const hasWebLocks = () => typeof navigator !== 'undefined' && !!navigator.locks;
+
+// Try to take the exclusive recording lock for a note. Resolves to a release
+// function, or null when another tab already holds the lock. Without the Web
+// Locks API the lock always succeeds and exclusivity relies on sync messages.
+export const acquireRecordingLock = (noteId) => {
+  if (!hasWebLocks()) {
+    return Promise.resolve(() => {});
+  }
+
+  return new Promise((resolve, reject) => {
+    navigator.locks.request(`${RECORDING_LOCK_PREFIX}${noteId}`, { ifAvailable: true }, (lock) => {
+      if (!lock) {
+        resolve(null);
+        return undefined;
+      }
+      // Hold the lock until the returned release function is called
+      return new Promise(release => resolve(release));
+    }).catch(reject);
+  });
+};
+
+// Ids of notes currently locked for recording by any tab, or null when unknown
+export const queryRecordingLocks = async () => {
+  if (!hasWebLocks()) return null;
+  const { held = [] } = await navigator.locks.query();
+  return new Set(
+    held
+      .map(lock => lock.name)
+      .filter(name => name && name.startsWith(RECORDING_LOCK_PREFIX))
+      .map(name => name.slice(RECORDING_LOCK_PREFIX.length))
+  );
+};
@@ -0,0 +1,136 @@
+// Above this many edits the diff gives up and reports a full replacement
+const MAX_EDIT_DISTANCE = 2000;
+
+// Turn note HTML into plain text words
+export const toWords = (content = '') => content
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+// Merge runs of the same operation into single parts
+const pushPart = (parts, type, words) => {
+  if (words.length === 0) return;
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.words.push(...words);
+  } else {
+    parts.push({ type, words: [...words] });
+  }
+};
+
+// Myers' O((N + M) D) diff over two word arrays. Returns the edit script as
+// a list of { type: 'equal' | 'removed' | 'added', words } parts.
+const myersDiff = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  let v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b, offset, d, k);
+      }
+    }
+  }
+
+  return null;
+};
+
+// Walk the saved frontier back from the end to recover the edit script
+const backtrack = (trace, a, b, offset, finalD, finalK) => {
+  const steps = [];
+  let x = a.length;
+  let y = b.length;
+  let k = finalK;
+
+  for (let d = finalD; d > 0; d--) {
+    const v = trace[d];
+    const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      steps.push({ type: 'equal', word: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (x === prevX) {
+      steps.push({ type: 'added', word: b[y - 1] });
+      y--;
+    } else {
+      steps.push({ type: 'removed', word: a[x - 1] });
+      x--;
+    }
+    k = prevK;
+  }
+
+  while (x > 0 && y > 0) {
+    steps.push({ type: 'equal', word: a[x - 1] });
+    x--;
+    y--;
+  }
+
+  const parts = [];
+  steps.reverse().forEach(step => pushPart(parts, step.type, [step.word]));
+  return parts;
+};
+
+// Word-level diff between two note contents (HTML or plain text)
+export const diffWords = (oldContent, newContent) => {
+  const oldWords = toWords(oldContent);
+  const newWords = toWords(newContent);
+
+  // Trim the shared prefix and suffix so the expensive part only sees the changed middle
+  let start = 0;
+  while (start < oldWords.length && start < newWords.length && oldWords[start] === newWords[start]) {
+    start++;
+  }
+  let oldEnd = oldWords.length;
+  let newEnd = newWords.length;
+  while (oldEnd > start && newEnd > start && oldWords[oldEnd - 1] === newWords[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const parts = [];
+  pushPart(parts, 'equal', oldWords.slice(0, start));
+
+  const oldMiddle = oldWords.slice(start, oldEnd);
+  const newMiddle = newWords.slice(start, newEnd);
+  const middle = myersDiff(oldMiddle, newMiddle);
+  if (middle) {
+    middle.forEach(part => pushPart(parts, part.type, part.words));
+  } else {
+    pushPart(parts, 'removed', oldMiddle);
+    pushPart(parts, 'added', newMiddle);
+  }
+
+  pushPart(parts, 'equal', oldWords.slice(oldEnd));
+  return parts;
+};
+
+// Count added and removed words in a diff
+export const summarizeDiff = (parts) => parts.reduce((summary, part) => {
+  if (part.type !== 'equal') {
+    summary[part.type] += part.words.length;
+  }
+  return summary;
+}, { added: 0, removed: 0 });
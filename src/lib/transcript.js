@@ -0,0 +1,202 @@
+import { createId } from './ids';
+import { getSpeakers } from './speakers';
+
+// Dictated text is stored on the note as segments, one per recognition result:
+//
+//   { id, start, end, text, confidence, alternatives, reviewed, language, engine, speakerId }
+//
+// `start` and `end` are milliseconds since the note's metadata.startTime (when it was first
+// recorded). `confidence` is null when the engine didn't score the text, `alternatives` holds
+// the engine's other guesses ({ text, confidence }) and `reviewed` is set once someone has
+// proofread the segment. `speakerId` points into metadata.speakers (see lib/speakers.js).
+
+// Segments scored below this are underlined for review
+export const LOW_CONFIDENCE_THRESHOLD = 0.7;
+const MAX_ALTERNATIVES = 4;
+
+const toAlternatives = (alternatives, text) => {
+  const seen = new Set([text]);
+  return (Array.isArray(alternatives) ? alternatives : [])
+    .map(alternative => ({
+      text: typeof alternative?.text === 'string' ? alternative.text.trim() : '',
+      confidence: typeof alternative?.confidence === 'number' ? alternative.confidence : null
+    }))
+    .filter((alternative) => {
+      if (!alternative.text || seen.has(alternative.text)) return false;
+      seen.add(alternative.text);
+      return true;
+    })
+    .slice(0, MAX_ALTERNATIVES);
+};
+
+// Build a segment from a recognition result timed with absolute timestamps
+export const createSegment = (note, {
+  text,
+  confidence = null,
+  alternatives = [],
+  startedAt,
+  endedAt,
+  language,
+  engine = null,
+  speakerId = null
+}) => {
+  const origin = Date.parse(note.metadata.startTime) || startedAt;
+  const end = Math.max(0, endedAt - origin);
+  return {
+    id: createId(),
+    start: Math.min(Math.max(0, startedAt - origin), end),
+    end,
+    text: text.trim(),
+    confidence: typeof confidence === 'number' ? Math.min(Math.max(confidence, 0), 1) : null,
+    alternatives: toAlternatives(alternatives, text.trim()),
+    reviewed: false,
+    language: language || note.language,
+    engine,
+    speakerId
+  };
+};
+
+// A stretch of silence on the note's timeline, from { startedAt, endedAt } in ms since the epoch
+export const createSilence = (note, { startedAt, endedAt }) => {
+  const origin = Date.parse(note.metadata.startTime) || startedAt;
+  const end = Math.max(0, endedAt - origin);
+  return { start: Math.min(Math.max(0, startedAt - origin), end), end };
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Dictated text sits in the note's HTML content inside a span tagged with its segment id,
+// so the editor can style it by speaker and find it again after edits
+const SEGMENT_SPAN_PATTERN = /<span\b[^>]*\bdata-segment-id="([^"]*)"[^>]*>([\s\S]*?)<\/span>/g;
+
+const unescapeHtml = (html) => html
+  .replace(/<[^>]*>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&amp;/g, '&');
+
+// The text in each segment's span as it reads now, edits included, by segment id
+export const getSegmentTexts = (content) => new Map(
+  [...(content || '').matchAll(SEGMENT_SPAN_PATTERN)].map(([, segmentId, html]) => [segmentId, unescapeHtml(html).trim()])
+);
+
+// Add a segment's text to the end of existing content, after a line break when
+// `paragraphBreak` is set. Text starting with punctuation isn't spaced from what's before.
+// `language` marks text in a language other than the note's with a lang attribute.
+export const appendSegmentText = (content, segment, { paragraphBreak = false, language = null } = {}) => {
+  const separator = paragraphBreak ? '<br><br>' : /^[,.;:?!]/.test(segment.text) ? '' : ' ';
+  const lang = language ? ` lang="${escapeHtml(language)}"` : '';
+  return (content ? content.replace(/\s+$/, '') + separator : '') +
+    `<span data-segment-id="${segment.id}"${lang}>${escapeHtml(segment.text)}</span>`;
+};
+
+// Replace the text inside one segment's span, leaving the rest of the content alone
+const replaceSegmentSpan = (content, segmentId, text) => content.replace(SEGMENT_SPAN_PATTERN, (match, id, inner) =>
+  (id === segmentId ? match.slice(0, match.length - inner.length - '</span>'.length) + escapeHtml(text) + '</span>' : match)
+);
+
+// Apply `format(text)` to a segment's text and its alternatives
+export const reformatSegment = (segment, format) => {
+  const text = format(segment.text);
+  return {
+    ...segment,
+    text,
+    alternatives: toAlternatives(segment.alternatives.map(alternative => ({ ...alternative, text: format(alternative.text) })), text)
+  };
+};
+
+export const needsReview = (segment) =>
+  !segment.reviewed && typeof segment.confidence === 'number' && segment.confidence < LOW_CONFIDENCE_THRESHOLD;
+
+// Note changes that settle a segment on `text`: an alternative, a retyped version or the
+// current text confirmed as right. The replaced text becomes an alternative.
+export const reviseSegment = (note, segmentId, text) => {
+  const segment = note.segments.find(candidate => candidate.id === segmentId);
+  const newText = text.trim();
+  if (!segment || !newText) return null;
+
+  const alternatives = newText === segment.text
+    ? segment.alternatives || []
+    : toAlternatives([{ text: segment.text, confidence: segment.confidence }, ...(segment.alternatives || [])], newText);
+  return {
+    segments: note.segments.map(candidate => (candidate.id === segmentId
+      ? { ...candidate, text: newText, alternatives, reviewed: true }
+      : candidate)),
+    content: newText === segment.text ? note.content : replaceSegmentSpan(note.content, segmentId, newText)
+  };
+};
+
+// CSS that underlines segments waiting for review. `scope` is a selector for the editor element.
+export const buildReviewStyles = (note, scope) => {
+  if (!note) return '';
+  return note.segments
+    .filter(segment => needsReview(segment) && /^[\w-]+$/.test(segment.id))
+    .map(segment => `${scope} [data-segment-id="${segment.id}"] { text-decoration: underline wavy #f59e0b; ` +
+      'text-underline-offset: 3px; cursor: pointer; }')
+    .join('\n');
+};
+
+// CSS that highlights the segment being played back
+export const buildPlaybackStyles = (segmentId, scope) => {
+  if (!segmentId || !/^[\w-]+$/.test(segmentId)) return '';
+  return `${scope} [data-segment-id="${segmentId}"] { background-color: rgb(250 204 21 / 0.35); ` +
+    'border-radius: 2px; }';
+};
+
+// The segment being said `time` ms into the note, if any
+export const findSegmentAt = (segments, time) =>
+  segments.find(segment => segment.start <= time && time < segment.end) || null;
+
+// Where playback at `time` should jump to when skipping silences: just before the end of a
+// detected silence or the next segment, if nothing is said at `time` and that's at least
+// `minGapMs` away. Returns null when there's nothing to skip.
+export const findSilenceEnd = (segments, time, { silences = [], minGapMs = 1500, leadMs = 300 } = {}) => {
+  if (findSegmentAt(segments, time)) return null;
+  const silence = silences.find(candidate => candidate.start <= time && time < candidate.end);
+  if (silence && silence.end - time >= minGapMs) return silence.end - leadMs;
+  const next = segments.reduce((first, segment) => (
+    segment.start > time && (!first || segment.start < first.start) ? segment : first
+  ), null);
+  if (!next || next.start - time < minGapMs) return null;
+  return next.start - leadMs;
+};
+
+// Content for text exports: segment spans become plain text, with `speakerLabel(speaker)`
+// inserted wherever a new speaker starts talking and `actionItemLabel` before segments
+// marked as action items
+export const renderContentForExport = (note, { speakerLabel, actionItemLabel }) => {
+  const segmentsById = new Map(note.segments.map(segment => [segment.id, segment]));
+  const speakersById = new Map(getSpeakers(note).map(speaker => [speaker.id, speaker]));
+  let previousSpeakerId = null;
+
+  return note.content.replace(SEGMENT_SPAN_PATTERN, (match, segmentId, text) => {
+    const speakerId = segmentsById.get(segmentId)?.speakerId || null;
+    const speaker = speakerId && speakerId !== previousSpeakerId ? speakersById.get(speakerId) : null;
+    previousSpeakerId = speakerId;
+    const actionItem = /\bdata-action-item\b/.test(match.slice(0, match.indexOf('>'))) ? actionItemLabel : '';
+    return (speaker ? speakerLabel(speaker) : '') + actionItem + text;
+  }).replace(/[ \t]+\n/g, '\n').trim();
+};
+
+// Average confidence of the segments the engine scored, or 0 when none were
+export const averageConfidence = (segments) => {
+  const scored = segments.filter(segment => typeof segment.confidence === 'number');
+  if (scored.length === 0) return 0;
+  return scored.reduce((sum, segment) => sum + segment.confidence, 0) / scored.length;
+};
+
+
+// 83500 -> '1:23', 3723000 -> '1:02:03'
+export const formatSegmentTime = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
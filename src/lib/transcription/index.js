@@ -0,0 +1,70 @@
+import { webSpeechEngine } from './webSpeechEngine';
+import { websocketEngine } from './websocketEngine';
+import { replayEngine } from './replayEngine';
+
+// A transcription engine is a plain object:
+//
+//   id, name, description
+//   maxSessionMs      optional; the session is restarted before it gets this old
+//   settings          optional list of { key, label, defaultValue, options? } the user can
+//                     configure; `options` ({ value, label }) limits the choices
+//   isSupported()     whether the engine can run in this browser
+//   create(options)   returns a session { start(), stop({ restarting }), abort() }
+//
+// `create` receives the recognition language, the engine's `settings` values, `audio`
+// constraints for getUserMedia (the chosen microphone and its processing; engines that can't
+// pick an input, like the browser's own recognizer, ignore them) and the callbacks:
+//
+//   onStart()                       the session is capturing audio
+//   onSegment({ text, confidence, alternatives, language })
+//                                   a finished piece of transcript. confidence is 0–1 or null
+//                                   when unknown; alternatives are other { text, confidence }
+//                                   guesses, best first. language is optional, for engines
+//                                   that detect what was spoken; it defaults to the session's
+//   onInterim(text)                 the current unfinished hypothesis ('' clears it)
+//   onError({ code, message })      code is one of TRANSCRIPTION_ERRORS, or anything else for
+//                                   unexpected failures
+//   onEnd()                         the session ended, by request or on its own
+//
+// `stop()` should still deliver pending segments before `onEnd`; `abort()` may drop them.
+// `restarting` is set when another session follows straight away, e.g. in a new language.
+// useSpeechRecognition owns restarts, backoff and error reporting for every engine.
+
+export const TRANSCRIPTION_ERRORS = {
+  'no-speech': 'No speech detected',
+  'audio-capture': 'Microphone access denied or unavailable',
+  'not-allowed': 'Microphone permission denied',
+  'network': 'Network error - check your connection',
+  'service-not-allowed': 'Speech recognition service not allowed',
+  'language-not-supported': 'Language not supported',
+  'aborted': 'Speech recognition was aborted'
+};
+
+const engines = new Map();
+
+export const registerTranscriptionEngine = (engine) => {
+  engines.set(engine.id, engine);
+};
+
+export const getTranscriptionEngine = (engineId) => engines.get(engineId) || null;
+
+export const getTranscriptionEngines = () => [...engines.values()];
+
+// The stored choice if it still works here, otherwise the first engine this browser supports
+export const resolveEngineId = (preferredId) => {
+  const preferred = getTranscriptionEngine(preferredId);
+  if (preferred?.isSupported()) return preferred.id;
+  const supported = getTranscriptionEngines().find(engine => engine.isSupported());
+  return supported ? supported.id : preferred?.id || webSpeechEngine.id;
+};
+
+// Defaults for an engine's settings, overridden by the stored values
+export const resolveEngineSettings = (engine, storedSettings = {}) => Object.fromEntries(
+  (engine?.settings || []).map(({ key, defaultValue }) => [key, storedSettings[key] ?? defaultValue])
+);
+
+registerTranscriptionEngine(webSpeechEngine);
+registerTranscriptionEngine(websocketEngine);
+registerTranscriptionEngine(replayEngine);
+
+export { webSpeechEngine, websocketEngine, replayEngine };
@@ -0,0 +1,230 @@
+// Plays back scripted transcription results instead of listening to the microphone, for
+// demos and for exercising useSpeechRecognition's auto-push and restart handling.
+//
+// A scenario is a list of sessions; every session the hook creates takes the next one.
+// A session is a list of steps, each played `delay` ms after the previous one:
+//
+//   { type: 'interim', text }
+//   { type: 'final', text, confidence, alternatives, language }   language as if detected
+//   { type: 'error', code, message }   like the Web Speech API, an error also ends the session
+//   { type: 'end' }                    the session ends on its own
+//
+// Once a scenario runs out of sessions, new sessions stay silent until recording stops.
+// Stopping (not aborting) rewinds the scenario for the next recording, unless the session
+// is only being replaced, as when switching languages.
+//
+// Pick a scenario with ?engine=replay&scenario=<id>, or in the engine settings.
+
+const DEFAULT_STEP_DELAY_MS = 300;
+
+const dictate = (sentence, confidence = 0.92, alternatives = []) => {
+  const words = sentence.split(' ');
+  return [
+    ...words.slice(1).map((word, index) => ({ type: 'interim', text: words.slice(0, index + 1).join(' ') })),
+    { type: 'final', text: sentence, confidence, alternatives }
+  ];
+};
+
+const error = (code) => [{ type: 'error', code }];
+
+const dictateIn = (language, sentence) =>
+  dictate(sentence).map(step => (step.type === 'final' ? { ...step, language } : step));
+
+const DICTATION = [
+  'Remember to book the meeting room for Thursday',
+  'The quarterly report needs two more charts',
+  'Ask Sam about the budget before Friday'
+];
+
+export const REPLAY_SCENARIOS = [
+  {
+    id: 'dictation',
+    name: 'Dictation',
+    description: 'A few sentences with interim results.',
+    sessions: [DICTATION.flatMap(sentence => dictate(sentence))]
+  },
+  {
+    id: 'mumbled',
+    name: 'Unclear speech',
+    description: 'Low-confidence results with alternatives, to try the proofreading pass.',
+    sessions: [[
+      ...dictate('Remember to book the meeting room for Thursday'),
+      ...dictate('The quarterly report needs to more charts', 0.48, [
+        { text: 'The quarterly report needs two more charts', confidence: 0.45 },
+        { text: 'The quarterly report needs too more charts', confidence: 0.3 }
+      ]),
+      ...dictate('Ask Sam about the budget before Friday'),
+      ...dictate('Let us meet with Dana and Kim next weak', 0.55, [
+        { text: 'Let us meet with Dana and Kim next week', confidence: 0.52 }
+      ])
+    ]]
+  },
+  {
+    id: 'mixed-language',
+    name: 'English and Kannada',
+    description: 'Speech that switches language mid-meeting, tagged as if the engine detected it.',
+    sessions: [[
+      ...dictateIn('en-US', 'Let us start with the budget review'),
+      ...dictateIn('kn-IN', 'ಬಜೆಟ್ ಬಗ್ಗೆ ಮುಂದಿನ ವಾರ ಮಾತನಾಡೋಣ'),
+      ...dictateIn('en-US', 'Sam will send the numbers by Friday'),
+      ...dictateIn('kn-IN', 'ಸರಿ ಧನ್ಯವಾದಗಳು')
+    ]]
+  },
+  {
+    id: 'long-interim',
+    name: 'Long interim result',
+    description: 'An interim result longer than 150 characters is auto-pushed before it is final.',
+    sessions: [[
+      { type: 'interim', text: 'so what we agreed on in the planning session was that the team takes the first two weeks for research' },
+      {
+        type: 'interim',
+        text: 'so what we agreed on in the planning session was that the team takes the first two weeks for research and then spends the rest of the month building the prototype'
+      },
+      { type: 'final', text: 'and demos it at the end of the month', confidence: 0.9 }
+    ]]
+  },
+  {
+    id: 'no-speech',
+    name: 'Silence',
+    description: 'Two no-speech errors are not counted as failures; listening resumes each time.',
+    sessions: [error('no-speech'), error('no-speech'), dictate(DICTATION[0])]
+  },
+  {
+    id: 'flaky-network',
+    name: 'Flaky network',
+    description: 'Two network errors back off before restarting, then results reset the error count.',
+    sessions: [dictate(DICTATION[0]), error('network'), error('network'), DICTATION.slice(1).flatMap(sentence => dictate(sentence))]
+  },
+  {
+    id: 'network-recovers',
+    name: 'Network recovers',
+    description: 'Four network errors, results, then four more; results reset the count, so recording carries on.',
+    sessions: [
+      ...Array.from({ length: 4 }, () => error('network')),
+      [...dictate(DICTATION[0]), { type: 'end' }],
+      ...Array.from({ length: 4 }, () => error('network')),
+      dictate(DICTATION[1])
+    ]
+  },
+  {
+    id: 'network-down',
+    name: 'Network down',
+    description: 'Network errors keep coming; recording gives up after five in a row.',
+    sessions: Array.from({ length: 6 }, () => error('network'))
+  },
+  {
+    id: 'mic-blocked',
+    name: 'Microphone blocked',
+    description: 'An audio-capture error stops recording straight away.',
+    sessions: [error('audio-capture')]
+  },
+  {
+    id: 'short-sessions',
+    name: 'Short sessions',
+    description: 'Every session ends on its own after one sentence and is restarted seamlessly.',
+    sessions: DICTATION.map(sentence => [...dictate(sentence), { type: 'end' }])
+  }
+];
+
+const DEFAULT_SCENARIO_ID = REPLAY_SCENARIOS[0].id;
+
+export const getReplayScenario = (scenarioId) =>
+  REPLAY_SCENARIOS.find(scenario => scenario.id === scenarioId) ||
+  REPLAY_SCENARIOS.find(scenario => scenario.id === DEFAULT_SCENARIO_ID);
+
+// Which session of which scenario plays next; shared across sessions so restarts move on
+const cursor = { scenarioId: null, session: 0 };
+
+const nextSessionSteps = (scenario) => {
+  if (cursor.scenarioId !== scenario.id) {
+    cursor.scenarioId = scenario.id;
+    cursor.session = 0;
+  }
+  return scenario.sessions[cursor.session++] || null;
+};
+
+export const rewindReplay = () => {
+  cursor.scenarioId = null;
+  cursor.session = 0;
+};
+
+export const replayEngine = {
+  id: 'replay',
+  name: 'Scripted replay',
+  description: 'Plays back canned results without a microphone, for demos and testing.',
+  settings: [
+    {
+      key: 'scenario',
+      label: 'Scenario',
+      defaultValue: DEFAULT_SCENARIO_ID,
+      options: REPLAY_SCENARIOS.map(({ id, name }) => ({ value: id, label: name }))
+    }
+  ],
+
+  isSupported: () => true,
+
+  create: ({ settings = {}, onStart, onSegment, onInterim, onError, onEnd }) => {
+    const scenario = getReplayScenario(settings.scenario);
+    let timeout = null;
+    let ended = false;
+
+    const end = () => {
+      if (ended) return;
+      ended = true;
+      clearTimeout(timeout);
+      onEnd();
+    };
+
+    const play = (steps, index) => {
+      if (ended || index >= steps.length) return;
+      const step = steps[index];
+      timeout = setTimeout(() => {
+        switch (step.type) {
+          case 'interim':
+            onInterim(step.text);
+            break;
+          case 'final':
+            onSegment({
+              text: step.text,
+              confidence: step.confidence ?? 0.9,
+              alternatives: step.alternatives || [],
+              language: step.language
+            });
+            onInterim('');
+            break;
+          case 'error':
+            onError({ code: step.code, message: step.message });
+            end();
+            return;
+          case 'end':
+            end();
+            return;
+          default:
+            break;
+        }
+        play(steps, index + 1);
+      }, step.delay ?? DEFAULT_STEP_DELAY_MS);
+    };
+
+    return {
+      start: () => {
+        const steps = nextSessionSteps(scenario);
+        timeout = setTimeout(() => {
+          onStart();
+          // Out of sessions: stay silent until stopped
+          if (steps) play(steps, 0);
+        }, 0);
+      },
+
+      stop: ({ restarting = false } = {}) => {
+        if (!restarting) rewindReplay();
+        setTimeout(end, 0);
+      },
+
+      abort: () => {
+        ended = true;
+        clearTimeout(timeout);
+      }
+    };
+  }
+};
@@ -0,0 +1,58 @@
+// Other guesses kept with every final result, for proofreading
+const MAX_ALTERNATIVES = 4;
+
+// Browsers that don't score results report 0, which means "unknown" rather than "wrong"
+const toConfidence = (value) => (value > 0 ? value : null);
+
+const getSpeechRecognition = () =>
+  (typeof window !== 'undefined' ? window.SpeechRecognition || window.webkitSpeechRecognition : undefined);
+
+// Transcription through the browser's built-in Web Speech API
+export const webSpeechEngine = {
+  id: 'web-speech',
+  name: 'Browser speech recognition',
+  description: 'Built into Chrome, Edge and Safari. Audio is processed by the browser vendor.',
+  // Browsers cut sessions off after a few minutes, so restart before that happens
+  maxSessionMs: 240000,
+
+  isSupported: () => Boolean(getSpeechRecognition()),
+
+  create: ({ language, onStart, onSegment, onInterim, onError, onEnd }) => {
+    const SpeechRecognition = getSpeechRecognition();
+    const recognition = new SpeechRecognition();
+
+    // Optimal settings for continuous recording
+    recognition.continuous = true;
+    recognition.interimResults = true;
+    recognition.lang = language;
+    recognition.maxAlternatives = MAX_ALTERNATIVES;
+
+    recognition.onresult = (event) => {
+      let interim = '';
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const result = event.results[i];
+        if (result.isFinal) {
+          const alternatives = Array.from(result).slice(1).map(alternative => ({
+            text: alternative.transcript,
+            confidence: toConfidence(alternative.confidence)
+          }));
+          onSegment({ text: result[0].transcript, confidence: toConfidence(result[0].confidence), alternatives });
+        } else {
+          interim += result[0].transcript;
+        }
+      }
+      onInterim(interim);
+    };
+
+    // Web Speech error names are the shared error codes
+    recognition.onerror = (event) => onError({ code: event.error, message: event.message });
+    recognition.onstart = () => onStart();
+    recognition.onend = () => onEnd();
+
+    return {
+      start: () => recognition.start(),
+      stop: () => recognition.stop(),
+      abort: () => recognition.abort()
+    };
+  }
+};
@@ -0,0 +1,311 @@
+// Streams microphone audio to a self-hosted ASR server over a WebSocket.
+//
+// Protocol (see scripts/mock-asr-server.js for a reference server):
+//   client -> server  {"type":"start","sampleRate":16000,"encoding":"pcm_s16le","language":"en-US"}
+//   client -> server  binary frames of mono 16-bit little-endian PCM
+//   client -> server  {"type":"stop"}  no more audio; flush what is left
+//   server -> client  {"type":"interim","text":"..."}
+//   server -> client  {"type":"final","text":"...","confidence":0.93,
+//                      "alternatives":[{"text":"...","confidence":0.41}],
+//                      "language":"kn-IN"}   alternatives optional; language if detected
+//   server -> client  {"type":"error","code":"...","message":"..."}
+//   server -> client  {"type":"done"}  everything after "stop" has been sent
+//
+// A dropped connection is retried with backoff while audio keeps being captured and
+// buffered, so nothing said during a short outage is lost.
+
+export const DEFAULT_ASR_SERVER_URL = 'ws://localhost:8765';
+
+const TARGET_SAMPLE_RATE = 16000;
+const FRAME_SAMPLES = TARGET_SAMPLE_RATE / 10; // 100ms of audio per message
+const MAX_BUFFERED_FRAMES = 600; // a minute of audio; older audio is dropped first
+const RECONNECT_BASE_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 8000;
+const MAX_RECONNECT_ATTEMPTS = 8;
+const STOP_TIMEOUT_MS = 5000;
+
+// Posts every block of microphone samples to the main thread
+const CAPTURE_WORKLET = `
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (channel) this.port.postMessage(channel.slice(0));
+    return true;
+  }
+}
+registerProcessor('pcm-capture', PcmCaptureProcessor);
+`;
+
+const getAudioContextClass = () =>
+  (typeof window !== 'undefined' ? window.AudioContext || window.webkitAudioContext : undefined);
+
+// Average blocks of input samples down to the target rate
+const createDownsampler = (inputRate) => {
+  const ratio = inputRate / TARGET_SAMPLE_RATE;
+  let carry = 0; // fractional input position carried between blocks
+
+  return (input) => {
+    const output = [];
+    let position = carry;
+    while (position + ratio <= input.length) {
+      const start = Math.floor(position);
+      const end = Math.floor(position + ratio);
+      let sum = 0;
+      for (let i = start; i < end; i++) sum += input[i];
+      output.push(sum / Math.max(1, end - start));
+      position += ratio;
+    }
+    carry = position - input.length;
+    return output;
+  };
+};
+
+const toPcm16 = (samples) => {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+  }
+  return pcm.buffer;
+};
+
+// Capture the microphone as 16kHz PCM frames. Resolves to a function that stops capturing.
+const startCapture = async (onFrame, audio = {}) => {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { echoCancellation: true, noiseSuppression: true, ...audio, channelCount: 1 }
+  });
+  const AudioContextClass = getAudioContextClass();
+  const context = new AudioContextClass();
+  const source = context.createMediaStreamSource(stream);
+  const downsample = createDownsampler(context.sampleRate);
+  let pending = [];
+
+  const handleSamples = (samples) => {
+    pending = pending.concat(downsample(samples));
+    while (pending.length >= FRAME_SAMPLES) {
+      onFrame(toPcm16(pending.slice(0, FRAME_SAMPLES)));
+      pending = pending.slice(FRAME_SAMPLES);
+    }
+  };
+
+  let node;
+  if (context.audioWorklet) {
+    const moduleUrl = URL.createObjectURL(new Blob([CAPTURE_WORKLET], { type: 'application/javascript' }));
+    try {
+      await context.audioWorklet.addModule(moduleUrl);
+    } finally {
+      URL.revokeObjectURL(moduleUrl);
+    }
+    node = new AudioWorkletNode(context, 'pcm-capture');
+    node.port.onmessage = (event) => handleSamples(event.data);
+  } else {
+    // Older browsers: the deprecated ScriptProcessorNode still works
+    node = context.createScriptProcessor(4096, 1, 1);
+    node.onaudioprocess = (event) => handleSamples(event.inputBuffer.getChannelData(0));
+  }
+  source.connect(node);
+  node.connect(context.destination);
+
+  return () => {
+    // Send whatever is left of the last frame
+    if (pending.length > 0) {
+      onFrame(toPcm16(pending));
+      pending = [];
+    }
+    source.disconnect();
+    node.disconnect();
+    stream.getTracks().forEach(track => track.stop());
+    context.close();
+  };
+};
+
+const captureErrorCode = (error) => {
+  if (error?.name === 'NotAllowedError' || error?.name === 'SecurityError') return 'not-allowed';
+  return 'audio-capture';
+};
+
+export const websocketEngine = {
+  id: 'websocket',
+  name: 'Self-hosted ASR server',
+  description: 'Streams microphone audio over a WebSocket to your own speech recognition server.',
+  settings: [
+    { key: 'serverUrl', label: 'Server URL', defaultValue: DEFAULT_ASR_SERVER_URL }
+  ],
+
+  isSupported: () =>
+    typeof WebSocket !== 'undefined' &&
+    Boolean(getAudioContextClass()) &&
+    typeof navigator !== 'undefined' &&
+    Boolean(navigator.mediaDevices?.getUserMedia),
+
+  create: ({ language, settings = {}, audio = {}, onStart, onSegment, onInterim, onError, onEnd }) => {
+    const serverUrl = settings.serverUrl || DEFAULT_ASR_SERVER_URL;
+    let socket = null;
+    let stopCapture = null;
+    let buffered = []; // frames waiting for a connection
+    let reconnectAttempts = 0;
+    let reconnectTimeout = null;
+    let stopTimeout = null;
+    let started = false;
+    let stopping = false;
+    let finished = false;
+
+    const send = (data) => {
+      if (socket?.readyState === WebSocket.OPEN) {
+        socket.send(data);
+        return true;
+      }
+      return false;
+    };
+
+    const sendFrame = (frame) => {
+      if (!send(frame)) {
+        buffered.push(frame);
+        if (buffered.length > MAX_BUFFERED_FRAMES) {
+          buffered.shift();
+        }
+      }
+    };
+
+    const cleanup = () => {
+      finished = true;
+      clearTimeout(reconnectTimeout);
+      clearTimeout(stopTimeout);
+      stopCapture?.();
+      stopCapture = null;
+      if (socket) {
+        socket.onopen = socket.onmessage = socket.onclose = socket.onerror = null;
+        if (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING) {
+          socket.close();
+        }
+        socket = null;
+      }
+    };
+
+    const finish = () => {
+      if (finished) return;
+      cleanup();
+      onEnd();
+    };
+
+    const fail = (code, message) => {
+      if (finished) return;
+      onError({ code, message });
+    };
+
+    const handleMessage = (event) => {
+      if (typeof event.data !== 'string') return;
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        console.warn('Ignoring malformed ASR server message:', event.data);
+        return;
+      }
+
+      switch (message.type) {
+        case 'interim':
+          onInterim(message.text || '');
+          break;
+        case 'final':
+          onSegment({
+            text: message.text || '',
+            confidence: typeof message.confidence === 'number' ? message.confidence : null,
+            alternatives: Array.isArray(message.alternatives) ? message.alternatives : [],
+            language: typeof message.language === 'string' ? message.language : undefined
+          });
+          onInterim('');
+          break;
+        case 'error':
+          fail(message.code || 'network', message.message);
+          break;
+        case 'done':
+          if (stopping) finish();
+          break;
+        default:
+          break;
+      }
+    };
+
+    const scheduleReconnect = () => {
+      reconnectAttempts++;
+      if (reconnectAttempts > MAX_RECONNECT_ATTEMPTS) {
+        fail('network', `Lost connection to ${serverUrl}`);
+        return;
+      }
+      const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (reconnectAttempts - 1), RECONNECT_MAX_DELAY_MS);
+      reconnectTimeout = setTimeout(connect, delay);
+    };
+
+    function connect() {
+      if (finished) return;
+      socket = new WebSocket(serverUrl);
+      socket.binaryType = 'arraybuffer';
+
+      socket.onopen = () => {
+        reconnectAttempts = 0;
+        send(JSON.stringify({ type: 'start', sampleRate: TARGET_SAMPLE_RATE, encoding: 'pcm_s16le', language }));
+
+        // Catch the server up on audio captured while disconnected
+        const backlog = buffered;
+        buffered = [];
+        backlog.forEach(sendFrame);
+
+        if (stopping) {
+          send(JSON.stringify({ type: 'stop' }));
+        }
+        if (!started) {
+          started = true;
+          onStart();
+        }
+      };
+      socket.onmessage = handleMessage;
+      socket.onclose = () => {
+        socket = null;
+        if (finished) return;
+        if (stopping && buffered.length === 0) {
+          finish();
+        } else {
+          scheduleReconnect();
+        }
+      };
+      // Errors are followed by a close event, which handles reconnecting
+      socket.onerror = () => {};
+    }
+
+    return {
+      start: () => {
+        connect();
+        startCapture(sendFrame, audio)
+          .then((stop) => {
+            if (finished || stopping) {
+              stop();
+            } else {
+              stopCapture = stop;
+            }
+          })
+          .catch((error) => {
+            console.error('Error capturing microphone audio:', error);
+            fail(captureErrorCode(error), error.message);
+          });
+      },
+
+      // Flush remaining audio and wait for the server's last results
+      stop: () => {
+        if (finished || stopping) return;
+        stopping = true;
+        stopCapture?.();
+        stopCapture = null;
+        if (!send(JSON.stringify({ type: 'stop' })) && !socket && buffered.length === 0) {
+          finish();
+          return;
+        }
+        stopTimeout = setTimeout(finish, STOP_TIMEOUT_MS);
+      },
+
+      abort: () => {
+        if (!finished) cleanup();
+      }
+    };
+  }
+};
@@ -0,0 +1,175 @@
+import { createId } from './ids';
+import { diffWords } from './textDiff';
+
+// A user-managed dictionary of words the recognizer gets wrong. Each rule replaces
+// `phrase` with `replacement` in final results:
+//
+//   { id, phrase, replacement, matchCase, wholeWord }
+//
+// `matchCase` only replaces text with exactly the phrase's capitalization, and `wholeWord`
+// won't replace inside longer words ("acme" in "acmes").
+
+export const CSV_COLUMNS = ['phrase', 'replacement', 'matchCase', 'wholeWord'];
+const MAX_LEARNED_WORDS = 3; // longer rewrites are edits, not misheard words
+
+export const createRule = ({ phrase, replacement, matchCase = false, wholeWord = true }) => ({
+  id: createId(),
+  phrase: phrase.trim(),
+  replacement: replacement.trim(),
+  matchCase: Boolean(matchCase),
+  wholeWord: Boolean(wholeWord)
+});
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toPattern = ({ phrase, matchCase, wholeWord }) => {
+  // Any run of spaces in the phrase matches any run of spaces in the text
+  const source = phrase.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+  const bounded = wholeWord ? `(?<![\\p{L}\\p{N}])${source}(?![\\p{L}\\p{N}])` : source;
+  return new RegExp(bounded, matchCase ? 'gu' : 'giu');
+};
+
+// Apply every rule to the text, longest phrase first so "acme cloud" wins over "acme"
+export const applyVocabulary = (text, rules) => [...rules]
+  .filter(rule => rule.phrase.trim() && rule.replacement.trim())
+  .sort((a, b) => b.phrase.length - a.phrase.length)
+  .reduce((result, rule) => result.replace(toPattern(rule), () => rule.replacement), text);
+
+// The rule for a phrase, matched the way the rule itself matches
+export const findRule = (rules, phrase) => rules.find(rule => (rule.matchCase
+  ? rule.phrase === phrase
+  : rule.phrase.toLowerCase() === phrase.toLowerCase()));
+
+// CSV
+
+const toCsvField = (value) => {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const vocabularyToCsv = (rules) => [
+  CSV_COLUMNS.join(','),
+  ...rules.map(rule => CSV_COLUMNS.map(column => toCsvField(rule[column])).join(','))
+].join('\n') + '\n';
+
+// Split CSV text into rows of fields, honouring quoted fields with commas, quotes and
+// newlines. Each row is { fields, line } with the line it starts on; blank rows are dropped.
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = { fields: [], line: 1 };
+  let field = '';
+  let quoted = false;
+  let line = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\n') line++;
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+        line++;
+      }
+      row.fields.push(field);
+      rows.push(row);
+      row = { fields: [], line };
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.fields.length > 0) {
+    row.fields.push(field);
+    rows.push(row);
+  }
+  return rows.filter(({ fields }) => fields.some(value => value.trim()));
+};
+
+const parseFlag = (value, fallback) => {
+  const flag = (value || '').trim().toLowerCase();
+  if (['true', 'yes', '1', 'y'].includes(flag)) return true;
+  if (['false', 'no', '0', 'n'].includes(flag)) return false;
+  return fallback;
+};
+
+// Read rules from CSV. A header row naming the columns is optional; without one the
+// columns are taken in CSV_COLUMNS order. Returns { rules, errors } with errors per line.
+export const parseVocabularyCsv = (text) => {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const header = rows[0]?.fields.map(value => value.trim().toLowerCase());
+  const hasHeader = Boolean(header?.includes('phrase') && header?.includes('replacement'));
+  const columns = hasHeader ? header : CSV_COLUMNS.map(column => column.toLowerCase());
+  const indexOf = (column) => columns.indexOf(column.toLowerCase());
+
+  const rules = [];
+  const errors = [];
+  rows.slice(hasHeader ? 1 : 0).forEach(({ fields, line }) => {
+    const phrase = (fields[indexOf('phrase')] || '').trim();
+    const replacement = (fields[indexOf('replacement')] || '').trim();
+    if (!phrase || !replacement) {
+      errors.push(`Line ${line}: needs a phrase and a replacement`);
+      return;
+    }
+    rules.push(createRule({
+      phrase,
+      replacement,
+      matchCase: parseFlag(fields[indexOf('matchCase')], false),
+      wholeWord: parseFlag(fields[indexOf('wholeWord')], true)
+    }));
+  });
+  return { rules, errors };
+};
+
+// Merge imported rules in, replacing existing rules for the same phrase
+export const mergeRules = (rules, imported) => {
+  const merged = [...rules];
+  imported.forEach((rule) => {
+    const existingIndex = merged.findIndex(existing => existing.phrase.toLowerCase() === rule.phrase.toLowerCase());
+    if (existingIndex === -1) {
+      merged.push(rule);
+    } else {
+      merged[existingIndex] = { ...rule, id: merged[existingIndex].id };
+    }
+  });
+  return merged;
+};
+
+// Learning from corrections
+
+const trimPunctuation = (words) => words.join(' ').replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+// Punctuation at the end of words, which shouldn't make "data" and "data." differ
+const withoutTrailingPunctuation = (text) => text.replace(/[.,!?;:]+(?=\s|$)/g, '');
+
+// Words someone changed in dictated text: `original` is what the recognizer produced and
+// `corrected` is the text now. Returns [{ phrase, replacement }] for short replacements.
+export const findCorrections = (original, corrected) => {
+  const parts = diffWords(withoutTrailingPunctuation(original), withoutTrailingPunctuation(corrected));
+  const corrections = [];
+  parts.forEach((part, index) => {
+    const next = parts[index + 1];
+    if (part.type === 'equal' || !next || next.type === 'equal') return;
+    const removed = part.type === 'removed' ? part : next;
+    const added = part.type === 'added' ? part : next;
+    if (removed.words.length > MAX_LEARNED_WORDS || added.words.length > MAX_LEARNED_WORDS) return;
+    const phrase = trimPunctuation(removed.words);
+    const replacement = trimPunctuation(added.words);
+    if (phrase && replacement && phrase !== replacement) {
+      corrections.push({ phrase, replacement });
+    }
+  });
+  return corrections;
+};
@@ -0,0 +1,91 @@
+import { measureInput } from './microphone';
+
+// Voice activity detection: whether someone is speaking, from the loudness of the microphone.
+// Speech is anything well above the room's noise floor, which is learned while listening,
+// so a noisy office and a quiet room both work without calibration.
+
+const SPEECH_MARGIN_DB = 12; // how far above the noise floor counts as speech
+const MIN_SPEECH_DB = -55; // never speech below this, however quiet the room
+const SILENT_DB = -100; // level of digital silence, so the floor stays a number
+const ATTACK_MS = 100; // loud this long before it's speech, which skips clicks and taps
+const HANGOVER_MS = 500; // quiet this long before speech ends, which bridges gaps between words
+const FLOOR_RISE_DB_PER_SECOND = 2; // how quickly the floor follows a room getting noisier
+
+export const VAD_INTERVAL_MS = 50;
+
+// An AnalyserNode fed by the stream, as used by the waveform and the detector
+export const createAudioAnalyser = (stream, { fftSize = 256, smoothingTimeConstant = 0.8 } = {}) => {
+  const context = new (window.AudioContext || window.webkitAudioContext)();
+  const analyser = context.createAnalyser();
+  analyser.fftSize = fftSize;
+  analyser.smoothingTimeConstant = smoothingTimeConstant;
+  context.createMediaStreamSource(stream).connect(analyser);
+
+  return {
+    analyser,
+    close: () => {
+      if (context.state !== 'closed') context.close();
+    }
+  };
+};
+
+// Loudness of the analyser's latest samples in dBFS
+const measureLevel = (analyser, samples) => Math.max(SILENT_DB, measureInput(analyser, samples).level);
+
+export const createVadState = () => ({
+  isSpeech: false,
+  noiseFloor: null,
+  loudSince: null,
+  quietSince: null
+});
+
+// Move detection on by one level reading taken at `now` (ms), `elapsedMs` after the last.
+// `loudSince` and `quietSince` tell when a change of `isSpeech` really happened.
+export const updateVad = (state, level, now, elapsedMs) => {
+  // The floor drops straight to quieter levels but only creeps up. Speech keeps dipping
+  // between words, which holds the floor down; a fan switched on doesn't, so it's learned.
+  let noiseFloor = state.noiseFloor;
+  if (noiseFloor === null || level < noiseFloor) {
+    noiseFloor = level;
+  } else {
+    noiseFloor = Math.min(level, noiseFloor + FLOOR_RISE_DB_PER_SECOND * elapsedMs / 1000);
+  }
+
+  const isLoud = level > Math.max(noiseFloor + SPEECH_MARGIN_DB, MIN_SPEECH_DB);
+  const loudSince = isLoud ? state.loudSince ?? now : null;
+  const quietSince = isLoud ? null : state.quietSince ?? now;
+  let isSpeech = state.isSpeech;
+  if (!isSpeech && isLoud && now - loudSince >= ATTACK_MS) {
+    isSpeech = true;
+  } else if (isSpeech && !isLoud && now - quietSince >= HANGOVER_MS) {
+    isSpeech = false;
+  }
+  return { isSpeech, noiseFloor, loudSince, quietSince };
+};
+
+// Listen to a stream and call `onChange(isSpeech, at)` when speech starts or stops, `at`
+// being when it did (ms since the epoch). Returns { stop }.
+export const createVoiceActivityDetector = (stream, { onChange }) => {
+  const { analyser, close } = createAudioAnalyser(stream, { fftSize: 1024, smoothingTimeConstant: 0 });
+  const samples = new Float32Array(analyser.fftSize);
+  let state = createVadState();
+  let lastReadAt = Date.now();
+
+  // A timer rather than animation frames, which stop in background tabs
+  const interval = setInterval(() => {
+    const now = Date.now();
+    const next = updateVad(state, measureLevel(analyser, samples), now, now - lastReadAt);
+    lastReadAt = now;
+    if (next.isSpeech !== state.isSpeech) {
+      onChange(next.isSpeech, next.isSpeech ? next.loudSince : next.quietSince);
+    }
+    state = next;
+  }, VAD_INTERVAL_MS);
+
+  return {
+    stop: () => {
+      clearInterval(interval);
+      close();
+    }
+  };
+};
@@ -0,0 +1,167 @@
+// Spoken commands recognised in final dictation results instead of being inserted as text.
+//
+// A vocabulary maps each command to the phrases that trigger it. A `{name}` token captures
+// the words after the phrase as the command's argument ("tag this as budget"). To keep normal
+// speech from triggering commands, a phrase only counts at the start or end of a result,
+// and an argument can be at most MAX_ARGUMENT_WORDS long and must end the result. A one-word
+// phrase is too easily said in passing, so it only counts as the whole result (or, with an
+// argument, starting it); the default phrases all have two words or more.
+
+export const VOICE_COMMANDS = [
+  { id: 'newParagraph', label: 'New paragraph' },
+  { id: 'bulletPoint', label: 'Bullet point' },
+  { id: 'heading', label: 'Heading', hint: 'Dictation goes into the heading until the next paragraph' },
+  { id: 'actionItem', label: 'Mark action item', hint: 'Marks the phrase said just before' },
+  { id: 'tag', label: 'Tag the note', hint: 'Use {tag} where the tag name is said' },
+  { id: 'pauseRecording', label: 'Pause recording' },
+  { id: 'newNote', label: 'New note', hint: 'Keeps recording into a new note' }
+];
+
+// Default phrases by language code (the part before the region)
+export const DEFAULT_VOICE_VOCABULARIES = {
+  en: {
+    newParagraph: ['new paragraph', 'next paragraph'],
+    bulletPoint: ['bullet point', 'new bullet'],
+    heading: ['new heading', 'add a heading'],
+    actionItem: ['mark action item', 'mark as action item'],
+    tag: ['tag this as {tag}', 'tag as {tag}'],
+    pauseRecording: ['pause recording', 'stop listening'],
+    newNote: ['new note', 'start a new note']
+  },
+  es: {
+    newParagraph: ['nuevo párrafo', 'punto y aparte'],
+    bulletPoint: ['nueva viñeta', 'añadir viñeta'],
+    heading: ['nuevo título', 'añadir título'],
+    actionItem: ['marcar como tarea', 'marcar tarea'],
+    tag: ['etiquetar como {tag}', 'etiquetar nota como {tag}'],
+    pauseRecording: ['pausar grabación', 'deja de escuchar'],
+    newNote: ['nueva nota']
+  },
+  fr: {
+    newParagraph: ['nouveau paragraphe', 'à la ligne'],
+    bulletPoint: ['nouvelle puce', 'ajouter une puce'],
+    heading: ['nouveau titre', 'ajouter un titre'],
+    actionItem: ['marquer comme action', 'marquer action'],
+    tag: ['étiqueter comme {tag}', 'étiqueter la note comme {tag}'],
+    pauseRecording: ["mettre l'enregistrement en pause", 'arrête d\'écouter'],
+    newNote: ['nouvelle note']
+  },
+  de: {
+    newParagraph: ['neuer absatz', 'nächster absatz'],
+    bulletPoint: ['neuer aufzählungspunkt', 'neuer punkt'],
+    heading: ['neue überschrift', 'überschrift einfügen'],
+    actionItem: ['als aufgabe markieren', 'aufgabe markieren'],
+    tag: ['markieren als {tag}', 'notiz markieren als {tag}'],
+    pauseRecording: ['aufnahme pausieren', 'hör auf zuzuhören'],
+    newNote: ['neue notiz']
+  }
+};
+
+export const MAX_ARGUMENT_WORDS = 3;
+
+export const getLanguageCode = (language = 'en-US') => language.split('-')[0].toLowerCase();
+
+// Lower-case and drop punctuation so "New paragraph." matches "new paragraph"
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+const splitWords = (text) => text.trim().split(/\s+/).filter(Boolean);
+
+// Turn a vocabulary into phrase patterns, longest first so "new bullet" beats "new note"
+const compileVocabulary = (vocabulary) => Object.entries(vocabulary)
+  .flatMap(([command, phrases]) => (phrases || []).map((phrase) => {
+    const tokens = splitWords(phrase);
+    const hasArgument = /^\{.+\}$/.test(tokens[tokens.length - 1] || '');
+    return {
+      command,
+      words: (hasArgument ? tokens.slice(0, -1) : tokens).map(normalizeWord).filter(Boolean),
+      hasArgument
+    };
+  }))
+  .filter(pattern => pattern.words.length > 0)
+  .sort((a, b) => b.words.length - a.words.length);
+
+const matchesAt = (pattern, keys, index) =>
+  index + pattern.words.length <= keys.length &&
+  pattern.words.every((word, offset) => keys[index + offset] === word);
+
+const toArgument = (words) => words.join(' ').replace(/[^\p{L}\p{N}\s'-]/gu, '').trim();
+
+// Split a final result into text and commands, in the order they were said:
+//   [{ type: 'text', text }, { type: 'command', command, argument }]
+export const parseVoiceCommands = (text, vocabulary) => {
+  const words = splitWords(text);
+  const keys = words.map(normalizeWord);
+  const patterns = compileVocabulary(vocabulary || {});
+  if (patterns.length === 0) return text.trim() ? [{ type: 'text', text: text.trim() }] : [];
+
+  // One-word phrases only count as the whole result, or with an argument at its start
+  const canMatchAt = (pattern, index) => pattern.words.length > 1 ||
+    (pattern.hasArgument ? index === 0 : keys.length === 1);
+
+  // An argument command that closes the result, e.g. "tag this as budget"
+  const matchArgumentCommand = (index) => patterns.find(pattern => pattern.hasArgument &&
+    canMatchAt(pattern, index) &&
+    matchesAt(pattern, keys, index) &&
+    words.length - (index + pattern.words.length) >= 1 &&
+    words.length - (index + pattern.words.length) <= MAX_ARGUMENT_WORDS);
+
+  const leading = [];
+  const trailing = [];
+  let start = 0;
+  let end = words.length;
+
+  // Commands at the start
+  while (start < end) {
+    const argumentCommand = matchArgumentCommand(start);
+    if (argumentCommand) {
+      leading.push({
+        type: 'command',
+        command: argumentCommand.command,
+        argument: toArgument(words.slice(start + argumentCommand.words.length))
+      });
+      start = end;
+      break;
+    }
+    const pattern = patterns.find(candidate => !candidate.hasArgument &&
+      canMatchAt(candidate, start) && matchesAt(candidate, keys, start));
+    if (!pattern) break;
+    leading.push({ type: 'command', command: pattern.command, argument: null });
+    start += pattern.words.length;
+  }
+
+  // An argument command at the end
+  for (let index = start; index < end; index++) {
+    const argumentCommand = matchArgumentCommand(index);
+    if (argumentCommand) {
+      trailing.push({
+        type: 'command',
+        command: argumentCommand.command,
+        argument: toArgument(words.slice(index + argumentCommand.words.length))
+      });
+      end = index;
+      break;
+    }
+  }
+
+  // Commands at the end
+  let matched = true;
+  while (matched && end > start) {
+    matched = false;
+    for (const pattern of patterns) {
+      const index = end - pattern.words.length;
+      if (!pattern.hasArgument && index >= start && canMatchAt(pattern, index) && matchesAt(pattern, keys, index)) {
+        trailing.unshift({ type: 'command', command: pattern.command, argument: null });
+        end = index;
+        matched = true;
+        break;
+      }
+    }
+  }
+
+  const remainingText = words.slice(start, end).join(' ');
+  return [
+    ...leading,
+    ...(remainingText ? [{ type: 'text', text: remainingText }] : []),
+    ...trailing
+  ];
+};
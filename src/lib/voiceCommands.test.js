@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_VOICE_VOCABULARIES, parseVoiceCommands } from './voiceCommands';
+
+const english = DEFAULT_VOICE_VOCABULARIES.en;
+
+describe('parseVoiceCommands', () => {
+  it('leaves ordinary speech that mentions a command word alone', () => {
+    expect(parseVoiceCommands('we need to update the heading', english)).toEqual([
+      { type: 'text', text: 'we need to update the heading' }
+    ]);
+    expect(parseVoiceCommands('la etiqueta roja', DEFAULT_VOICE_VOCABULARIES.es)).toEqual([
+      { type: 'text', text: 'la etiqueta roja' }
+    ]);
+  });
+
+  it('has no one-word default phrases', () => {
+    Object.values(DEFAULT_VOICE_VOCABULARIES).forEach((vocabulary) => {
+      Object.values(vocabulary).flat().forEach((phrase) => {
+        expect(phrase.replace(/\{.+\}/, '').trim().split(/\s+/).length).toBeGreaterThan(1);
+      });
+    });
+  });
+
+  it('finds commands at the start and end of a result', () => {
+    expect(parseVoiceCommands('New heading. Budget review', english)).toEqual([
+      { type: 'command', command: 'heading', argument: null },
+      { type: 'text', text: 'Budget review' }
+    ]);
+    expect(parseVoiceCommands('send the slides tag this as Budget', english)).toEqual([
+      { type: 'text', text: 'send the slides' },
+      { type: 'command', command: 'tag', argument: 'Budget' }
+    ]);
+  });
+
+  it('only takes a custom one-word phrase as the whole result', () => {
+    const vocabulary = { heading: ['heading'], tag: ['label {tag}'] };
+    expect(parseVoiceCommands('Heading.', vocabulary)).toEqual([
+      { type: 'command', command: 'heading', argument: null }
+    ]);
+    expect(parseVoiceCommands('update the heading', vocabulary)).toEqual([
+      { type: 'text', text: 'update the heading' }
+    ]);
+    expect(parseVoiceCommands('label budget', vocabulary)).toEqual([
+      { type: 'command', command: 'tag', argument: 'budget' }
+    ]);
+    expect(parseVoiceCommands('check the label colour', vocabulary)).toEqual([
+      { type: 'text', text: 'check the label colour' }
+    ]);
+  });
+});
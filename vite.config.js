@@ -11,6 +11,9 @@ export default defineConfig({
       "@": path.resolve(__dirname, "./src"),
     },
   },
+  test: {
+    environment: 'jsdom'
+  },
   server: {
     host: '0.0.0.0',
     allowedHosts: ['5173-ie38e5zuykueq1eiperlv-5db49898.manusvm.computer', 'localhost', '127.0.0.1']